@@ -0,0 +1,452 @@
+// ============================================================================
+// HEADLESS SIMULATION HARNESS
+// ============================================================================
+//
+// Runs the game simulation under Node with no canvas, DOM or audio, so waves,
+// weapons and balance changes can be exercised from scripts.
+//
+//   node js/headless.js --seed 42 --seconds 120
+//   node js/headless.js --replay my-replay.json
+//   node js/headless.js --seed 42 --pools
+//   node js/headless.js --seed 42 --seconds 30 --dump
+//
+// The simulation shares the single `game` state object from main.js, so only
+// one HeadlessSimulation can be active at a time.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  CONFIG,
+  DIFFICULTY_PROFILES,
+  game,
+  AssetLoader,
+  EnemyFactory,
+  loadEnemyDefinitions,
+  BossFactory,
+  loadBossDefinitions,
+  CampaignManager,
+  loadLevelDefinitions,
+  InputManager,
+  CollisionBenchmark,
+  captureText,
+  getPoolStats,
+  formatPoolStats,
+  setPlayfieldSize,
+  startBenchmark,
+  startLiveRun,
+  startReplay,
+  stepSimulation
+} from './main.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// ============================================================================
+// HEADLESS RENDERER & HUD
+// ============================================================================
+
+/**
+ * Stands in for ASCIIRenderer. Nothing is drawn, but text is measured as a
+ * monospace font so entity hitboxes match the browser closely.
+ */
+class HeadlessRenderer {
+  constructor(charWidth = CONFIG.font.size * 0.6) {
+    this.charWidth = charWidth;
+  }
+
+  setFont() {}
+
+  drawText() {}
+
+  drawTextCentered() {}
+
+  drawMultiLine() {}
+
+  drawOverlay() {}
+
+  fillGradient() {}
+
+  setLayer() {}
+
+  beginFrame() {}
+
+  endFrame() {}
+
+  beginCamera() {}
+
+  endCamera() {}
+
+  measureWidth(text) {
+    return text.length * this.charWidth;
+  }
+}
+
+/**
+ * Stands in for the DOM HUD, keeping the last displayed values
+ */
+class HeadlessHUD {
+  constructor() {
+    this.health = 0;
+    this.lives = 0;
+    this.score = 0;
+    this.weaponId = null;
+    this.rocketAmmo = 0;
+    this.bossVisible = false;
+    this.bossName = null;
+    this.bossHealth = 0;
+    this.bossMaxHealth = 0;
+    this.bossProgress = 0;
+  }
+
+  updateHealth(health) {
+    this.health = health;
+  }
+
+  updateLives(lives) {
+    this.lives = lives;
+  }
+
+  updateScore(score) {
+    this.score = score;
+  }
+
+  updateWeapons(weaponId, rocketAmmo) {
+    this.weaponId = weaponId;
+    this.rocketAmmo = rocketAmmo;
+  }
+
+  showBossHealth(name) {
+    this.bossVisible = true;
+    this.bossName = name;
+  }
+
+  hideBossHealth() {
+    this.bossVisible = false;
+  }
+
+  updateBossHealth(health, maxHealth, progress = 0) {
+    this.bossHealth = health;
+    this.bossMaxHealth = maxHealth;
+    this.bossProgress = progress;
+  }
+}
+
+/**
+ * Read asset URLs such as /assets/sprites/... from the project directory
+ * @param {string} root
+ * @returns {Function} (url) => Promise<Object>
+ */
+function createFileReader(root) {
+  return async (url) => JSON.parse(await readFile(path.join(root, url), 'utf8'));
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+class HeadlessSimulation {
+  constructor() {
+    this.steps = 0;
+  }
+
+  /**
+   * Simulated time in milliseconds
+   * @returns {number}
+   */
+  get time() {
+    return game.clock.now();
+  }
+
+  /**
+   * Run has ended (game over, victory or the replay ran out of input)
+   * @returns {boolean}
+   */
+  isOver() {
+    return game.gameOver || game.victory || game.replayFinished;
+  }
+
+  /**
+   * Advance a number of fixed steps, stopping early if the run ends. Stage
+   * tallies are skipped: the next stage starts as soon as one is cleared.
+   * @param {number} count
+   * @returns {HeadlessSimulation}
+   */
+  step(count = 1) {
+    for (let i = 0; i < count && !this.isOver(); i++) {
+      stepSimulation();
+      this.steps++;
+      if (game.stageCleared) {
+        game.campaign.advance();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Advance by an amount of simulated time
+   * @param {number} ms
+   * @returns {HeadlessSimulation}
+   */
+  advance(ms) {
+    return this.step(Math.round(ms / 1000 / CONFIG.simulation.fixedStep));
+  }
+
+  /**
+   * Step until the predicate returns true or the run ends
+   * @param {Function} predicate - (game) => boolean, checked before each step
+   * @param {number} [maxSteps=36000] - Safety limit (10 minutes at 60 Hz)
+   * @returns {boolean} Whether the predicate was satisfied
+   */
+  runUntil(predicate, maxSteps = 36000) {
+    for (let i = 0; i < maxSteps; i++) {
+      if (predicate(game)) return true;
+      if (this.isOver()) return false;
+      this.step();
+    }
+    return predicate(game);
+  }
+
+  /**
+   * Hold a key (KeyboardEvent code, e.g. 'Space') until released
+   * @param {string} code
+   */
+  press(code) {
+    game.input.setKey(code, true);
+  }
+
+  release(code) {
+    game.input.setKey(code, false);
+  }
+
+  releaseAll() {
+    Object.keys(game.input.keys).forEach(code => game.input.setKey(code, false));
+  }
+
+  /**
+   * Summary of the current run
+   * @returns {Object}
+   */
+  snapshot() {
+    const player = game.player;
+    return {
+      seed: game.seed,
+      difficulty: game.difficulty,
+      steps: this.steps,
+      time: this.time,
+      score: game.score,
+      stage: game.campaign.stageIndex + 1,
+      level: game.campaign.level.name,
+      health: player ? player.health : 0,
+      lives: player ? player.lives : 0,
+      wave: game.waveManager ? game.waveManager.currentWaveIndex + 1 : 0,
+      bossTriggered: game.bossTriggered,
+      bossHealth: game.boss ? game.boss.health : null,
+      enemies: game.enemies.length,
+      projectiles: game.projectiles.length,
+      shotsFired: game.stats.shotsFired,
+      shotsHit: game.stats.shotsHit,
+      bossKillTime: game.stats.bossKillTime,
+      pools: getPoolStats(),
+      gameOver: game.gameOver,
+      victory: game.victory
+    };
+  }
+
+  /**
+   * Draw the current frame into a character grid and return it as text
+   * @returns {string}
+   */
+  renderText() {
+    return captureText();
+  }
+
+  /**
+   * Recorded input of a live run, in the same format the browser exports
+   * @returns {Object|null}
+   */
+  exportReplay() {
+    return game.recorder ? game.recorder.toJSON({ score: game.score }) : null;
+  }
+}
+
+/**
+ * Load assets and start a headless run
+ * @param {Object} [options]
+ * @param {number} [options.seed=1]
+ * @param {string} [options.difficulty='normal'] - Key of DIFFICULTY_PROFILES
+ * @param {number} [options.width=1280] - Playfield width
+ * @param {number} [options.height=720] - Playfield height
+ * @param {Object} [options.replay] - Replay data to play back instead of live input
+ * @param {number} [options.benchmark] - Run the collision benchmark with this many projectiles
+ * @param {string} [options.assetRoot] - Directory asset URLs are resolved against
+ * @param {boolean} [options.quiet=false] - Drop the game's progress logs
+ * @returns {Promise<HeadlessSimulation>}
+ */
+async function createSimulation(options = {}) {
+  const {
+    seed = 1,
+    difficulty = 'normal',
+    width = 1280,
+    height = 720,
+    replay = null,
+    benchmark = 0,
+    assetRoot = PROJECT_ROOT,
+    quiet = false
+  } = options;
+
+  game.quiet = quiet;
+  if (!game.enemyFactory) {
+    game.assetLoader = new AssetLoader(createFileReader(assetRoot));
+    game.enemyFactory = new EnemyFactory();
+    await loadEnemyDefinitions(game.assetLoader, game.enemyFactory);
+    game.bossFactory = new BossFactory();
+    await loadBossDefinitions(game.assetLoader, game.bossFactory);
+    game.campaign = new CampaignManager();
+    await loadLevelDefinitions(game.assetLoader, game.campaign);
+    game.assetsLoaded = true;
+  }
+
+  if (!DIFFICULTY_PROFILES[difficulty]) {
+    throw new Error(`Unknown difficulty: ${difficulty}`);
+  }
+  game.selectedDifficulty = difficulty;
+
+  game.renderer = new HeadlessRenderer();
+  game.hud = new HeadlessHUD();
+  game.input = new InputManager({ listen: false });
+  setPlayfieldSize(width, height);
+
+  if (replay) {
+    startReplay(replay);
+  } else if (benchmark > 0) {
+    startBenchmark(benchmark);
+  } else {
+    startLiveRun(seed);
+  }
+
+  return new HeadlessSimulation();
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * Simple pilot for balance runs: hold fire, chase the nearest air enemy
+ * horizontally, bomb ships below and launch rockets at the boss
+ * @param {HeadlessSimulation} sim
+ */
+function autopilot(sim) {
+  const player = game.player;
+  const target = game.enemies.reduce((best, enemy) => {
+    if (enemy.y < 0 || enemy.altitude !== 'air') return best;
+    if (!best) return enemy;
+    return Math.abs(enemy.x - player.x) < Math.abs(best.x - player.x) ? enemy : best;
+  }, null);
+
+  sim.press('Space');
+  sim.release('KeyA');
+  sim.release('KeyD');
+  if (target && Math.abs(target.x - player.x) > 10) {
+    sim.press(target.x < player.x ? 'KeyA' : 'KeyD');
+  }
+
+  // Tap rockets (they trigger on press, not hold)
+  if (game.boss && sim.steps % 30 === 0) {
+    sim.press('KeyR');
+  } else {
+    sim.release('KeyR');
+  }
+
+  // Bombs whenever a ship is on screen
+  const shipsBelow = game.enemies.some(enemy => enemy.altitude === 'ground' && enemy.y > 0);
+  if (shipsBelow && sim.steps % 40 === 0) {
+    sim.press('KeyQ');
+  } else {
+    sim.release('KeyQ');
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node js/headless.js [--seed N] [--seconds S] [--difficulty easy|normal|hard]');
+    console.log('                           [--width W] [--height H]');
+    console.log('                           [--replay file.json] [--record out.json] [--verbose]');
+    console.log('                           [--benchmark PROJECTILES] [--pools] [--dump]');
+    return;
+  }
+
+  const replay = args.replay ? JSON.parse(await readFile(args.replay, 'utf8')) : null;
+  const sim = await createSimulation({
+    seed: args.seed !== undefined ? Number(args.seed) >>> 0 : 1,
+    difficulty: args.difficulty || 'normal',
+    width: Number(args.width) || 1280,
+    height: Number(args.height) || 720,
+    replay,
+    benchmark: Number(args.benchmark) || 0,
+    quiet: !args.verbose // Wave announcements etc. are noise for batch runs
+  });
+
+  const maxSteps = Math.round((Number(args.seconds) || 300) / CONFIG.simulation.fixedStep);
+  while (sim.steps < maxSteps && !sim.isOver()) {
+    if (!replay && !game.benchmark) autopilot(sim);
+    sim.step();
+  }
+
+  if (args.record && !replay) {
+    await writeFile(args.record, JSON.stringify(sim.exportReplay()));
+    console.log(`Replay written to ${args.record}`);
+  }
+
+  if (args.dump) {
+    console.log(sim.renderText());
+  }
+
+  const printPools = () => {
+    if (args.pools) formatPoolStats(getPoolStats()).forEach(line => console.log(`  ${line}`));
+  };
+
+  if (game.benchmark) {
+    CollisionBenchmark.formatReport(game.benchmark.getReport()).forEach(line => console.log(line));
+    printPools();
+    return;
+  }
+
+  const result = sim.snapshot();
+  const outcome = result.victory ? 'victory' : result.gameOver ? 'game over'
+    : game.replayFinished ? 'replay finished' : 'time limit';
+  console.log(`Seed ${result.seed} (${result.difficulty}): ${outcome} after ${(result.time / 1000).toFixed(1)}s (${result.steps} steps)`);
+  const accuracy = result.shotsFired > 0 ? Math.round((result.shotsHit / result.shotsFired) * 100) : 0;
+  console.log(`  score ${result.score}, stage ${result.stage}, wave ${result.wave}, lives ${result.lives}, health ${result.health}, accuracy ${accuracy}%`);
+  if (result.bossTriggered) {
+    console.log(`  boss health ${result.bossHealth === null ? 0 : result.bossHealth}`);
+  }
+  printPools();
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export { HeadlessRenderer, HeadlessHUD, HeadlessSimulation, createSimulation, createFileReader };
@@ -0,0 +1,94 @@
+// Scenario tests run against the headless simulation: npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './headless.js';
+import { game } from './main.js';
+
+/**
+ * Step while keeping the player alive, so scenarios don't depend on how well
+ * an idle ship survives
+ * @param {HeadlessSimulation} sim
+ * @param {Function} predicate - (game) => boolean
+ * @param {number} [maxSteps=36000]
+ * @returns {boolean} Whether the predicate was satisfied
+ */
+function runShielded(sim, predicate, maxSteps = 36000) {
+  return sim.runUntil(g => {
+    g.player.invulnerable = true;
+    g.player.invulnerabilityTimer = 0;
+    return predicate(g);
+  }, maxSteps);
+}
+
+test('wave 3 spawns 4 Kamikazes', async () => {
+  const sim = await createSimulation({ seed: 3, quiet: true });
+  assert.ok(runShielded(sim, g => g.waveManager.currentWaveIndex === 2));
+
+  const kamikazes = new Set();
+  runShielded(sim, g => {
+    g.enemies.filter(enemy => enemy.name === 'kamikaze').forEach(enemy => kamikazes.add(enemy));
+    return g.waveManager.currentWaveIndex > 2;
+  });
+
+  assert.equal(kamikazes.size, 4);
+});
+
+test('adjacent kamikazes chain their explosions and each scores once', async () => {
+  await createSimulation({ seed: 11, quiet: true });
+  game.enemies.length = 0;
+  const a = game.enemyFactory.create('kamikaze', 400, 200);
+  const b = game.enemyFactory.create('kamikaze', 410, 200);
+  game.enemies.push(a, b);
+  const score = game.score;
+
+  a.takeDamage(100);
+
+  assert.ok(!a.active && !b.active);
+  assert.equal(game.score - score, a.scoreValue + b.scoreValue);
+  assert.equal(game.stats.enemiesDestroyed, 2);
+});
+
+test('boss enters phase 2 at 66% health and phase 3 at 33%, then the next stage starts', async () => {
+  const sim = await createSimulation({ seed: 7, quiet: true });
+  game.waveManager.triggerBoss();
+  assert.ok(runShielded(sim, g => g.boss && g.boss.entranceComplete));
+
+  const boss = game.boss;
+  assert.equal(boss.phase.name, 'ASSAULT');
+
+  boss.health = boss.maxHealth * 0.66;
+  sim.step();
+  assert.equal(boss.phase.name, 'DAMAGED');
+
+  boss.health = boss.maxHealth * 0.33;
+  sim.step();
+  assert.equal(boss.phase.name, 'CRITICAL');
+
+  boss.takeDamage(boss.health);
+  const score = game.score;
+  boss.takeDamage(100);
+  assert.equal(game.score, score);
+
+  assert.ok(runShielded(sim, g => g.campaign.stageIndex === 1, 1200));
+  sim.advance(3000);
+  assert.equal(sim.snapshot().stage, 2);
+});
+
+test('a recorded seed replays to the same score', async () => {
+  const live = await createSimulation({ seed: 5, quiet: true });
+  live.press('Space');
+  for (let second = 0; second < 40 && !live.isOver(); second++) {
+    const code = second % 2 ? 'KeyA' : 'KeyD';
+    live.press(code);
+    live.advance(1000);
+    live.release(code);
+  }
+  const recorded = live.snapshot();
+  const replay = live.exportReplay();
+  assert.ok(recorded.score > 0);
+
+  const playback = await createSimulation({ replay, quiet: true });
+  playback.runUntil(() => false);
+
+  assert.equal(playback.snapshot().score, recorded.score);
+});
@@ -0,0 +1,45 @@
+// High score table tests: npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HighScoreTable } from './main.js';
+
+function entry(initials, score) {
+  return { initials, score, seed: 1, date: '2026-01-01T00:00:00.000Z' };
+}
+
+function exported(boards) {
+  return { version: 1, boards };
+}
+
+test('merge skips boards for unknown difficulties', () => {
+  const table = new HighScoreTable();
+  const added = table.merge(JSON.parse(
+    '{"version": 1, "boards": {"__proto__": [], "nightmare": [{"initials": "BAD", "score": 500}]}}'
+  ), { save: false });
+
+  assert.equal(added, 0);
+  assert.deepEqual(table.getDifficulties(), []);
+  assert.equal(table.getBoard('nightmare').length, 0);
+});
+
+test('merge counts only entries that stay on a full board', () => {
+  const table = new HighScoreTable();
+  const top = Array.from({ length: 10 }, (_, i) => entry(`T${i}`, 1000 + i * 100));
+  assert.equal(table.merge(exported({ normal: top }), { save: false }), 10);
+
+  // One beats the last place entry, the other is pushed straight off again
+  const added = table.merge(exported({ normal: [entry('LOW', 50), entry('HI', 5000)] }), { save: false });
+
+  assert.equal(added, 1);
+  assert.equal(table.getBoard('normal').length, 10);
+  assert.equal(table.getBoard('normal')[0].initials, 'HI');
+  assert.ok(!table.getBoard('normal').some(e => e.initials === 'LOW'));
+});
+
+test('merge skips entries already on the board', () => {
+  const table = new HighScoreTable();
+  table.merge(exported({ normal: [entry('AAA', 300)] }), { save: false });
+
+  assert.equal(table.merge(exported({ normal: [entry('AAA', 300), entry('BBB', 200)] }), { save: false }), 1);
+  assert.equal(table.getBoard('normal').length, 2);
+});
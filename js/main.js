@@ -50,7 +50,7 @@ class AudioManager {
       this.musicGain.connect(this.masterGain);
 
       this.initialized = true;
-      console.log('Audio system initialized');
+      logEvent('Audio system initialized');
     } catch (error) {
       console.warn('Web Audio API not supported:', error);
       this.enabled = false;
@@ -168,6 +168,38 @@ class AudioManager {
     oscillator.stop(now + duration);
   }
 
+  /**
+   * Play a menu/UI blip (GDB UI sounds: menu_select, menu_confirm, pause)
+   * @param {string} type - 'select', 'confirm' or 'pause'
+   */
+  playUISound(type) {
+    if (!this.enabled || !this.initialized) return;
+
+    const tones = {
+      select: { wave: 'square', from: 660, to: 660, duration: 0.05 },
+      confirm: { wave: 'square', from: 520, to: 1040, duration: 0.12 },
+      pause: { wave: 'triangle', from: 880, to: 440, duration: 0.2 }
+    };
+    const tone = tones[type] || tones.select;
+
+    const now = this.ctx.currentTime;
+    const oscillator = this.ctx.createOscillator();
+    const gainNode = this.ctx.createGain();
+
+    oscillator.type = tone.wave;
+    oscillator.frequency.setValueAtTime(tone.from, now);
+    oscillator.frequency.exponentialRampToValueAtTime(tone.to, now + tone.duration);
+
+    gainNode.gain.setValueAtTime(0.1, now);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, now + tone.duration);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.sfxGain);
+
+    oscillator.start(now);
+    oscillator.stop(now + tone.duration);
+  }
+
   /**
    * Set master volume
    */
@@ -178,6 +210,26 @@ class AudioManager {
     }
   }
 
+  /**
+   * Set music volume
+   */
+  setMusicVolume(volume) {
+    this.volumes.music = Math.max(0, Math.min(1, volume));
+    if (this.musicGain) {
+      this.musicGain.gain.value = this.volumes.music;
+    }
+  }
+
+  /**
+   * Set sound effects volume
+   */
+  setSfxVolume(volume) {
+    this.volumes.sfx = Math.max(0, Math.min(1, volume));
+    if (this.sfxGain) {
+      this.sfxGain.gain.value = this.volumes.sfx;
+    }
+  }
+
   /**
    * Toggle mute
    */
@@ -197,6 +249,7 @@ class AudioManager {
       console.warn('Audio not initialized, cannot play music');
       return;
     }
+    this.musicUrl = url;
 
     try {
       const response = await fetch(url);
@@ -215,7 +268,7 @@ class AudioManager {
       this.currentMusic.connect(this.musicGain);
       this.currentMusic.start(0);
 
-      console.log('Music started:', url);
+      logEvent('Music started:', url);
     } catch (error) {
       console.error('Failed to load music:', error);
     }
@@ -229,6 +282,7 @@ class AudioManager {
       this.currentMusic.stop();
       this.currentMusic = null;
     }
+    this.musicUrl = null;
   }
 }
 
@@ -236,8 +290,26 @@ class AudioManager {
 // ASSET LOADER
 // ============================================================================
 
+/**
+ * Fetch and parse a JSON file over HTTP
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.statusText}`);
+  }
+  return response.json();
+}
+
 class AssetLoader {
-  constructor() {
+  /**
+   * @param {Function} [readJSON] - (url) => Promise<Object>; defaults to fetch.
+   *   Non-browser front-ends pass a file reader here.
+   */
+  constructor(readJSON = fetchJSON) {
+    this.readJSON = readJSON;
     this.assets = {};
     this.loadedCount = 0;
     this.totalCount = 0;
@@ -250,15 +322,12 @@ class AssetLoader {
    * @returns {Promise}
    */
   async loadAsset(name, url) {
+    this.totalCount++;
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to load ${url}: ${response.statusText}`);
-      }
-      const data = await response.json();
+      const data = await this.readJSON(url);
       this.assets[name] = data;
       this.loadedCount++;
-      console.log(`Loaded asset: ${name}`);
+      logEvent(`Loaded asset: ${name}`);
       return data;
     } catch (error) {
       console.warn(`Could not load asset ${name} from ${url}:`, error.message);
@@ -273,7 +342,6 @@ class AssetLoader {
    * @returns {Promise}
    */
   async loadAssets(assetMap) {
-    this.totalCount = Object.keys(assetMap).length;
     const promises = Object.entries(assetMap).map(([name, url]) =>
       this.loadAsset(name, url)
     );
@@ -320,6 +388,10 @@ const CONFIG = {
     backgroundColor: '#4682B4' // Steel blue
   },
   targetFPS: 60,
+  simulation: {
+    fixedStep: 1 / 60,   // seconds per update step
+    maxFrameTime: 0.25   // cap on real time fed to the simulation per frame
+  },
   font: {
     family: 'Courier New, monospace',
     size: 16,
@@ -339,10 +411,181 @@ const CONFIG = {
     skyGradientTop: '#87CEEB',    // Light sky blue
     skyGradientBottom: '#4682B4',  // Steel blue
     cloudSpawnInterval: 2000,      // milliseconds
-    cloudSpawnVariance: 1000       // random variance
+    cloudSpawnVariance: 1000,      // random variance
+    scrollSpeed: 60,               // terrain scroll (pixels per second)
+    terrainHaze: 0.3,              // how far terrain colors fade toward the sky
+    asteroidSpawnInterval: 2500,   // milliseconds (levels with asteroids)
+    asteroidSpawnVariance: 1500    // random variance
+  },
+  camera: {
+    shake: 1,            // Shake intensity (0 turns it off)
+    zoom: true,          // Zoom pulses on big events
+    hitStop: true,       // Brief freeze on big hits
+    maxShakeOffset: 14,  // pixels at full trauma
+    traumaDecay: 1.2,    // trauma lost per second
+    zoomDecay: 4         // zoom pulse falloff rate (per second)
+  },
+  hitFeedback: {
+    // Defaults for enemy hit reactions; an enemy asset's "hitFeedback" overrides them
+    flashDuration: 80,        // milliseconds drawn in flashColor after a hit
+    flashColor: '#ffffff',
+    knockback: 6,             // pixels the art is nudged along the shot's direction
+    knockbackRecovery: 18,    // how fast the nudge settles (per second)
+    damageNumbers: true,
+    numberColor: '#ffff66',
+    numberLifetime: 600,      // milliseconds
+    numberRise: 50,           // pixels per second
+    numberMergeWindow: 200,   // hits this close together add to one number
+    smokeBelow: 0.5,          // smoke below this fraction of max health (0 = never)
+    smokeInterval: 140,       // milliseconds between puffs
+    smokeColor: '#bbbbbb',
+    smokeFadeColor: '#333333'
+  },
+  structures: {
+    sectionInterval: 5000, // milliseconds between structure sections
+    scrapeDamage: 10,      // damage while pinned between a structure and the screen edge
+    scrapeInterval: 400    // milliseconds between scrapes
+  },
+  capture: {
+    fps: 10,      // Frames per second recorded by F6
+    seconds: 5,   // Recording stops by itself after this long
+    scale: 0.5    // GIF size relative to the canvas
+  }
+};
+
+// ============================================================================
+// DIFFICULTY PROFILES
+// ============================================================================
+
+/**
+ * Multipliers are relative to the enemy/boss/wave data (1 = as authored).
+ * enemyFireRate and bossAttackRate scale how often things fire (2 = twice as
+ * often). playerLives and invulnerabilityDuration replace the player defaults.
+ * enemyOverrides patches enemy configs by name (objects such as movement are
+ * merged field by field).
+ */
+const DIFFICULTY_PROFILES = {
+  easy: {
+    name: 'Easy',
+    enemyHealth: 0.75,
+    enemyFireRate: 0.7,
+    projectileSpeed: 0.8,
+    spawnCount: 0.75,
+    dropRate: 1.5,
+    bossHealth: 0.75,
+    bossAttackRate: 0.75,
+    playerLives: 5,
+    invulnerabilityDuration: 4000,
+    enemyOverrides: {}
+  },
+  normal: {
+    name: 'Normal',
+    enemyHealth: 1,
+    enemyFireRate: 1,
+    projectileSpeed: 1,
+    spawnCount: 1,
+    dropRate: 1,
+    bossHealth: 1,
+    bossAttackRate: 1,
+    playerLives: 3, // Starting lives from GDB
+    invulnerabilityDuration: 3000, // 3 seconds from GDB
+    enemyOverrides: {}
+  },
+  hard: {
+    name: 'Hard',
+    enemyHealth: 1.5,
+    enemyFireRate: 1.35,
+    projectileSpeed: 1.2,
+    spawnCount: 1.4,
+    dropRate: 0.6,
+    bossHealth: 1.5,
+    bossAttackRate: 1.3,
+    playerLives: 2,
+    invulnerabilityDuration: 2000,
+    enemyOverrides: {
+      kamikaze: { movement: { acceleration: 220, maxSpeed: 380 } }
+    }
   }
 };
 
+const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Profile for the current run's difficulty
+ * @returns {Object}
+ */
+function getDifficultyProfile() {
+  return DIFFICULTY_PROFILES[game.difficulty] || DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Scale a "milliseconds between shots" value by a fire-rate multiplier
+ * @param {number} interval
+ * @param {number} rate - 2 fires twice as often
+ * @returns {number}
+ */
+function scaleInterval(interval, rate) {
+  return rate > 0 ? interval / rate : interval;
+}
+
+/**
+ * Scale drop chances, keeping the total at or below 1 ("nothing" absorbs
+ * the difference)
+ * @param {Object} dropTable - { dropType: chance }
+ * @param {number} multiplier
+ * @returns {Object}
+ */
+function scaleDropTable(dropTable, multiplier) {
+  const scaled = {};
+  let total = 0;
+  Object.entries(dropTable).forEach(([dropType, chance]) => {
+    if (dropType === 'nothing') return;
+    scaled[dropType] = chance * multiplier;
+    total += scaled[dropType];
+  });
+  if (total > 1) {
+    Object.keys(scaled).forEach(dropType => {
+      scaled[dropType] /= total;
+    });
+    total = 1;
+  }
+  scaled.nothing = 1 - total;
+  return scaled;
+}
+
+/**
+ * Apply a difficulty profile to an Enemy constructor config (see
+ * EnemyFactory.buildConfig). Returns a new config.
+ * @param {Object} config
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function applyDifficultyToEnemy(config, profile) {
+  const result = { ...config };
+
+  const overrides = profile.enemyOverrides[(config.name || '').toLowerCase()] || {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    const current = result[key];
+    const mergeable = current && typeof current === 'object' && !Array.isArray(current) &&
+                      value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = mergeable ? { ...current, ...value } : value;
+  });
+
+  if (result.health !== undefined) {
+    result.health = Math.max(1, Math.round(result.health * profile.enemyHealth));
+  }
+  if (result.weapon && result.weapon.fireRate !== undefined) {
+    result.weapon = { ...result.weapon, fireRate: scaleInterval(result.weapon.fireRate, profile.enemyFireRate) };
+  }
+  if (result.launch && result.launch.interval !== undefined) {
+    result.launch = { ...result.launch, interval: scaleInterval(result.launch.interval, profile.enemyFireRate) };
+  }
+  if (result.dropTable) {
+    result.dropTable = scaleDropTable(result.dropTable, profile.dropRate);
+  }
+  return result;
+}
+
 // ============================================================================
 // GAME STATE
 // ============================================================================
@@ -353,13 +596,22 @@ const game = {
   running: false,
   lastTime: 0,
   deltaTime: 0,
+  frameTime: 0,
+  accumulator: 0,
+  seed: 0,
+  rng: null,
+  clock: null,
   entities: [],
   player: null,
   projectiles: [],
   enemies: [],
   effects: [],
   particles: [],
+  damageNumbers: [],
+  emitters: [],
   clouds: [],
+  asteroids: [],
+  structures: [],
   powerups: [],
   background: null,
   score: 0,
@@ -368,12 +620,153 @@ const game = {
   bossTriggered: false,
   boss: null,
   waveManager: null,
+  structureSpawner: null,
   cloudSpawnTimer: 0,
+  asteroidSpawnTimer: 0,
   assetLoader: null,
+  renderer: null,
+  hud: null,
   assetsLoaded: false,
+  enemyFactory: null,
+  bossFactory: null,
+  campaign: null,       // CampaignManager: the levels and the current stage
+  stageCleared: false,  // Stage tally showing; the simulation waits for advance()
+  input: null,
+  recorder: null,
+  playbackSpeed: 1,
+  replayFinished: false,
+  canvasSizeOverride: null,
+  benchmark: null,
+  showDebug: false,
+  camera: null,
+  recording: null,  // FrameRecorder while F6 capture runs
+  saveFile: null,   // (filename, data) => void; downloads when not set
+  quiet: false,     // Drop progress logs (batch runs and tests)
+
+  stateMachine: null,
+  highScoreTable: null,
+  difficulty: DEFAULT_DIFFICULTY,         // Difficulty of the current run
+  selectedDifficulty: DEFAULT_DIFFICULTY, // Chosen on the title screen
+  stats: null,
   audioManager: null
 };
 
+/**
+ * Progress messages (waves, phases, stages, saves), unless game.quiet is set
+ */
+function logEvent(...args) {
+  if (!game.quiet) {
+    console.log(...args);
+  }
+}
+
+// ============================================================================
+// SIMULATION CLOCK & SEEDED RANDOM
+// ============================================================================
+
+/**
+ * Seeded pseudo-random number generator (mulberry32). All simulation
+ * randomness goes through game.rng so a seed reproduces a run exactly.
+ */
+class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @returns {number} Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @returns {number} Integer in [min, max]
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+   * @param {number} probability - Chance from 0 to 1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
+
+/**
+ * Simulation time in milliseconds, advanced only by fixed update steps.
+ * Replaces performance.now() and setTimeout inside the simulation.
+ */
+class GameClock {
+  constructor() {
+    this.time = 0;
+    this.timers = [];
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Run a callback after a delay in simulation time
+   * @param {number} delay - Milliseconds
+   * @param {Function} callback
+   */
+  schedule(delay, callback) {
+    this.timers.push({ at: this.time + delay, callback });
+  }
+
+  /**
+   * Advance the clock and fire any timers that are due (in due order)
+   * @param {number} deltaMs - Milliseconds
+   */
+  tick(deltaMs) {
+    this.time += deltaMs;
+
+    while (this.timers.length > 0) {
+      let next = 0;
+      for (let i = 1; i < this.timers.length; i++) {
+        if (this.timers[i].at < this.timers[next].at) next = i;
+      }
+      if (this.timers[next].at > this.time) break;
+
+      const [timer] = this.timers.splice(next, 1);
+      timer.callback();
+    }
+  }
+
+  reset() {
+    this.time = 0;
+    this.timers = [];
+  }
+}
+
+/**
+ * Seed for this run: ?seed=1234 in the URL, otherwise derived from the time
+ * @returns {number}
+ */
+function getInitialSeed() {
+  if (typeof window === 'undefined') return Date.now() >>> 0;
+  const params = new URLSearchParams(window.location.search);
+  const seed = parseInt(params.get('seed'), 10);
+  return Number.isFinite(seed) ? seed >>> 0 : (Date.now() >>> 0);
+}
+
 // ============================================================================
 // ASCII RENDERING UTILITY
 // ============================================================================
@@ -440,736 +833,3145 @@ class ASCIIRenderer {
   measureWidth(text) {
     return this.ctx.measureText(text).width;
   }
-}
-
-// ============================================================================
-// BASE ENTITY CLASS
-// ============================================================================
 
-class Entity {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.active = true;
-    this.type = 'entity';
-    this.hitboxRadius = 0;
+  /**
+   * Tint the whole screen, e.g. to dim the playfield behind a menu
+   * @param {string} color - Fill color (use rgba for translucency)
+   */
+  drawOverlay(color) {
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(0, 0, CONFIG.canvas.width, CONFIG.canvas.height);
   }
 
-  update(deltaTime) {
-    // Override in subclasses
+  /**
+   * Fill the screen with a vertical gradient (the sky)
+   * @param {string} topColor
+   * @param {string} bottomColor
+   */
+  fillGradient(topColor, bottomColor) {
+    const height = CONFIG.canvas.height;
+    const key = `${topColor} ${bottomColor} ${height}`;
+    if (this.gradientKey !== key) {
+      this.gradient = this.ctx.createLinearGradient(0, 0, 0, height);
+      this.gradient.addColorStop(0, topColor);
+      this.gradient.addColorStop(1, bottomColor);
+      this.gradientKey = key;
+    }
+    this.ctx.fillStyle = this.gradient;
+    this.ctx.fillRect(0, 0, CONFIG.canvas.width, height);
   }
 
-  render(renderer) {
-    // Override in subclasses
-  }
+  /**
+   * Draw order hint (see RENDER_LAYERS). Canvas drawing is already in
+   * call order, so only the grid renderer uses it.
+   * @param {number} layer
+   */
+  setLayer(layer) {}
 
-  destroy() {
-    this.active = false;
+  // Called around each rendered frame
+  beginFrame() {}
+
+  endFrame() {}
+
+  /**
+   * Draw through a camera (offset, and zoom about the screen center) until
+   * endCamera()
+   * @param {Camera} camera
+   */
+  beginCamera(camera) {
+    const { offsetX, offsetY, zoom } = camera;
+    this.cameraApplied = offsetX !== 0 || offsetY !== 0 || zoom !== 1;
+    if (!this.cameraApplied) return;
+
+    const centerX = CONFIG.canvas.width / 2;
+    const centerY = CONFIG.canvas.height / 2;
+    this.ctx.save();
+    this.ctx.translate(centerX + offsetX, centerY + offsetY);
+    this.ctx.scale(zoom, zoom);
+    this.ctx.translate(-centerX, -centerY);
   }
 
-  // Circular collision detection
-  collidesWith(other) {
-    const dx = this.x - other.x;
-    const dy = this.y - other.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance < (this.hitboxRadius + other.hitboxRadius);
+  endCamera() {
+    if (this.cameraApplied) {
+      this.ctx.restore();
+      this.cameraApplied = false;
+    }
   }
 }
 
 // ============================================================================
-// PROJECTILE CLASS
+// GLYPH ATLAS RENDERER
 // ============================================================================
 
-class Projectile extends Entity {
-  constructor(x, y, config) {
-    super(x, y);
-    this.type = 'projectile';
-    this.vx = config.vx || 0;
-    this.vy = config.vy || -config.speed; // Default upward
-    this.char = config.char || '!';
-    this.color = config.color || '#ffffff';
-    this.damage = config.damage || 10;
-    this.hitboxRadius = config.hitboxRadius || 3;
-    this.owner = config.owner || 'player'; // 'player' or 'enemy'
-  }
-
-  update(deltaTime) {
-    this.x += this.vx * deltaTime;
-    this.y += this.vy * deltaTime;
+// Atlas layout: fixed-size cells, cleared and refilled when every cell is used
+// (fading particles produce a steady stream of new colors)
+const GLYPH_ATLAS_COLUMNS = 64;
+const GLYPH_ATLAS_ROWS = 64;
+const GLYPH_PADDING = 2; // Room for antialiasing and glyphs overhanging their advance
+const SPRITE_CACHE_LIMIT = 256;
 
-    // Destroy if off screen
-    if (this.y < -50 || this.y > CONFIG.canvas.height + 50 ||
-        this.x < -50 || this.x > CONFIG.canvas.width + 50) {
-      this.destroy();
-    }
+/**
+ * Canvas for off-screen drawing (OffscreenCanvas where available)
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createOffscreenCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
   }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
 
-  render(renderer) {
-    renderer.drawTextCentered(this.char, this.x, this.y, this.color);
+/**
+ * Split '#rrggbbaa' into an opaque color and an alpha, so translucent
+ * variants (pulsing power-ups) share the opaque glyphs
+ * @param {string} color
+ * @returns {{color: string, alpha: number}}
+ */
+function splitColorAlpha(color) {
+  if (color.length === 9 && color[0] === '#') {
+    return { color: color.slice(0, 7), alpha: parseInt(color.slice(7), 16) / 255 };
   }
+  return { color, alpha: 1 };
 }
 
-// ============================================================================
-// WEAPON SYSTEMS
-// ============================================================================
-
-class Weapon {
-  constructor(config) {
-    this.id = config.id;
-    this.name = config.name;
-    this.fireRate = config.fireRate; // milliseconds between shots
-    this.lastFireTime = 0;
-    this.config = config;
+/**
+ * Glyphs of one font pre-rasterized into a grid of cells, one cell per
+ * character and color
+ */
+class GlyphAtlas {
+  constructor(font, size) {
+    this.font = font;
+    this.size = size;
+    this.canvas = createOffscreenCanvas(1, 1);
+    this.ctx = this.canvas.getContext('2d');
+    this.ctx.font = font;
+    this.advances = new Map(); // char -> advance width
+    this.glyphs = new Map();   // color -> Map(char -> cell index)
+    this.count = 0;
+    this.clears = 0;
+
+    // A square em per cell fits any monospace glyph, plus padding
+    this.cellWidth = Math.ceil(size) + GLYPH_PADDING * 2;
+    this.cellHeight = Math.ceil(size * 1.25) + GLYPH_PADDING * 2;
+    this.canvas.width = this.cellWidth * GLYPH_ATLAS_COLUMNS;
+    this.canvas.height = this.cellHeight * GLYPH_ATLAS_ROWS;
+    this.ctx.font = font; // Resizing resets context state
+    this.ctx.textBaseline = 'top';
   }
 
-  canFire(currentTime) {
-    return (currentTime - this.lastFireTime) >= this.fireRate;
+  /**
+   * Advance width of one character
+   * @param {string} char
+   * @returns {number}
+   */
+  advance(char) {
+    let width = this.advances.get(char);
+    if (width === undefined) {
+      width = this.ctx.measureText(char).width;
+      this.advances.set(char, width);
+    }
+    return width;
   }
 
-  fire(x, y, currentTime) {
-    if (!this.canFire(currentTime)) return [];
-    this.lastFireTime = currentTime;
-    return this.createProjectiles(x, y);
+  /**
+   * Atlas cell holding a character in a color, rasterizing it on first use
+   * @param {string} char
+   * @param {string} color
+   * @returns {number} Cell index
+   */
+  cell(char, color) {
+    let byChar = this.glyphs.get(color);
+    if (!byChar) {
+      byChar = new Map();
+      this.glyphs.set(color, byChar);
+    }
+    let index = byChar.get(char);
+    if (index !== undefined) return index;
+
+    if (this.count >= GLYPH_ATLAS_COLUMNS * GLYPH_ATLAS_ROWS) {
+      this.clear();
+      return this.cell(char, color);
+    }
+
+    index = this.count++;
+    const x = (index % GLYPH_ATLAS_COLUMNS) * this.cellWidth;
+    const y = Math.floor(index / GLYPH_ATLAS_COLUMNS) * this.cellHeight;
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(char, x + GLYPH_PADDING, y + GLYPH_PADDING);
+    byChar.set(char, index);
+    return index;
   }
 
-  createProjectiles(x, y) {
-    // Override in subclasses
-    return [];
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.glyphs.clear();
+    this.count = 0;
+    this.clears++;
   }
 }
 
-class SniperLaser extends Weapon {
-  constructor() {
-    super({
-      id: 'sniper',
-      name: 'Sniper Laser',
-      fireRate: 350,
-      projectileChar: '!',
-      projectileColor: '#00ff00',
-      projectileSpeed: 1600,
-      damage: 15,
-      hitboxRadius: 3
-    });
+/**
+ * Drop-in replacement for ASCIIRenderer that draws glyphs from a GlyphAtlas
+ * with drawImage instead of calling fillText/measureText every frame.
+ * Multi-line art (clouds, enemies, the boss) is cached whole as a bitmap.
+ */
+class GlyphAtlasRenderer extends ASCIIRenderer {
+  constructor(ctx) {
+    super(ctx);
+    this.sprites = new Map();        // art key + color -> { canvas, width, height }
+    this.spriteKeys = new WeakMap(); // art array -> art key
   }
 
-  createProjectiles(x, y) {
-    // Add muzzle flash
-    game.effects.push(createMuzzleFlash(x, y, this.config.projectileColor));
-
-    // Play laser sound
-    if (game.audioManager) {
-      game.audioManager.playLaserSound(800, 0.08);
+  setFont(size = CONFIG.font.size, family = CONFIG.font.family, weight = CONFIG.font.weight) {
+    super.setFont(size, family, weight);
+    const font = `${weight} ${size}px ${family}`;
+    this.atlases = this.atlases || new Map();
+    if (!this.atlases.has(font)) {
+      this.atlases.set(font, new GlyphAtlas(font, size));
     }
-
-    return [new Projectile(x, y - 10, {
-      speed: this.config.projectileSpeed,
-      char: this.config.projectileChar,
-      color: this.config.projectileColor,
-      damage: this.config.damage,
-      hitboxRadius: this.config.hitboxRadius,
-      owner: 'player'
-    })];
-  }
-}
-
-class VulcanCannon extends Weapon {
-  constructor() {
-    super({
-      id: 'vulcan',
-      name: 'Vulcan 50cal',
-      fireRate: 80,
-      projectileChar: '"',
-      projectileColor: '#0099ff',
-      projectileSpeed: 900,
-      damage: 5,
-      hitboxRadius: 2,
-      spread: 5
-    });
+    this.atlas = this.atlases.get(font);
+    this.fontSize = size;
   }
 
-  createProjectiles(x, y) {
-    // Add muzzle flash
-    game.effects.push(createMuzzleFlash(x, y, this.config.projectileColor));
-
-    // Play vulcan sound (higher pitch, shorter)
-    if (game.audioManager) {
-      game.audioManager.playLaserSound(1200, 0.05);
+  drawText(text, x, y, color = '#ffffff') {
+    const atlas = this.atlas;
+    const { color: glyphColor, alpha } = splitColorAlpha(color);
+    const { cellWidth, cellHeight } = atlas;
+    if (alpha < 1) this.ctx.globalAlpha = alpha;
+
+    let penX = x;
+    for (const char of text) {
+      if (char !== ' ') {
+        const index = atlas.cell(char, glyphColor);
+        this.ctx.drawImage(
+          atlas.canvas,
+          (index % GLYPH_ATLAS_COLUMNS) * cellWidth, Math.floor(index / GLYPH_ATLAS_COLUMNS) * cellHeight,
+          cellWidth, cellHeight,
+          penX - GLYPH_PADDING, y - GLYPH_PADDING,
+          cellWidth, cellHeight
+        );
+      }
+      penX += atlas.advance(char);
     }
 
-    // Random horizontal spread
-    const spreadOffset = (Math.random() - 0.5) * this.config.spread * 2;
-    return [new Projectile(x + spreadOffset, y - 10, {
-      speed: this.config.projectileSpeed,
-      char: this.config.projectileChar,
-      color: this.config.projectileColor,
-      damage: this.config.damage,
-      hitboxRadius: this.config.hitboxRadius,
-      owner: 'player'
-    })];
+    if (alpha < 1) this.ctx.globalAlpha = 1;
   }
-}
 
-class RocketLauncher extends Weapon {
-  constructor() {
-    super({
-      id: 'rocket',
-      name: 'Homing Rockets',
-      fireRate: 500,
-      projectileSpeed: 400,
-      damage: 50,
-      hitboxRadius: 5
-    });
-    this.ammo = 10;
-    this.maxAmmo = 10;
+  drawTextCentered(text, x, y, color = '#ffffff') {
+    this.drawText(text, x - this.measureWidth(text) / 2, y, color);
   }
 
-  canFire(currentTime) {
-    return super.canFire(currentTime) && this.ammo > 0;
+  drawMultiLine(lines, x, y, color = '#ffffff') {
+    const sprite = this.getSprite(lines, color);
+    this.ctx.drawImage(sprite.canvas, x - sprite.width / 2 - GLYPH_PADDING, y - GLYPH_PADDING);
   }
 
-  fire(x, y, currentTime) {
-    const projectiles = super.fire(x, y, currentTime);
-    if (projectiles.length > 0) {
-      this.ammo--;
+  measureWidth(text) {
+    let width = 0;
+    for (const char of text) {
+      width += this.atlas.advance(char);
     }
-    return projectiles;
+    return width;
   }
 
-  createProjectiles(x, y) {
-    // Add rocket launch flash
-    game.effects.push(createMuzzleFlash(x, y, '#ff6600'));
+  /**
+   * Bitmap of multi-line art in a color. Identical art shares one bitmap
+   * even when each entity builds its own array (clouds do).
+   * @param {string[]} lines
+   * @param {string} color
+   * @returns {{canvas: HTMLCanvasElement|OffscreenCanvas, width: number}}
+   */
+  getSprite(lines, color) {
+    let artKey = this.spriteKeys.get(lines);
+    if (artKey === undefined) {
+      artKey = `${this.fontSize}\n${lines.join('\n')}`;
+      this.spriteKeys.set(lines, artKey);
+    }
 
-    return [new Rocket(x, y - 10, {
-      speed: this.config.projectileSpeed,
-      damage: this.config.damage,
-      hitboxRadius: this.config.hitboxRadius,
-      owner: 'player'
-    })];
-  }
-}
+    const key = `${color}\n${artKey}`;
+    let sprite = this.sprites.get(key);
+    if (sprite) return sprite;
 
-class Rocket extends Projectile {
-  constructor(x, y, config) {
-    super(x, y, {
-      ...config,
-      speed: config.speed,
-      char: '^',
-      color: '#ffaa00'
+    if (this.sprites.size >= SPRITE_CACHE_LIMIT) {
+      this.sprites.clear();
+    }
+
+    const widths = lines.map(line => this.measureWidth(line));
+    const width = Math.max(0, ...widths);
+    const lineHeight = CONFIG.font.size;
+    const canvas = createOffscreenCanvas(
+      Math.ceil(width) + GLYPH_PADDING * 2,
+      lines.length * lineHeight + this.atlas.cellHeight
+    );
+    const ctx = canvas.getContext('2d');
+    const { color: fill, alpha } = splitColorAlpha(color);
+    ctx.font = this.atlas.font;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = fill;
+    ctx.globalAlpha = alpha;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, GLYPH_PADDING + (width - widths[index]) / 2, GLYPH_PADDING + index * lineHeight);
     });
-    this.type = 'rocket';
-    this.homingStrength = 0.3;
-    this.acceleration = 100;
-    this.age = 0;
-    this.homingActivation = 0.2; // seconds before homing starts
+
+    sprite = { canvas, width };
+    this.sprites.set(key, sprite);
+    return sprite;
   }
 
-  update(deltaTime) {
-    this.age += deltaTime;
+  /**
+   * Cache usage for the debug overlay
+   * @returns {string}
+   */
+  getCacheStats() {
+    return `atlas ${this.atlas.count}/${GLYPH_ATLAS_COLUMNS * GLYPH_ATLAS_ROWS} glyphs` +
+      ` (${this.atlas.clears} clears)  sprites ${this.sprites.size}`;
+  }
+}
 
-    // Apply acceleration
-    const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-    const newSpeed = currentSpeed + this.acceleration * deltaTime;
+// ============================================================================
+// CHARACTER GRID
+// ============================================================================
 
-    // Homing behavior after activation delay
-    if (this.age >= this.homingActivation && game.enemies.length > 0) {
-      // Find nearest enemy
-      let nearestEnemy = null;
-      let nearestDist = Infinity;
+// Draw order in grid mode: a cell keeps the glyph from the highest layer
+const RENDER_LAYERS = {
+  background: 0,
+  terrain: 1,
+  groundUnits: 2,
+  structures: 3,
+  farClouds: 4,
+  nearClouds: 5,
+  particles: 6,
+  effects: 7,
+  asteroids: 8,
+  enemies: 9,
+  projectiles: 10,
+  powerups: 11,
+  player: 12,
+  damageNumbers: 13,
+  ui: 14
+};
 
-      game.enemies.forEach(enemy => {
-        if (enemy.active) {
-          const dx = enemy.x - this.x;
-          const dy = enemy.y - this.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist < nearestDist) {
-            nearestDist = dist;
-            nearestEnemy = enemy;
-          }
-        }
-      });
+const parsedColors = new Map();
 
-      if (nearestEnemy) {
-        // Calculate direction to enemy
-        const dx = nearestEnemy.x - this.x;
-        const dy = nearestEnemy.y - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+/**
+ * Parse a CSS color as used by the game (#rgb, #rrggbb, #rrggbbaa, rgb(),
+ * rgba(), hsl()) into a packed 0xRRGGBB value and an alpha
+ * @param {string} color
+ * @returns {{rgb: number, alpha: number}}
+ */
+function parseColor(color) {
+  let parsed = parsedColors.get(color);
+  if (parsed) return parsed;
+
+  parsed = { rgb: 0xffffff, alpha: 1 };
+  let match;
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    const [r, g, b] = color.slice(1).split('').map(c => parseInt(c + c, 16));
+    parsed = { rgb: (r << 16) | (g << 8) | b, alpha: 1 };
+  } else if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(color)) {
+    const alpha = color.length === 9 ? parseInt(color.slice(7), 16) / 255 : 1;
+    parsed = { rgb: parseInt(color.slice(1, 7), 16), alpha };
+  } else if ((match = color.match(/^rgba?\(([^)]+)\)$/))) {
+    const [r, g, b, a = 1] = match[1].split(',').map(Number);
+    parsed = { rgb: (r << 16) | (g << 8) | b, alpha: a };
+  } else if ((match = color.match(/^hsl\(([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%\)$/))) {
+    const [h, sat, light] = [Number(match[1]), match[2] / 100, match[3] / 100];
+    const k = n => (n + h / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    const channel = n => Math.round((light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))) * 255);
+    parsed = { rgb: (channel(0) << 16) | (channel(8) << 8) | channel(4), alpha: 1 };
+  }
+
+  parsedColors.set(color, parsed);
+  return parsed;
+}
 
-        if (dist > 0) {
-          // Blend current direction with target direction
-          const targetVx = (dx / dist) * newSpeed;
-          const targetVy = (dy / dist) * newSpeed;
+/**
+ * Blend two packed colors
+ * @param {number} from
+ * @param {number} to
+ * @param {number} amount - 0 keeps from, 1 gives to
+ * @returns {number}
+ */
+function mixRGB(from, to, amount) {
+  const mix = shift => {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    return Math.round(a + (b - a) * amount) << shift;
+  };
+  return mix(16) | mix(8) | mix(0);
+}
 
-          this.vx += (targetVx - this.vx) * this.homingStrength;
-          this.vy += (targetVy - this.vy) * this.homingStrength;
-        }
-      }
-    } else {
-      // Just accelerate in current direction
-      if (currentSpeed > 0) {
-        this.vx = (this.vx / currentSpeed) * newSpeed;
-        this.vy = (this.vy / currentSpeed) * newSpeed;
-      }
-    }
+/**
+ * Packed color as '#rrggbb'
+ * @param {number} rgb
+ * @returns {string}
+ */
+function formatRGB(rgb) {
+  return `#${rgb.toString(16).padStart(6, '0')}`;
+}
 
-    // Update position
-    this.x += this.vx * deltaTime;
-    this.y += this.vy * deltaTime;
+/**
+ * Fixed cols x rows buffer of terminal-style cells: a character, foreground
+ * and background color, and the layer that wrote it
+ */
+class CharacterGrid {
+  constructor(cols, rows) {
+    this.resize(cols, rows);
+  }
 
-    // Destroy if off screen
-    if (this.y < -50 || this.y > CONFIG.canvas.height + 50 ||
-        this.x < -50 || this.x > CONFIG.canvas.width + 50) {
-      this.destroy();
-    }
+  resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    const size = cols * rows;
+    this.chars = new Array(size).fill(' ');
+    this.fg = new Int32Array(size);
+    this.bg = new Int32Array(size);
+    this.layers = new Int8Array(size);
+    this.clear();
   }
 
-  render(renderer) {
-    // Render rocket body (centered)
-    renderer.drawTextCentered('^', this.x, this.y, this.color);
-    renderer.drawTextCentered('*', this.x, this.y + CONFIG.font.size, '#ff6600');
+  /**
+   * Blank every cell
+   * @param {number} [bg=0x000000]
+   */
+  clear(bg = 0x000000) {
+    this.chars.fill(' ');
+    this.fg.fill(0xffffff);
+    this.bg.fill(bg);
+    this.layers.fill(-1);
   }
-}
 
-// ============================================================================
-// PARTICLE SYSTEM
-// ============================================================================
+  /**
+   * Write a character unless a higher layer already owns the cell
+   * @param {number} col
+   * @param {number} row
+   * @param {string} char
+   * @param {number} fg - Packed color
+   * @param {number} layer
+   */
+  put(col, row, char, fg, layer) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return;
+    const index = row * this.cols + col;
+    if (layer < this.layers[index]) return;
+    this.chars[index] = char;
+    this.fg[index] = fg;
+    this.layers[index] = layer;
+  }
 
-class Particle extends Entity {
-  constructor(x, y, config) {
-    super(x, y);
-    this.type = 'particle';
-    this.vx = config.vx || 0;
-    this.vy = config.vy || 0;
-    this.char = config.char || '·';
-    this.color = config.color || '#ffffff';
-    this.lifetime = config.lifetime || 400; // milliseconds
-    this.age = 0;
-    this.fadeToColor = config.fadeToColor || null;
-    this.initialColor = this.color;
+  /**
+   * Set the background color of a whole row
+   * @param {number} row
+   * @param {number} bg - Packed color
+   */
+  fillRow(row, bg) {
+    const start = row * this.cols;
+    this.bg.fill(bg, start, start + this.cols);
   }
 
-  update(deltaTime) {
-    this.age += deltaTime * 1000;
+  /**
+   * Blend every cell toward a color (dims the playfield behind menus)
+   * @param {number} rgb
+   * @param {number} alpha
+   */
+  tint(rgb, alpha) {
+    for (let i = 0; i < this.fg.length; i++) {
+      this.fg[i] = mixRGB(this.fg[i], rgb, alpha);
+      this.bg[i] = mixRGB(this.bg[i], rgb, alpha);
+    }
+  }
 
-    // Update position
-    this.x += this.vx * deltaTime;
-    this.y += this.vy * deltaTime;
+  /**
+   * Characters only, one line per row (trailing spaces trimmed)
+   * @returns {string}
+   */
+  toText() {
+    const lines = [];
+    for (let row = 0; row < this.rows; row++) {
+      const start = row * this.cols;
+      lines.push(this.chars.slice(start, start + this.cols).join('').trimEnd());
+    }
+    return lines.join('\n');
+  }
 
-    // Fade color if specified
-    if (this.fadeToColor) {
-      const progress = Math.min(this.age / this.lifetime, 1);
-      this.color = this.interpolateColor(this.initialColor, this.fadeToColor, progress);
+  /**
+   * Characters with 24-bit ANSI colors, one line per row
+   * @returns {string}
+   */
+  toAnsi() {
+    const color = (layer, rgb) => `\x1b[${layer};2;${(rgb >> 16) & 0xff};${(rgb >> 8) & 0xff};${rgb & 0xff}m`;
+    const lines = [];
+    for (let row = 0; row < this.rows; row++) {
+      let line = '';
+      let lastFg = -1;
+      let lastBg = -1;
+      for (let index = row * this.cols; index < (row + 1) * this.cols; index++) {
+        if (this.bg[index] !== lastBg) {
+          line += color(48, this.bg[index]);
+          lastBg = this.bg[index];
+        }
+        if (this.chars[index] !== ' ' && this.fg[index] !== lastFg) {
+          line += color(38, this.fg[index]);
+          lastFg = this.fg[index];
+        }
+        line += this.chars[index];
+      }
+      lines.push(`${line}\x1b[0m`);
     }
+    return `${lines.join('\n')}\n`;
+  }
+}
 
-    // Destroy when lifetime expires
-    if (this.age >= this.lifetime) {
-      this.destroy();
+/**
+ * Renderer that writes into a CharacterGrid instead of drawing. Pixel
+ * positions snap to cells of one monospace character, so the same entity
+ * render code produces a true character-cell frame. The base class only
+ * fills the buffer; subclasses present it in endFrame().
+ */
+class GridRenderer {
+  /**
+   * @param {number} [cellWidth] - Pixels per column (monospace advance)
+   * @param {number} [cellHeight] - Pixels per row (one line of art)
+   */
+  constructor(cellWidth = CONFIG.font.size * 0.6, cellHeight = CONFIG.font.size) {
+    this.cellWidth = cellWidth;
+    this.cellHeight = cellHeight;
+    this.camera = null;
+    this.layer = RENDER_LAYERS.background;
+    this.grid = new CharacterGrid(1, 1);
+    this.fitToPlayfield();
+  }
+
+  /**
+   * Match the grid to the playfield (after a resize)
+   */
+  fitToPlayfield() {
+    const cols = Math.ceil(CONFIG.canvas.width / this.cellWidth);
+    const rows = Math.ceil(CONFIG.canvas.height / this.cellHeight);
+    if (cols !== this.grid.cols || rows !== this.grid.rows) {
+      this.grid.resize(cols, rows);
     }
   }
 
-  interpolateColor(color1, color2, progress) {
-    // Simple hex color interpolation
-    const c1 = parseInt(color1.slice(1), 16);
-    const c2 = parseInt(color2.slice(1), 16);
+  setFont() {}
 
-    const r1 = (c1 >> 16) & 0xff;
-    const g1 = (c1 >> 8) & 0xff;
-    const b1 = c1 & 0xff;
+  setLayer(layer) {
+    this.layer = layer;
+  }
 
-    const r2 = (c2 >> 16) & 0xff;
-    const g2 = (c2 >> 8) & 0xff;
-    const b2 = c2 & 0xff;
+  beginFrame() {
+    this.fitToPlayfield();
+    this.grid.clear();
+    this.layer = RENDER_LAYERS.background;
+  }
 
-    const r = Math.round(r1 + (r2 - r1) * progress);
-    const g = Math.round(g1 + (g2 - g1) * progress);
-    const b = Math.round(b1 + (b2 - b1) * progress);
+  endFrame() {}
 
-    return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+  // The camera moves and zooms where text starts; glyphs stay one cell each
+  beginCamera(camera) {
+    this.camera = camera;
   }
 
-  render(renderer) {
-    renderer.drawTextCentered(this.char, this.x, this.y, this.color);
+  endCamera() {
+    this.camera = null;
   }
-}
 
-// ============================================================================
-// VISUAL EFFECTS
-// ============================================================================
+  drawText(text, x, y, color = '#ffffff') {
+    if (this.camera) {
+      const { offsetX, offsetY, zoom } = this.camera;
+      const centerX = CONFIG.canvas.width / 2;
+      const centerY = CONFIG.canvas.height / 2;
+      x = (x - centerX) * zoom + centerX + offsetX;
+      y = (y - centerY) * zoom + centerY + offsetY;
+    }
+    const { rgb } = parseColor(color);
+    const row = Math.round(y / this.cellHeight);
+    let col = Math.round(x / this.cellWidth);
+    // Screen text blanks the cells behind it so it stays readable over the terrain
+    const opaque = this.layer === RENDER_LAYERS.ui;
+    for (const char of text) {
+      if (char !== ' ' || opaque) {
+        this.grid.put(col, row, char, rgb, this.layer);
+      }
+      col++;
+    }
+  }
 
-class Effect extends Entity {
-  constructor(x, y, config) {
-    super(x, y);
-    this.type = 'effect';
-    this.frames = config.frames || [];
-    this.currentFrame = 0;
-    this.frameTimer = 0;
-    this.particles = [];
-    this.particleConfig = config.particles || null;
-    this.particlesSpawned = false;
+  drawTextCentered(text, x, y, color = '#ffffff') {
+    this.drawText(text, x - this.measureWidth(text) / 2, y, color);
   }
 
-  update(deltaTime) {
-    if (this.currentFrame >= this.frames.length) {
-      this.destroy();
-      return;
-    }
+  drawMultiLine(lines, x, y, color = '#ffffff') {
+    lines.forEach((line, index) => {
+      this.drawTextCentered(line, x, y + index * this.cellHeight, color);
+    });
+  }
 
-    this.frameTimer += deltaTime * 1000;
+  measureWidth(text) {
+    return text.length * this.cellWidth;
+  }
 
-    const frame = this.frames[this.currentFrame];
-    if (this.frameTimer >= frame.duration) {
-      this.currentFrame++;
-      this.frameTimer = 0;
+  drawOverlay(color) {
+    const { rgb, alpha } = parseColor(color);
+    this.grid.tint(rgb, alpha);
+  }
 
-      // Spawn particles on first frame
-      if (this.currentFrame === 1 && !this.particlesSpawned && this.particleConfig) {
-        this.spawnParticles();
-        this.particlesSpawned = true;
-      }
+  fillGradient(topColor, bottomColor) {
+    const top = parseColor(topColor).rgb;
+    const bottom = parseColor(bottomColor).rgb;
+    const last = Math.max(1, this.grid.rows - 1);
+    for (let row = 0; row < this.grid.rows; row++) {
+      this.grid.fillRow(row, mixRGB(top, bottom, row / last));
     }
   }
 
-  spawnParticles() {
-    if (!this.particleConfig) return;
+  /**
+   * The last frame as plain text
+   * @returns {string}
+   */
+  toText() {
+    return this.grid.toText();
+  }
+}
 
-    const count = this.particleConfig.count || 8;
-    const speed = this.particleConfig.speed || 100;
-    const char = this.particleConfig.char || '·';
-    const initialColor = this.particleConfig.initialColor || '#ffffff';
-    const fadeToColor = this.particleConfig.fadeToColor || null;
-    const lifetime = this.particleConfig.lifetime || 400;
+/**
+ * Grid mode in the browser: the cell buffer is flushed to the canvas once
+ * per frame, backgrounds as runs of rects and glyphs from a GlyphAtlas
+ */
+class CanvasGridRenderer extends GridRenderer {
+  constructor(ctx) {
+    const font = `${CONFIG.font.weight} ${CONFIG.font.size}px ${CONFIG.font.family}`;
+    const atlas = new GlyphAtlas(font, CONFIG.font.size);
+    super(atlas.advance('M'), CONFIG.font.size);
+    this.ctx = ctx;
+    this.atlas = atlas;
+    this.colorStrings = new Map(); // packed color -> '#rrggbb'
+  }
 
-    for (let i = 0; i < count; i++) {
-      const angle = (Math.PI * 2 * i) / count;
-      const vx = Math.cos(angle) * speed;
-      const vy = Math.sin(angle) * speed;
+  cssColor(rgb) {
+    let color = this.colorStrings.get(rgb);
+    if (!color) {
+      color = formatRGB(rgb);
+      this.colorStrings.set(rgb, color);
+    }
+    return color;
+  }
 
-      const particle = new Particle(this.x, this.y, {
-        vx,
-        vy,
-        char,
-        color: initialColor,
-        fadeToColor,
-        lifetime
-      });
+  endFrame() {
+    const { grid, ctx, atlas, cellWidth, cellHeight } = this;
+    const { chars, fg, bg, cols, rows } = grid;
 
-      game.particles.push(particle);
+    for (let row = 0; row < rows; row++) {
+      const y = row * cellHeight;
+      const start = row * cols;
+
+      // Backgrounds as runs of equal color
+      let runStart = 0;
+      for (let col = 1; col <= cols; col++) {
+        if (col === cols || bg[start + col] !== bg[start + runStart]) {
+          ctx.fillStyle = this.cssColor(bg[start + runStart]);
+          ctx.fillRect(Math.round(runStart * cellWidth), y, Math.round(col * cellWidth) - Math.round(runStart * cellWidth), cellHeight);
+          runStart = col;
+        }
+      }
+
+      for (let col = 0; col < cols; col++) {
+        const char = chars[start + col];
+        if (char === ' ') continue;
+        const index = atlas.cell(char, this.cssColor(fg[start + col]));
+        ctx.drawImage(
+          atlas.canvas,
+          (index % GLYPH_ATLAS_COLUMNS) * atlas.cellWidth, Math.floor(index / GLYPH_ATLAS_COLUMNS) * atlas.cellHeight,
+          atlas.cellWidth, atlas.cellHeight,
+          Math.round(col * cellWidth) - GLYPH_PADDING, y - GLYPH_PADDING,
+          atlas.cellWidth, atlas.cellHeight
+        );
+      }
     }
   }
 
-  render(renderer) {
-    if (this.currentFrame >= this.frames.length) return;
-
-    const frame = this.frames[this.currentFrame];
-    renderer.drawTextCentered(frame.char, this.x, this.y, frame.color);
+  getCacheStats() {
+    return `grid ${this.grid.cols}x${this.grid.rows}  atlas ${this.atlas.count}/${GLYPH_ATLAS_COLUMNS * GLYPH_ATLAS_ROWS} glyphs`;
   }
 }
 
+/**
+ * Renderer chosen by ?renderer=text (plain fillText, for comparison) or
+ * ?renderer=grid (character cells); the glyph atlas otherwise
+ * @param {CanvasRenderingContext2D} ctx
+ * @returns {ASCIIRenderer|GridRenderer}
+ */
+function createRenderer(ctx) {
+  const param = typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('renderer')
+    : null;
+  if (param === 'text') return new ASCIIRenderer(ctx);
+  if (param === 'grid') return new CanvasGridRenderer(ctx);
+  return new GlyphAtlasRenderer(ctx);
+}
+
 // ============================================================================
-// POWER-UP SYSTEM
+// HUD (DOM status display)
 // ============================================================================
 
-class PowerUp extends Entity {
-  constructor(x, y, type) {
-    super(x, y);
-    this.type = type;
-    this.vy = 80; // Slow downward movement
-    this.hitboxRadius = 10;
-    this.pulseTimer = 0;
+// Boss health bar fill, from the first phase to the last
+const BOSS_BAR_GRADIENTS = [
+  'linear-gradient(90deg, #ff0000 0%, #ff6600 50%, #ff0000 100%)',
+  'linear-gradient(90deg, #ff6600 0%, #ffaa00 50%, #ff6600 100%)',
+  'linear-gradient(90deg, #ffaa00 0%, #ffff00 50%, #ffaa00 100%)'
+];
 
-    // Configure based on type
-    switch (type) {
-      case 'health':
-        this.char = '+';
-        this.color = '#ff0000'; // Red cross
-        this.healAmount = 25;
-        break;
-      case 'health_large':
-        this.char = '♥';
-        this.color = '#ff69b4'; // Pink heart
-        this.healAmount = 50;
-        break;
-      case 'rocket_ammo':
-        this.char = 'R';
-        this.color = '#ffaa00'; // Orange
-        this.ammoAmount = 5;
-        break;
-      default:
-        this.char = '?';
-        this.color = '#ffffff';
+/**
+ * Writes player and boss status into the HTML overlay. The simulation only
+ * talks to game.hud, so other front-ends can swap in their own display.
+ */
+class HUD {
+  updateHealth(health) {
+    const healthEl = document.querySelector('#health span');
+    if (healthEl) {
+      healthEl.textContent = health;
     }
   }
 
-  update(deltaTime) {
-    // Move downward
-    this.y += this.vy * deltaTime;
-
-    // Pulse animation
-    this.pulseTimer += deltaTime * 5;
+  updateLives(lives) {
+    const livesEl = document.querySelector('#lives span');
+    if (livesEl) {
+      livesEl.textContent = lives;
+    }
+  }
 
-    // Destroy if off screen
-    if (this.y > CONFIG.canvas.height + 50) {
-      this.destroy();
+  updateScore(score) {
+    const scoreEl = document.querySelector('#score span');
+    if (scoreEl) {
+      scoreEl.textContent = score;
     }
   }
 
-  render(renderer) {
-    // Pulsing effect
-    const scale = 1 + Math.sin(this.pulseTimer) * 0.3;
-    const alpha = Math.floor((0.7 + Math.sin(this.pulseTimer) * 0.3) * 255).toString(16).padStart(2, '0');
-    const color = this.color + alpha;
+  /**
+   * Highlight the selected weapon and show rocket ammo
+   * @param {string} weaponId - Id of the current primary weapon
+   * @param {number} rocketAmmo
+   */
+  updateWeapons(weaponId, rocketAmmo) {
+    document.querySelectorAll('.weapon').forEach(el => {
+      el.classList.remove('ui-current-weapon');
+    });
 
-    renderer.drawTextCentered(this.char, this.x, this.y, color);
+    const uiElement = document.getElementById(`ui-${weaponId}-weapon`);
+    if (uiElement) {
+      uiElement.classList.add('ui-current-weapon');
+    }
+
+    const rocketAmmoEl = document.querySelector('#ui-rocket-weapon .ammo');
+    if (rocketAmmoEl) {
+      rocketAmmoEl.textContent = rocketAmmo;
+    }
   }
 
-  collect(player) {
-    switch (this.type) {
-      case 'health':
-      case 'health_large':
-        player.health = Math.min(player.maxHealth, player.health + this.healAmount);
-        player.updateHealthUI();
-        break;
-      case 'rocket_ammo':
-        player.rocketLauncher.ammo = Math.min(
-          player.rocketLauncher.maxAmmo,
-          player.rocketLauncher.ammo + this.ammoAmount
-        );
-        player.updateWeaponUI();
-        break;
+  /**
+   * @param {string} name - Shown above the bar
+   */
+  showBossHealth(name) {
+    const container = document.getElementById('boss-health-container');
+    if (container) {
+      container.style.display = 'block';
     }
+    const nameEl = document.getElementById('boss-name');
+    if (nameEl) {
+      nameEl.textContent = name;
+    }
+  }
 
-    // Play collection sound (simple beep)
-    if (game.audioManager && game.audioManager.initialized) {
-      game.audioManager.playLaserSound(1200, 0.1);
+  hideBossHealth() {
+    const container = document.getElementById('boss-health-container');
+    if (container) {
+      container.style.display = 'none';
     }
+  }
 
-    this.destroy();
+  /**
+   * @param {number} health
+   * @param {number} maxHealth
+   * @param {number} progress - How far through its phases the boss is (0 first, 1 last)
+   */
+  updateBossHealth(health, maxHealth, progress = 0) {
+    const fill = document.getElementById('boss-health-fill');
+    if (fill) {
+      const healthPercent = (health / maxHealth) * 100;
+      fill.style.width = healthPercent + '%';
+
+      // Color heats up from red to yellow as the boss moves through its phases
+      const index = Math.round(progress * (BOSS_BAR_GRADIENTS.length - 1));
+      fill.style.background = BOSS_BAR_GRADIENTS[index];
+    }
   }
 }
 
 // ============================================================================
-// EFFECT FACTORIES
+// COLLISION SHAPES
 // ============================================================================
 
-function createSmallExplosion(x, y) {
-  // Play explosion sound
-  if (game.audioManager) {
-    game.audioManager.playExplosionSound(false);
+/**
+ * Hitbox built from the glyph cells of ASCII art, in pixels relative to the
+ * entity's position (top-center of the art, as drawMultiLine places it).
+ * Modes:
+ *   'cells'  - one box per horizontal run of non-space glyphs (default), so
+ *              shots pass through gaps between characters
+ *   'bounds' - a single box around every non-space glyph
+ */
+class CollisionShape {
+  constructor(boxes) {
+    this.boxes = boxes; // [{ left, top, right, bottom }]
+    this.bounds = boxes.reduce((bounds, box) => ({
+      left: Math.min(bounds.left, box.left),
+      top: Math.min(bounds.top, box.top),
+      right: Math.max(bounds.right, box.right),
+      bottom: Math.max(bounds.bottom, box.bottom)
+    }), { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
   }
 
-  return new Effect(x, y, {
-    frames: [
-      { char: '*', color: '#ffffff', duration: 50 },
-      { char: '@', color: '#ffff00', duration: 50 },
-      { char: '#', color: '#ff6600', duration: 60 },
-      { char: '%', color: '#ff3300', duration: 60 },
-      { char: '+', color: '#ff0000', duration: 70 },
-      { char: '·', color: '#660000', duration: 80 }
-    ],
-    particles: {
-      count: 8,
-      char: '·',
-      initialColor: '#ffff00',
-      fadeToColor: '#660000',
-      speed: 100,
-      lifetime: 400
-    }
-  });
-}
+  /**
+   * @param {string|string[]} art - One line or multi-line art
+   * @param {string} [mode='cells'] - 'cells' or 'bounds'
+   * @returns {CollisionShape|null} Null when the art has no visible glyphs
+   */
+  static fromArt(art, mode = 'cells') {
+    const lines = Array.isArray(art) ? art : [art];
+    const lineHeight = CONFIG.font.size;
+    const boxes = [];
+
+    lines.forEach((line, row) => {
+      if (!line) return;
+      // Lines are centered on the entity; glyphs are monospace cells
+      const lineWidth = measureArtWidth(line);
+      const cellWidth = lineWidth / line.length;
+      const lineLeft = -lineWidth / 2;
+
+      let runStart = -1;
+      for (let col = 0; col <= line.length; col++) {
+        const visible = col < line.length && line[col] !== ' ';
+        if (visible && runStart < 0) {
+          runStart = col;
+        } else if (!visible && runStart >= 0) {
+          boxes.push({
+            left: lineLeft + runStart * cellWidth,
+            top: row * lineHeight,
+            right: lineLeft + col * cellWidth,
+            bottom: (row + 1) * lineHeight
+          });
+          runStart = -1;
+        }
+      }
+    });
 
-function createLargeExplosion(x, y) {
-  // Play large explosion sound
-  if (game.audioManager) {
-    game.audioManager.playExplosionSound(true);
+    if (boxes.length === 0) return null;
+
+    const shape = new CollisionShape(boxes);
+    return mode === 'bounds' ? new CollisionShape([shape.bounds]) : shape;
   }
 
-  return new Effect(x, y, {
-    frames: [
-      { char: '█', color: '#ffffff', duration: 60 },
-      { char: '@', color: '#ffff00', duration: 60 },
-      { char: '#', color: '#ff6600', duration: 70 },
-      { char: '%', color: '#ff3300', duration: 70 },
-      { char: '+', color: '#ff0000', duration: 80 },
-      { char: '·', color: '#660000', duration: 100 }
-    ],
-    particles: {
-      count: 20,
-      char: '*',
-      initialColor: '#ffffff',
-      fadeToColor: '#330000',
-      speed: 150,
-      lifetime: 600
+  /**
+   * Circle vs shape
+   * @param {number} x - Shape owner position
+   * @param {number} y
+   * @param {number} cx - Circle center
+   * @param {number} cy
+   * @param {number} radius
+   * @returns {boolean}
+   */
+  intersectsCircle(x, y, cx, cy, radius) {
+    const localX = cx - x;
+    const localY = cy - y;
+    const radiusSq = radius * radius;
+    if (!boxTouchesCircle(this.bounds, localX, localY, radiusSq)) return false;
+    return this.boxes.some(box => boxTouchesCircle(box, localX, localY, radiusSq));
+  }
+
+  /**
+   * Shape vs shape
+   * @param {number} x - This shape's owner position
+   * @param {number} y
+   * @param {CollisionShape} other
+   * @param {number} otherX - Other shape's owner position
+   * @param {number} otherY
+   * @returns {boolean}
+   */
+  intersectsShape(x, y, other, otherX, otherY) {
+    const dx = otherX - x;
+    const dy = otherY - y;
+    if (!boxesOverlap(this.bounds, other.bounds, dx, dy)) return false;
+    return this.boxes.some(box => other.boxes.some(otherBox => boxesOverlap(box, otherBox, dx, dy)));
+  }
+
+  /**
+   * Shortest move that takes this shape out of the first overlapping box of
+   * another (ties push down, the way scrolling structures travel)
+   * @returns {{dx: number, dy: number}|null} Null when they don't overlap
+   */
+  separation(x, y, other, otherX, otherY) {
+    const dx = otherX - x;
+    const dy = otherY - y;
+    if (!boxesOverlap(this.bounds, other.bounds, dx, dy)) return null;
+
+    for (const box of this.boxes) {
+      for (const otherBox of other.boxes) {
+        if (!boxesOverlap(box, otherBox, dx, dy)) continue;
+        const down = otherBox.bottom + dy - box.top;
+        const up = box.bottom - (otherBox.top + dy);
+        const left = box.right - (otherBox.left + dx);
+        const right = otherBox.right + dx - box.left;
+        const least = Math.min(down, up, left, right);
+        if (least === down) return { dx: 0, dy: down };
+        if (least === up) return { dx: 0, dy: -up };
+        if (least === left) return { dx: -left, dy: 0 };
+        return { dx: right, dy: 0 };
+      }
     }
-  });
+    return null;
+  }
 }
 
-function createImpactEffect(x, y) {
-  // Play hit sound
-  if (game.audioManager) {
-    game.audioManager.playHitSound();
-  }
+// Closest point on the box to the circle center, within the radius?
+function boxTouchesCircle(box, cx, cy, radiusSq) {
+  const nearestX = Math.max(box.left, Math.min(cx, box.right));
+  const nearestY = Math.max(box.top, Math.min(cy, box.bottom));
+  const dx = cx - nearestX;
+  const dy = cy - nearestY;
+  return dx * dx + dy * dy < radiusSq;
+}
 
-  return new Effect(x, y, {
-    frames: [
-      { char: '*', color: '#ffffff', duration: 40 },
-      { char: '·', color: '#ffff00', duration: 40 }
-    ],
-    particles: {
-      count: 3,
-      char: '·',
-      initialColor: '#ffffff',
-      fadeToColor: '#ffff00',
-      speed: 80,
-      lifetime: 200
-    }
-  });
+// Box a vs box b shifted by (dx, dy)
+function boxesOverlap(a, b, dx, dy) {
+  return a.left < b.right + dx && a.right > b.left + dx &&
+         a.top < b.bottom + dy && a.bottom > b.top + dy;
 }
 
-function createMuzzleFlash(x, y, color = '#00ff00') {
-  return new Effect(x, y - 5, {
-    frames: [
-      { char: '*', color: color, duration: 30 },
-      { char: '·', color: color, duration: 20 }
-    ]
-  });
+/**
+ * Rendered width of a line of art (estimated as monospace without a renderer)
+ * @param {string} line
+ * @returns {number}
+ */
+function measureArtWidth(line) {
+  return game.renderer ? game.renderer.measureWidth(line) : line.length * CONFIG.font.size * 0.6;
 }
 
 // ============================================================================
-// BACKGROUND SYSTEM
+// BASE ENTITY CLASS
 // ============================================================================
 
-class Background {
-  constructor(ctx, width, height) {
-    this.ctx = ctx;
-    this.width = width;
-    this.height = height;
-    this.createGradient();
+class Entity {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.active = true;
+    this.type = 'entity';
+    this.hitboxRadius = 0;
+    this.hitboxOffsetY = 0; // Circle hitbox center relative to y
+    this.hitbox = 'circle'; // 'circle', or a CollisionShape mode built from this.art
+    this.altitude = 'air'; // 'air', or 'ground' for units on the surface (only bombs reach them)
   }
 
-  createGradient() {
-    this.gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-    this.gradient.addColorStop(0, CONFIG.background.skyGradientTop);
-    this.gradient.addColorStop(1, CONFIG.background.skyGradientBottom);
+  update(deltaTime) {
+    // Override in subclasses
   }
 
-  resize(width, height) {
-    this.width = width;
-    this.height = height;
-    this.createGradient();
+  render(renderer) {
+    // Override in subclasses
   }
 
-  update(deltaTime) {
-    // Background doesn't need updates (clouds handle their own scrolling)
+  destroy() {
+    this.active = false;
   }
 
-  render() {
-    // Render sky gradient
-    this.ctx.fillStyle = this.gradient;
-    this.ctx.fillRect(0, 0, this.width, this.height);
+  /**
+   * Bring the entity back to life at a new position (pooled entities are
+   * reused after being destroyed)
+   */
+  respawn(x, y) {
+    this.x = x;
+    this.y = y;
+    this.active = true;
+    this.resetInterpolation();
+  }
+
+  /**
+   * Snap the interpolated render position to the current position
+   * (call after teleporting so the entity doesn't streak across the screen)
+   */
+  resetInterpolation() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /**
+   * Glyph-based hitbox for the current art, rebuilt when the art changes
+   * (animation frames). Null for circle hitboxes.
+   * @returns {CollisionShape|null}
+   */
+  getCollisionShape() {
+    if (this.hitbox === 'circle' || !this.art) return null;
+    if (this.collisionShapeArt !== this.art) {
+      this.collisionShapeArt = this.art;
+      this.collisionShape = CollisionShape.fromArt(this.art, this.hitbox);
+    }
+    return this.collisionShape;
+  }
+
+  /**
+   * World-space bounding box of the hitbox (used by the broadphase)
+   * @returns {{left: number, top: number, right: number, bottom: number}}
+   */
+  getBounds() {
+    const shape = this.getCollisionShape();
+    if (shape) {
+      const { left, top, right, bottom } = shape.bounds;
+      return { left: this.x + left, top: this.y + top, right: this.x + right, bottom: this.y + bottom };
+    }
+    const cy = this.y + this.hitboxOffsetY;
+    const r = this.hitboxRadius;
+    return { left: this.x - r, top: cy - r, right: this.x + r, bottom: cy + r };
+  }
+
+  // Shape-aware collision: glyph boxes where available, circles otherwise
+  collidesWith(other) {
+    const shape = this.getCollisionShape();
+    const otherShape = other.getCollisionShape();
+
+    if (shape && otherShape) {
+      return shape.intersectsShape(this.x, this.y, otherShape, other.x, other.y);
+    }
+    if (shape) {
+      return shape.intersectsCircle(this.x, this.y, other.x, other.y + other.hitboxOffsetY, other.hitboxRadius);
+    }
+    if (otherShape) {
+      return otherShape.intersectsCircle(other.x, other.y, this.x, this.y + this.hitboxOffsetY, this.hitboxRadius);
+    }
+
+    // Circle vs circle (squared distances, no sqrt)
+    const dx = this.x - other.x;
+    const dy = (this.y + this.hitboxOffsetY) - (other.y + other.hitboxOffsetY);
+    const radii = this.hitboxRadius + other.hitboxRadius;
+    return dx * dx + dy * dy < radii * radii;
   }
 }
 
-class Cloud extends Entity {
+// ============================================================================
+// PROJECTILE CLASS
+// ============================================================================
+
+class Projectile extends Entity {
   constructor(x, y, config) {
     super(x, y);
-    this.type = 'cloud';
-    this.art = config.art;
-    this.color = config.color;
-    this.speed = config.speed; // Downward scroll speed
-    this.layer = config.layer; // 'far' or 'near'
+    this.reset(x, y, config);
+  }
+
+  /**
+   * (Re)initialize from a config, on construction or reuse from a pool
+   */
+  reset(x, y, config) {
+    this.respawn(x, y);
+    this.type = 'projectile';
+    this.vx = config.vx || 0;
+    this.vy = config.vy || -config.speed; // Default upward
+    this.char = config.char || '!';
+    this.color = config.color || '#ffffff';
+    this.damage = config.damage || 10;
+    this.hitboxRadius = config.hitboxRadius || 3;
+    this.hitboxOffsetY = CONFIG.font.size / 2; // Centered on the drawn glyph
+    this.owner = config.owner || 'player'; // 'player' or 'enemy'
+    this.subPattern = config.subPattern || null; // { pattern, after }
+    this.age = 0; // milliseconds
+    this.altitude = config.altitude || 'air'; // Only hits entities at the same altitude
+    this.armed = true; // Checked for hits (bombs arm when they land)
   }
 
   update(deltaTime) {
-    // Clouds scroll downward
-    this.y += this.speed * deltaTime;
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+
+    // Burst into a sub-pattern once the fuse runs out
+    if (this.subPattern) {
+      this.age += deltaTime * 1000;
+      if (this.age >= (this.subPattern.after || 0)) {
+        firePattern(this.subPattern.pattern, { x: this.x, y: this.y, active: true }, { owner: this.owner });
+        this.destroy();
+        return;
+      }
+    }
 
     // Destroy if off screen
-    if (this.y > CONFIG.canvas.height + 100) {
+    if (this.y < -50 || this.y > CONFIG.canvas.height + 50 ||
+        this.x < -50 || this.x > CONFIG.canvas.width + 50) {
       this.destroy();
     }
   }
 
   render(renderer) {
-    if (Array.isArray(this.art)) {
-      renderer.drawMultiLine(this.art, this.x, this.y, this.color);
-    } else {
-      renderer.drawTextCentered(this.art, this.x, this.y, this.color);
-    }
+    renderer.drawTextCentered(this.char, this.x, this.y, this.color);
   }
 }
 
 // ============================================================================
-// CLOUD FACTORIES
+// WEAPON SYSTEMS
 // ============================================================================
 
-function createFarCloud() {
-  const types = [
-    {
-      art: [
-        '       ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░       ',
-        '     ░░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░░     ',
-        '   ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░   ',
-        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
-        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
-        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
-      ],
-      chance: 0.25 // Large
-    },
-    {
-      art: [
-        '     ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░     ',
-        '   ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░   ',
-        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
-        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
-        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
-      ],
-      chance: 0.35 // Medium
-    },
-    {
-      art: [
-        '   ░░░░░░░░░░░░░░░░░░░░░░   ',
-        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
-        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
-        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
-      ],
-      chance: 0.4 // Small
-    }
-  ];
+class Weapon {
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+    this.fireRate = config.fireRate; // milliseconds between shots
+    this.lastFireTime = -Infinity;
+    this.config = config;
+  }
 
-  // Weighted random selection
-  const rand = Math.random();
-  let cumulative = 0;
-  let selectedType = types[0];
+  canFire(currentTime) {
+    return (currentTime - this.lastFireTime) >= this.fireRate;
+  }
 
-  for (const type of types) {
-    cumulative += type.chance;
-    if (rand <= cumulative) {
-      selectedType = type;
-      break;
+  fire(x, y, currentTime) {
+    if (!this.canFire(currentTime)) return [];
+    this.lastFireTime = currentTime;
+    return this.createProjectiles(x, y);
+  }
+
+  createProjectiles(x, y) {
+    // Override in subclasses
+    return [];
+  }
+}
+
+class SniperLaser extends Weapon {
+  constructor() {
+    super({
+      id: 'sniper',
+      name: 'Sniper Laser',
+      fireRate: 350,
+      projectileChar: '!',
+      projectileColor: '#00ff00',
+      projectileSpeed: 1600,
+      damage: 15,
+      hitboxRadius: 3
+    });
+  }
+
+  createProjectiles(x, y) {
+    // Add muzzle flash
+    game.effects.push(createMuzzleFlash(x, y, this.config.projectileColor));
+
+    // Play laser sound
+    if (game.audioManager) {
+      game.audioManager.playLaserSound(800, 0.08);
     }
+
+    return [entityPools.projectiles.acquire(x, y - 10, {
+      speed: this.config.projectileSpeed,
+      char: this.config.projectileChar,
+      color: this.config.projectileColor,
+      damage: this.config.damage,
+      hitboxRadius: this.config.hitboxRadius,
+      owner: 'player'
+    })];
   }
+}
 
-  const x = Math.random() * CONFIG.canvas.width;
-  const y = -50;
+class VulcanCannon extends Weapon {
+  constructor() {
+    super({
+      id: 'vulcan',
+      name: 'Vulcan 50cal',
+      fireRate: 80,
+      projectileChar: '"',
+      projectileColor: '#0099ff',
+      projectileSpeed: 900,
+      damage: 5,
+      hitboxRadius: 2,
+      spread: 5
+    });
+  }
 
-  return new Cloud(x, y, {
-    art: selectedType.art,
-    color: '#f0f8ff', // Alice blue
-    speed: 20,
-    layer: 'far'
-  });
+  createProjectiles(x, y) {
+    // Add muzzle flash
+    game.effects.push(createMuzzleFlash(x, y, this.config.projectileColor));
+
+    // Play vulcan sound (higher pitch, shorter)
+    if (game.audioManager) {
+      game.audioManager.playLaserSound(1200, 0.05);
+    }
+
+    // Random horizontal spread
+    const spreadOffset = game.rng.range(-1, 1) * this.config.spread;
+    return [entityPools.projectiles.acquire(x + spreadOffset, y - 10, {
+      speed: this.config.projectileSpeed,
+      char: this.config.projectileChar,
+      color: this.config.projectileColor,
+      damage: this.config.damage,
+      hitboxRadius: this.config.hitboxRadius,
+      owner: 'player'
+    })];
+  }
 }
 
-function createNearCloud() {
-  const types = [
-    {
-      art: [
-        '           ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░           ',
-        '        ░░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░░        ',
-        '      ░░▒▒▒▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▒▒▒░░      ',
-        '    ░░▒▒▓▓▓████████████████████████████████████████████████████████▓▓▓▒▒░░    ',
-        '   ░▒▒▓▓███████████████████████████████████████████████████████████████▓▓▒▒░   ',
-        '  ░▒▓▓████████████████████████████████████████████████████████████████████▓▓▒░  ',
-        ' ░▒▓▓██████████████████████████████████████████████████████████████████████▓▓▒░ ',
+class RocketLauncher extends Weapon {
+  constructor() {
+    super({
+      id: 'rocket',
+      name: 'Homing Rockets',
+      fireRate: 500,
+      projectileSpeed: 400,
+      damage: 50,
+      hitboxRadius: 5
+    });
+    this.ammo = 10;
+    this.maxAmmo = 10;
+  }
+
+  canFire(currentTime) {
+    return super.canFire(currentTime) && this.ammo > 0;
+  }
+
+  fire(x, y, currentTime) {
+    const projectiles = super.fire(x, y, currentTime);
+    if (projectiles.length > 0) {
+      this.ammo--;
+    }
+    return projectiles;
+  }
+
+  createProjectiles(x, y) {
+    // Add rocket launch flash
+    game.effects.push(createMuzzleFlash(x, y, '#ff6600'));
+
+    return [entityPools.rockets.acquire(x, y - 10, {
+      speed: this.config.projectileSpeed,
+      damage: this.config.damage,
+      hitboxRadius: this.config.hitboxRadius,
+      owner: 'player'
+    })];
+  }
+}
+
+class BombBay extends Weapon {
+  constructor() {
+    super({
+      id: 'bomb',
+      name: 'Bombs',
+      fireRate: 600,
+      projectileSpeed: 120, // Forward drift while falling
+      damage: 60,
+      fuse: 700,            // milliseconds until it reaches the surface
+      blastRadius: 14
+    });
+  }
+
+  createProjectiles(x, y) {
+    return [entityPools.bombs.acquire(x, y, {
+      speed: this.config.projectileSpeed,
+      damage: this.config.damage,
+      fuse: this.config.fuse,
+      blastRadius: this.config.blastRadius,
+      owner: 'player'
+    })];
+  }
+}
+
+class Rocket extends Projectile {
+  reset(x, y, config) {
+    super.reset(x, y, config);
+    this.type = 'rocket';
+    this.char = '^';
+    this.color = '#ffaa00';
+    this.homingStrength = 0.3;
+    this.acceleration = 100;
+    this.age = 0;
+    this.homingActivation = 0.2; // seconds before homing starts
+  }
+
+  update(deltaTime) {
+    this.age += deltaTime;
+
+    // Apply acceleration
+    const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+    const newSpeed = currentSpeed + this.acceleration * deltaTime;
+
+    // Homing behavior after activation delay
+    if (this.age >= this.homingActivation && game.enemies.length > 0) {
+      // Find nearest enemy
+      let nearestEnemy = null;
+      let nearestDist = Infinity;
+
+      game.enemies.forEach(enemy => {
+        if (enemy.active && enemy.altitude === this.altitude) {
+          const dx = enemy.x - this.x;
+          const dy = enemy.y - this.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist < nearestDist) {
+            nearestDist = dist;
+            nearestEnemy = enemy;
+          }
+        }
+      });
+
+      if (nearestEnemy) {
+        // Calculate direction to enemy
+        const dx = nearestEnemy.x - this.x;
+        const dy = nearestEnemy.y - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist > 0) {
+          // Blend current direction with target direction
+          const targetVx = (dx / dist) * newSpeed;
+          const targetVy = (dy / dist) * newSpeed;
+
+          this.vx += (targetVx - this.vx) * this.homingStrength;
+          this.vy += (targetVy - this.vy) * this.homingStrength;
+        }
+      }
+    } else {
+      // Just accelerate in current direction
+      if (currentSpeed > 0) {
+        this.vx = (this.vx / currentSpeed) * newSpeed;
+        this.vy = (this.vy / currentSpeed) * newSpeed;
+      }
+    }
+
+    // Update position
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+
+    // Destroy if off screen
+    if (this.y < -50 || this.y > CONFIG.canvas.height + 50 ||
+        this.x < -50 || this.x > CONFIG.canvas.width + 50) {
+      this.destroy();
+    }
+  }
+
+  render(renderer) {
+    // Render rocket body (centered)
+    renderer.drawTextCentered('^', this.x, this.y, this.color);
+    renderer.drawTextCentered('*', this.x, this.y + CONFIG.font.size, '#ff6600');
+  }
+}
+
+// Bomb glyphs as it drops away from the ship
+const BOMB_GLYPHS = ['O', 'o', '°', '.'];
+
+/**
+ * Dropped from the ship down to ground altitude: it keeps drifting forward
+ * while it falls and can only hit anything in the step it lands. A bomb that
+ * lands on nothing splashes into water or bursts on the ground.
+ */
+class Bomb extends Projectile {
+  reset(x, y, config) {
+    super.reset(x, y, config);
+    this.type = 'bomb';
+    this.color = '#dddddd';
+    this.altitude = 'ground';
+    this.armed = false;
+    this.fuse = config.fuse || 700;
+    this.blastRadius = config.blastRadius || 14;
+  }
+
+  update(deltaTime) {
+    // Landed last step without hitting anything
+    if (this.armed) {
+      this.miss();
+      return;
+    }
+
+    this.age += deltaTime * 1000;
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+
+    if (this.age >= this.fuse) {
+      this.armed = true;
+      this.hitboxRadius = this.blastRadius;
+    }
+  }
+
+  miss() {
+    const surface = game.background ? game.background.surfaceAt(this.x, this.y) : 'ground';
+    game.effects.push(surface === 'water'
+      ? createSplashEffect(this.x, this.y)
+      : createSmallExplosion(this.x, this.y));
+    this.destroy();
+  }
+
+  render(renderer) {
+    const index = Math.min(BOMB_GLYPHS.length - 1, Math.floor((this.age / this.fuse) * BOMB_GLYPHS.length));
+    renderer.drawTextCentered(BOMB_GLYPHS[index], this.x, this.y, this.color);
+  }
+}
+
+// ============================================================================
+// BULLET PATTERNS
+// ============================================================================
+
+/**
+ * Declarative bullet patterns used by enemies, turrets and bosses.
+ *
+ * Pattern fields (all optional except type):
+ *   type       - 'single' | 'aimed' | 'fan' | 'ring' | 'spiral' | 'spray' | 'wave'
+ *   count      - bullets per volley ('spiral' uses `arms`)
+ *   speed      - bullet speed in pixels per second
+ *   angle      - base direction in degrees (90 = straight down)
+ *   aim        - use the direction to the player as the base angle
+ *   spread     - total arc in degrees for 'aimed', 'fan', 'spray' and 'wave'
+ *   repeat     - number of volleys
+ *   interval   - milliseconds between volleys
+ *   delay      - milliseconds before the first volley
+ *   angleStep  - degrees the pattern rotates each volley ('ring', 'spiral')
+ *   offset     - [x, y] emission offset from the source
+ *   bullet     - { char, color, damage, hitboxRadius }
+ *   subPattern - { pattern, after } each bullet bursts into `pattern` after `after` ms
+ *   children   - [{ pattern, delay }] extra patterns fired alongside this one
+ */
+const BULLET_PATTERNS = {
+  single: {
+    type: 'single',
+    speed: 300
+  },
+  aimed_burst: {
+    type: 'aimed',
+    speed: 400,
+    repeat: 3,
+    interval: 150
+  },
+  ring: {
+    type: 'ring',
+    count: 12,
+    speed: 200,
+    bullet: { char: '°', color: '#ff66ff', damage: 10 }
+  },
+  random_spray: {
+    type: 'spray',
+    count: 6,
+    spread: 70,
+    speed: 260,
+    speedVariance: 0.3,
+    repeat: 4,
+    interval: 120,
+    bullet: { char: '·', color: '#ffaa00', damage: 8 }
+  },
+  wave_sweep: {
+    type: 'wave',
+    count: 3,
+    spread: 20,
+    waveAmplitude: 40,
+    waveFrequency: 0.6,
+    speed: 280,
+    repeat: 16,
+    interval: 90,
+    bullet: { char: '~', color: '#66ffff', damage: 8 }
+  },
+  flower: {
+    type: 'fan',
+    count: 3,
+    spread: 60,
+    speed: 160,
+    bullet: { char: 'o', color: '#ff66ff', damage: 10 },
+    subPattern: { pattern: 'ring', after: 700 }
+  },
+
+  // Crimson Dreadnought
+  dreadnought_spread: {
+    type: 'fan',
+    count: 5,
+    spread: 36,
+    speed: 300,
+    offset: [0, 80],
+    bullet: { char: '•', color: '#ff0000', damage: 12, hitboxRadius: 3 }
+  },
+  dreadnought_barrage: {
+    type: 'aimed',
+    speed: 400,
+    repeat: 3,
+    interval: 200,
+    offset: [0, 80],
+    bullet: { char: '◆', color: '#ff6600', damage: 20, hitboxRadius: 4 }
+  },
+  dreadnought_spiral: {
+    type: 'spiral',
+    arms: 8,
+    speed: 250,
+    repeat: 3,
+    interval: 120,
+    angleStep: 15,
+    offset: [0, 80],
+    bullet: { char: '*', color: '#ffff00', damage: 10, hitboxRadius: 3 }
+  },
+  // Naval flak: shells that burst into shrapnel
+  flak: {
+    type: 'aimed',
+    count: 2,
+    spread: 24,
+    speed: 240,
+    bullet: { char: 'o', color: '#cccccc', damage: 10 },
+    subPattern: { pattern: 'flak_burst', after: 650 }
+  },
+  flak_burst: {
+    type: 'ring',
+    count: 6,
+    speed: 130,
+    bullet: { char: '*', color: '#ffcc66', damage: 8 }
+  },
+  turret_aimed: {
+    type: 'aimed',
+    speed: 350,
+    bullet: { char: '¦', color: '#ff0000', damage: 15, hitboxRadius: 4 }
+  }
+};
+
+/**
+ * Look up a pattern by name, or pass an inline definition straight through
+ * @param {string|Object} pattern
+ * @returns {Object|null}
+ */
+function resolvePattern(pattern) {
+  if (typeof pattern === 'string') {
+    const definition = BULLET_PATTERNS[pattern];
+    if (!definition) {
+      console.warn(`Unknown bullet pattern: ${pattern}`);
+      return null;
+    }
+    return definition;
+  }
+  return pattern || null;
+}
+
+/**
+ * Build the bullet pattern for an enemy weapon config. Weapons either name a
+ * `pattern` or describe a simple straight/aimed (burst) shot; the weapon's
+ * projectile fields override the pattern's bullet.
+ * @param {Object} weapon - Enemy weapon config
+ * @returns {Object}
+ */
+function createWeaponPattern(weapon) {
+  const base = resolvePattern(weapon.pattern) || {
+    type: weapon.aimAtPlayer ? 'aimed' : 'single',
+    repeat: weapon.burstCount || 1,
+    interval: weapon.burstDelay || 0
+  };
+
+  const bullet = { ...base.bullet };
+  if (weapon.projectileChar !== undefined) bullet.char = weapon.projectileChar;
+  if (weapon.projectileColor !== undefined) bullet.color = weapon.projectileColor;
+  if (weapon.damage !== undefined) bullet.damage = weapon.damage;
+  if (weapon.hitboxRadius !== undefined) bullet.hitboxRadius = weapon.hitboxRadius;
+
+  return {
+    ...base,
+    speed: weapon.projectileSpeed !== undefined ? weapon.projectileSpeed : base.speed,
+    bullet
+  };
+}
+
+class BulletEmitter {
+  /**
+   * @param {Object} pattern - Resolved pattern definition
+   * @param {Object} source - Anything with x, y and active (an entity or a point)
+   * @param {Object} overrides - Pattern fields to override (offset, owner, bullet...)
+   */
+  constructor(pattern, source, overrides = {}) {
+    this.pattern = {
+      ...pattern,
+      ...overrides,
+      bullet: { ...pattern.bullet, ...overrides.bullet }
+    };
+    this.source = source;
+    this.owner = this.pattern.owner || 'enemy';
+    this.timer = -(this.pattern.delay || 0); // milliseconds until first volley
+    this.volley = 0;
+    this.active = true;
+  }
+
+  update(deltaTime) {
+    if (!this.active) return;
+
+    // Stop firing when whatever we are attached to is gone
+    if (!this.source || !this.source.active) {
+      this.active = false;
+      return;
+    }
+
+    this.timer += deltaTime * 1000;
+    const repeat = this.pattern.repeat || 1;
+    const interval = this.pattern.interval || 0;
+
+    while (this.active && this.timer >= 0) {
+      this.fireVolley();
+      this.volley++;
+      this.timer -= Math.max(interval, 1);
+
+      if (this.volley >= repeat) {
+        this.active = false;
+      }
+    }
+  }
+
+  getOrigin() {
+    const [offsetX, offsetY] = this.pattern.offset || [0, 0];
+    return { x: this.source.x + offsetX, y: this.source.y + offsetY };
+  }
+
+  getBaseAngle(origin) {
+    const { type, aim, angle = 90 } = this.pattern;
+
+    if ((type === 'aimed' || aim) && game.player && game.player.active) {
+      const dx = game.player.x - origin.x;
+      const dy = game.player.y - origin.y;
+      if (dx !== 0 || dy !== 0) {
+        return Math.atan2(dy, dx) * 180 / Math.PI;
+      }
+    }
+    return angle;
+  }
+
+  /**
+   * Work out the angles (degrees) and speeds of one volley
+   * @returns {Array<{angle: number, speed: number}>}
+   */
+  getVolleyShots(baseAngle) {
+    const {
+      type,
+      count = 1,
+      arms = 4,
+      speed = 300,
+      spread = 0,
+      angleStep = 0,
+      speedVariance = 0,
+      waveAmplitude = 30,
+      waveFrequency = 0.5
+    } = this.pattern;
+
+    const shots = [];
+    const fanShots = (center, total) => {
+      for (let i = 0; i < total; i++) {
+        const t = total === 1 ? 0.5 : i / (total - 1);
+        shots.push({ angle: center - spread / 2 + spread * t, speed });
+      }
+    };
+
+    switch (type) {
+      case 'single':
+        shots.push({ angle: baseAngle, speed });
+        break;
+      case 'aimed':
+      case 'fan':
+        fanShots(baseAngle, count);
+        break;
+      case 'ring': {
+        const start = baseAngle + angleStep * this.volley;
+        for (let i = 0; i < count; i++) {
+          shots.push({ angle: start + (360 * i) / count, speed });
+        }
+        break;
+      }
+      case 'spiral': {
+        const start = baseAngle + angleStep * this.volley;
+        for (let i = 0; i < arms; i++) {
+          shots.push({ angle: start + (360 * i) / arms, speed });
+        }
+        break;
+      }
+      case 'spray':
+        for (let i = 0; i < count; i++) {
+          shots.push({
+            angle: baseAngle + game.rng.range(-0.5, 0.5) * spread,
+            speed: speed * (1 - game.rng.next() * speedVariance)
+          });
+        }
+        break;
+      case 'wave':
+        fanShots(baseAngle + Math.sin(this.volley * waveFrequency) * waveAmplitude, count);
+        break;
+      default:
+        console.warn(`Unknown bullet pattern type: ${type}`);
+    }
+
+    return shots;
+  }
+
+  fireVolley() {
+    const origin = this.getOrigin();
+    const bullet = this.pattern.bullet;
+    const shots = this.getVolleyShots(this.getBaseAngle(origin));
+    // Difficulty scales hostile bullet speed
+    const speedScale = this.owner === 'enemy' ? getDifficultyProfile().projectileSpeed : 1;
+
+    shots.forEach(({ angle, speed }) => {
+      const radians = angle * Math.PI / 180;
+      game.projectiles.push(entityPools.projectiles.acquire(origin.x, origin.y, {
+        vx: Math.cos(radians) * speed * speedScale,
+        vy: Math.sin(radians) * speed * speedScale,
+        char: bullet.char || '·',
+        color: bullet.color || '#ffff00',
+        damage: bullet.damage || 10,
+        hitboxRadius: bullet.hitboxRadius || 3,
+        owner: this.owner,
+        subPattern: this.pattern.subPattern || null
+      }));
+    });
+  }
+}
+
+/**
+ * Fire a bullet pattern from a source. Multi-volley patterns keep firing from
+ * the source's current position until done (or the source is destroyed).
+ * @param {string|Object} pattern - Pattern name or inline definition
+ * @param {Object} source - Entity (or { x, y, active }) to fire from
+ * @param {Object} overrides - Pattern fields to override for this shot
+ * @returns {BulletEmitter|null}
+ */
+function firePattern(pattern, source, overrides = {}) {
+  const definition = resolvePattern(pattern);
+  if (!definition) return null;
+
+  const emitter = new BulletEmitter(definition, source, overrides);
+  emitter.update(0); // First volley fires immediately unless delayed
+  if (emitter.active) {
+    game.emitters.push(emitter);
+  }
+
+  // Composite patterns fire their children alongside (optionally delayed)
+  (definition.children || []).forEach(child => {
+    const childDefinition = resolvePattern(child.pattern);
+    if (!childDefinition) return;
+    const childOverrides = { delay: (childDefinition.delay || 0) + (child.delay || 0) };
+    if (overrides.offset) childOverrides.offset = overrides.offset;
+    if (overrides.owner) childOverrides.owner = overrides.owner;
+    firePattern(childDefinition, source, childOverrides);
+  });
+
+  return emitter;
+}
+
+// ============================================================================
+// PARTICLE SYSTEM
+// ============================================================================
+
+class Particle extends Entity {
+  constructor(x, y, config) {
+    super(x, y);
+    this.reset(x, y, config);
+  }
+
+  reset(x, y, config) {
+    this.respawn(x, y);
+    this.type = 'particle';
+    this.vx = config.vx || 0;
+    this.vy = config.vy || 0;
+    this.char = config.char || '·';
+    this.color = config.color || '#ffffff';
+    this.lifetime = config.lifetime || 400; // milliseconds
+    this.age = 0;
+    this.fadeToColor = config.fadeToColor || null;
+    this.initialColor = this.color;
+  }
+
+  update(deltaTime) {
+    this.age += deltaTime * 1000;
+
+    // Update position
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+
+    // Fade color if specified
+    if (this.fadeToColor) {
+      const progress = Math.min(this.age / this.lifetime, 1);
+      this.color = this.interpolateColor(this.initialColor, this.fadeToColor, progress);
+    }
+
+    // Destroy when lifetime expires
+    if (this.age >= this.lifetime) {
+      this.destroy();
+    }
+  }
+
+  interpolateColor(color1, color2, progress) {
+    // Simple hex color interpolation
+    const c1 = parseInt(color1.slice(1), 16);
+    const c2 = parseInt(color2.slice(1), 16);
+
+    const r1 = (c1 >> 16) & 0xff;
+    const g1 = (c1 >> 8) & 0xff;
+    const b1 = c1 & 0xff;
+
+    const r2 = (c2 >> 16) & 0xff;
+    const g2 = (c2 >> 8) & 0xff;
+    const b2 = c2 & 0xff;
+
+    const r = Math.round(r1 + (r2 - r1) * progress);
+    const g = Math.round(g1 + (g2 - g1) * progress);
+    const b = Math.round(b1 + (b2 - b1) * progress);
+
+    return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+  }
+
+  render(renderer) {
+    renderer.drawTextCentered(this.char, this.x, this.y, this.color);
+  }
+}
+
+// ============================================================================
+// VISUAL EFFECTS
+// ============================================================================
+
+class Effect extends Entity {
+  constructor(x, y, config) {
+    super(x, y);
+    this.reset(x, y, config);
+  }
+
+  reset(x, y, config) {
+    this.respawn(x, y);
+    this.type = 'effect';
+    this.frames = config.frames || [];
+    this.currentFrame = 0;
+    this.frameTimer = 0;
+    this.particleConfig = config.particles || null;
+    this.particlesSpawned = false;
+  }
+
+  update(deltaTime) {
+    if (this.currentFrame >= this.frames.length) {
+      this.destroy();
+      return;
+    }
+
+    this.frameTimer += deltaTime * 1000;
+
+    const frame = this.frames[this.currentFrame];
+    if (this.frameTimer >= frame.duration) {
+      this.currentFrame++;
+      this.frameTimer = 0;
+
+      // Spawn particles on first frame
+      if (this.currentFrame === 1 && !this.particlesSpawned && this.particleConfig) {
+        this.spawnParticles();
+        this.particlesSpawned = true;
+      }
+    }
+  }
+
+  spawnParticles() {
+    if (!this.particleConfig) return;
+
+    const count = this.particleConfig.count || 8;
+    const speed = this.particleConfig.speed || 100;
+    const char = this.particleConfig.char || '·';
+    const initialColor = this.particleConfig.initialColor || '#ffffff';
+    const fadeToColor = this.particleConfig.fadeToColor || null;
+    const lifetime = this.particleConfig.lifetime || 400;
+
+    for (let i = 0; i < count; i++) {
+      const angle = (Math.PI * 2 * i) / count;
+      const vx = Math.cos(angle) * speed;
+      const vy = Math.sin(angle) * speed;
+
+      const particle = entityPools.particles.acquire(this.x, this.y, {
+        vx,
+        vy,
+        char,
+        color: initialColor,
+        fadeToColor,
+        lifetime
+      });
+
+      game.particles.push(particle);
+    }
+  }
+
+  render(renderer) {
+    if (this.currentFrame >= this.frames.length) return;
+
+    const frame = this.frames[this.currentFrame];
+    renderer.drawTextCentered(frame.char, this.x, this.y, frame.color);
+  }
+}
+
+// ============================================================================
+// HIT FEEDBACK
+// ============================================================================
+
+// Horizontal positions of successive smoke puffs, as a fraction of the
+// hitbox radius (a fixed cycle keeps the seeded RNG out of it)
+const SMOKE_SPREAD = [0, -0.5, 0.4, -0.2, 0.6, -0.6, 0.2];
+
+/**
+ * Damage value floating up from a hit enemy
+ */
+class DamageNumber extends Entity {
+  constructor(x, y, config) {
+    super(x, y);
+    this.reset(x, y, config);
+  }
+
+  reset(x, y, config) {
+    this.respawn(x, y);
+    this.type = 'damage_number';
+    this.owner = config.owner || null;
+    this.amount = config.amount || 0;
+    this.color = config.color || '#ffffff';
+    this.lifetime = config.lifetime || 600; // milliseconds
+    this.rise = config.rise || 50;          // pixels per second
+    this.age = 0;
+  }
+
+  update(deltaTime) {
+    this.age += deltaTime * 1000;
+    this.y -= this.rise * deltaTime;
+
+    if (this.age >= this.lifetime) {
+      this.destroy();
+    }
+  }
+
+  render(renderer) {
+    renderer.drawTextCentered(String(Math.round(this.amount)), this.x, this.y, this.color);
+  }
+}
+
+/**
+ * Reaction of one entity to being hit: a white flash, a knockback nudge,
+ * floating damage numbers and smoke once badly damaged. The nudge is only
+ * drawn; position and hitbox stay where the movement puts them.
+ */
+class HitReaction {
+  /**
+   * @param {Object} [overrides] - Keys of CONFIG.hitFeedback to change
+   */
+  constructor(overrides = {}) {
+    this.config = { ...CONFIG.hitFeedback, ...overrides };
+    this.flashTimer = 0;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.smokeTimer = 0;
+    this.smokeCount = 0;
+    this.number = null;
+  }
+
+  /**
+   * @param {Entity} entity - The entity that was hit
+   * @param {number} amount - Damage taken
+   * @param {Entity} [source] - What hit it; knockback follows its velocity (upward without one)
+   */
+  hit(entity, amount, source = null) {
+    const config = this.config;
+    this.flashTimer = config.flashDuration;
+
+    if (config.knockback > 0) {
+      const speed = source ? Math.hypot(source.vx || 0, source.vy || 0) : 0;
+      const dx = speed > 0 ? source.vx / speed : 0;
+      const dy = speed > 0 ? source.vy / speed : -1;
+      this.offsetX = dx * config.knockback;
+      this.offsetY = dy * config.knockback;
+    }
+
+    if (config.damageNumbers && amount > 0) {
+      this.showDamage(entity, amount);
+    }
+  }
+
+  showDamage(entity, amount) {
+    const config = this.config;
+    const number = this.number;
+
+    // Rapid fire adds up on one number instead of stacking dozens
+    if (number && number.active && number.owner === entity && number.age < config.numberMergeWindow) {
+      number.amount += amount;
+      return;
+    }
+
+    this.number = entityPools.damageNumbers.acquire(entity.x, entity.y - CONFIG.font.size * 0.5, {
+      owner: entity,
+      amount,
+      color: config.numberColor,
+      lifetime: config.numberLifetime,
+      rise: config.numberRise
+    });
+    game.damageNumbers.push(this.number);
+  }
+
+  update(entity, deltaTime) {
+    const config = this.config;
+    this.flashTimer = Math.max(0, this.flashTimer - deltaTime * 1000);
+
+    const settle = Math.exp(-config.knockbackRecovery * deltaTime);
+    this.offsetX *= settle;
+    this.offsetY *= settle;
+
+    if (config.smokeBelow > 0 && entity.health > 0 && entity.health < entity.maxHealth * config.smokeBelow) {
+      this.smokeTimer += deltaTime * 1000;
+      if (this.smokeTimer >= config.smokeInterval) {
+        this.smokeTimer = 0;
+        this.emitSmoke(entity);
+      }
+    }
+  }
+
+  emitSmoke(entity) {
+    const spread = SMOKE_SPREAD[this.smokeCount++ % SMOKE_SPREAD.length];
+    const rows = Array.isArray(entity.art) ? entity.art.length : 1;
+    const particle = entityPools.particles.acquire(
+      entity.x + spread * entity.hitboxRadius * 0.6,
+      entity.y + rows * CONFIG.font.size * 0.5,
+      {
+        vx: spread * 20,
+        vy: -40,
+        char: this.smokeCount % 2 ? '°' : '·',
+        color: this.config.smokeColor,
+        fadeToColor: this.config.smokeFadeColor,
+        lifetime: 700
+      }
+    );
+    game.particles.push(particle);
+  }
+
+  /**
+   * Color to draw the entity in this frame
+   * @param {string} color - Normal color
+   * @returns {string}
+   */
+  tint(color) {
+    return this.flashTimer > 0 ? this.config.flashColor : color;
+  }
+}
+
+// ============================================================================
+// POWER-UP SYSTEM
+// ============================================================================
+
+class PowerUp extends Entity {
+  constructor(x, y, type) {
+    super(x, y);
+    this.type = type;
+    this.vy = 80; // Slow downward movement
+    this.hitboxRadius = 10;
+    this.hitboxOffsetY = CONFIG.font.size / 2; // Centered on the drawn glyph
+    this.pulseTimer = 0;
+
+    // Configure based on type
+    switch (type) {
+      case 'health':
+        this.char = '+';
+        this.color = '#ff0000'; // Red cross
+        this.healAmount = 25;
+        break;
+      case 'health_large':
+        this.char = '♥';
+        this.color = '#ff69b4'; // Pink heart
+        this.healAmount = 50;
+        break;
+      case 'rocket_ammo':
+        this.char = 'R';
+        this.color = '#ffaa00'; // Orange
+        this.ammoAmount = 5;
+        break;
+      default:
+        this.char = '?';
+        this.color = '#ffffff';
+    }
+  }
+
+  update(deltaTime) {
+    // Move downward
+    this.y += this.vy * deltaTime;
+
+    // Pulse animation
+    this.pulseTimer += deltaTime * 5;
+
+    // Destroy if off screen
+    if (this.y > CONFIG.canvas.height + 50) {
+      this.destroy();
+    }
+  }
+
+  render(renderer) {
+    // Pulsing effect
+    const scale = 1 + Math.sin(this.pulseTimer) * 0.3;
+    const alpha = Math.floor((0.7 + Math.sin(this.pulseTimer) * 0.3) * 255).toString(16).padStart(2, '0');
+    const color = this.color + alpha;
+
+    renderer.drawTextCentered(this.char, this.x, this.y, color);
+  }
+
+  collect(player) {
+    switch (this.type) {
+      case 'health':
+      case 'health_large':
+        player.health = Math.min(player.maxHealth, player.health + this.healAmount);
+        player.updateHealthUI();
+        break;
+      case 'rocket_ammo':
+        player.rocketLauncher.ammo = Math.min(
+          player.rocketLauncher.maxAmmo,
+          player.rocketLauncher.ammo + this.ammoAmount
+        );
+        player.updateWeaponUI();
+        break;
+    }
+
+    // Play collection sound (simple beep)
+    if (game.audioManager && game.audioManager.initialized) {
+      game.audioManager.playLaserSound(1200, 0.1);
+    }
+
+    this.destroy();
+  }
+}
+
+// ============================================================================
+// OBJECT POOLS
+// ============================================================================
+
+/**
+ * Free list of reusable entities. Shots, particles and explosions are
+ * created by the hundreds per second during boss fights, so they are
+ * recycled instead of left for the garbage collector.
+ */
+class ObjectPool {
+  /**
+   * @param {string} name - Label shown in pool stats
+   * @param {Function} create - (x, y, config) => new entity
+   * @param {number} [maxFree=2048] - Idle entities kept for reuse
+   */
+  constructor(name, create, maxFree = 2048) {
+    this.name = name;
+    this.create = create;
+    this.maxFree = maxFree;
+    this.free = [];
+    this.inUse = 0;
+    this.peak = 0;
+    this.created = 0;
+    this.reused = 0;
+  }
+
+  /**
+   * Take an entity from the pool (or create one) initialized from a config
+   * @returns {Entity}
+   */
+  acquire(x, y, config) {
+    let entity = this.free.pop();
+    if (entity) {
+      entity.reset(x, y, config);
+      this.reused++;
+    } else {
+      entity = this.create(x, y, config);
+      entity.pool = this;
+      this.created++;
+    }
+    this.inUse++;
+    this.peak = Math.max(this.peak, this.inUse);
+    return entity;
+  }
+
+  /**
+   * Hand an entity back once nothing references it
+   * @param {Entity} entity
+   */
+  release(entity) {
+    this.inUse--;
+    if (this.free.length < this.maxFree) {
+      this.free.push(entity);
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      inUse: this.inUse,
+      free: this.free.length,
+      peak: this.peak,
+      created: this.created,
+      reused: this.reused
+    };
+  }
+}
+
+const entityPools = {
+  projectiles: new ObjectPool('projectiles', (x, y, config) => new Projectile(x, y, config)),
+  rockets: new ObjectPool('rockets', (x, y, config) => new Rocket(x, y, config), 64),
+  bombs: new ObjectPool('bombs', (x, y, config) => new Bomb(x, y, config), 32),
+  particles: new ObjectPool('particles', (x, y, config) => new Particle(x, y, config)),
+  effects: new ObjectPool('effects', (x, y, config) => new Effect(x, y, config), 512),
+  damageNumbers: new ObjectPool('numbers', (x, y, config) => new DamageNumber(x, y, config), 128)
+};
+
+/**
+ * Remove inactive entities from a list in place (no new array per step),
+ * returning pooled ones to their pool
+ * @param {Entity[]} list
+ */
+function compactEntities(list) {
+  let count = 0;
+  for (let i = 0; i < list.length; i++) {
+    const entity = list[i];
+    if (entity.active) {
+      list[count++] = entity;
+    } else if (entity.pool) {
+      entity.pool.release(entity);
+    }
+  }
+  list.length = count;
+}
+
+/**
+ * Empty a list, returning every pooled entity in it to its pool
+ * @param {Entity[]} list
+ */
+function clearEntities(list) {
+  list.forEach(entity => {
+    if (entity.pool) entity.pool.release(entity);
+  });
+  list.length = 0;
+}
+
+/**
+ * Usage of every entity pool
+ * @returns {Object[]}
+ */
+function getPoolStats() {
+  return Object.values(entityPools).map(pool => pool.getStats());
+}
+
+/**
+ * One text line per pool, e.g. for the debug overlay
+ * @param {Object[]} stats - From getPoolStats()
+ * @returns {string[]}
+ */
+function formatPoolStats(stats) {
+  return stats.map(({ name, inUse, free, peak, created, reused }) => {
+    const reuseRate = created + reused > 0 ? Math.round((reused / (created + reused)) * 100) : 0;
+    return `${name.padEnd(12)} ${String(inUse).padStart(5)} in use ${String(free).padStart(5)} free ` +
+      `${String(peak).padStart(5)} peak ${String(created).padStart(5)} created  ${reuseRate}% reused`;
+  });
+}
+
+// ============================================================================
+// EFFECT FACTORIES
+// ============================================================================
+
+function createSmallExplosion(x, y) {
+  // Play explosion sound
+  if (game.audioManager) {
+    game.audioManager.playExplosionSound(false);
+  }
+
+  return entityPools.effects.acquire(x, y, {
+    frames: [
+      { char: '*', color: '#ffffff', duration: 50 },
+      { char: '@', color: '#ffff00', duration: 50 },
+      { char: '#', color: '#ff6600', duration: 60 },
+      { char: '%', color: '#ff3300', duration: 60 },
+      { char: '+', color: '#ff0000', duration: 70 },
+      { char: '·', color: '#660000', duration: 80 }
+    ],
+    particles: {
+      count: 8,
+      char: '·',
+      initialColor: '#ffff00',
+      fadeToColor: '#660000',
+      speed: 100,
+      lifetime: 400
+    }
+  });
+}
+
+function createLargeExplosion(x, y) {
+  // Play large explosion sound
+  if (game.audioManager) {
+    game.audioManager.playExplosionSound(true);
+  }
+  triggerCamera('largeExplosion');
+
+  return entityPools.effects.acquire(x, y, {
+    frames: [
+      { char: '█', color: '#ffffff', duration: 60 },
+      { char: '@', color: '#ffff00', duration: 60 },
+      { char: '#', color: '#ff6600', duration: 70 },
+      { char: '%', color: '#ff3300', duration: 70 },
+      { char: '+', color: '#ff0000', duration: 80 },
+      { char: '·', color: '#660000', duration: 100 }
+    ],
+    particles: {
+      count: 20,
+      char: '*',
+      initialColor: '#ffffff',
+      fadeToColor: '#330000',
+      speed: 150,
+      lifetime: 600
+    }
+  });
+}
+
+function createImpactEffect(x, y) {
+  // Play hit sound
+  if (game.audioManager) {
+    game.audioManager.playHitSound();
+  }
+
+  return entityPools.effects.acquire(x, y, {
+    frames: [
+      { char: '*', color: '#ffffff', duration: 40 },
+      { char: '·', color: '#ffff00', duration: 40 }
+    ],
+    particles: {
+      count: 3,
+      char: '·',
+      initialColor: '#ffffff',
+      fadeToColor: '#ffff00',
+      speed: 80,
+      lifetime: 200
+    }
+  });
+}
+
+function createSplashEffect(x, y) {
+  return entityPools.effects.acquire(x, y, {
+    frames: [
+      { char: 'o', color: '#ffffff', duration: 60 },
+      { char: 'O', color: '#e0f4ff', duration: 80 },
+      { char: '*', color: '#a8d8ff', duration: 80 },
+      { char: '~', color: '#5fa8e8', duration: 120 }
+    ],
+    particles: {
+      count: 6,
+      char: "'",
+      initialColor: '#ffffff',
+      fadeToColor: '#2f7fc1',
+      speed: 70,
+      lifetime: 450
+    }
+  });
+}
+
+function createMuzzleFlash(x, y, color = '#00ff00') {
+  return entityPools.effects.acquire(x, y - 5, {
+    frames: [
+      { char: '*', color: color, duration: 30 },
+      { char: '·', color: color, duration: 20 }
+    ]
+  });
+}
+
+// ============================================================================
+// BACKGROUND SYSTEM
+// ============================================================================
+
+class Background {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.palette = DEFAULT_PALETTE;
+    this.terrain = new Terrain(width, height);
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    if (this.terrain) {
+      this.terrain.resize(width, height);
+    }
+  }
+
+  /**
+   * Switch to a level's sky colors and terrain
+   * @param {Object} level - Normalized level (see normalizeLevel)
+   * @param {number} seed - Terrain seed (the terrain has its own generator,
+   *   so it never shifts the simulation's random sequence)
+   */
+  configure(level, seed) {
+    const { terrain } = level.background;
+    const TerrainType = terrain ? TERRAIN_TYPES[terrain] : null;
+    if (terrain && !TerrainType) {
+      console.warn(`Unknown terrain: ${terrain}`);
+    }
+
+    this.palette = level.palette;
+    this.terrain = TerrainType ? new TerrainType(this.width, this.height, seed, level.palette) : null;
+    if (this.terrain) {
+      this.terrain.scrollSpeed = level.background.scrollSpeed;
+    }
+  }
+
+  update(deltaTime) {
+    // Clouds handle their own scrolling
+    if (this.terrain) {
+      this.terrain.update(deltaTime);
+    }
+  }
+
+  render(renderer) {
+    // Render sky gradient
+    renderer.fillGradient(this.palette.skyTop, this.palette.skyBottom);
+  }
+
+  /**
+   * What a bomb landing at a point hits
+   * @returns {string} 'water' or 'ground'
+   */
+  surfaceAt(x, y) {
+    return this.terrain && this.terrain.surfaceAt ? this.terrain.surfaceAt(x, y) : 'ground';
+  }
+
+  /**
+   * Draw the ground (between the sky and the clouds, inside the camera)
+   * @param {Object} renderer
+   */
+  renderTerrain(renderer) {
+    if (this.terrain) {
+      this.terrain.render(renderer);
+    }
+  }
+}
+
+// ============================================================================
+// TERRAIN
+// ============================================================================
+
+// Ground tiles. `pattern` picks each cell's glyph from `chars`: 'scatter' at
+// random, 'rows' by row (furrows and crop lines), 'fill' always the first.
+// Tiles with a `palette` key take that color from the level palette.
+const TERRAIN_TILES = {
+  pasture: { chars: ' ,.\' ,  " ', color: '#228b22', palette: 'ground', pattern: 'scatter' },
+  meadow: { chars: '"\',"', color: '#32cd32', palette: 'groundDetail', pattern: 'scatter' },
+  wheat: { chars: '≡=', color: '#d8c35a', pattern: 'rows' },
+  plowed: { chars: '=-', color: '#8b5a2b', pattern: 'rows' },
+  orchard: { chars: '♣ ♣ ', color: '#2e8b57', pattern: 'scatter' },
+  river: { chars: '≈~≈', color: '#3a7bd5', pattern: 'scatter' },
+  bank: { chars: ':', color: '#c2b280', pattern: 'fill' },
+  road: { chars: '║', color: '#a9a9a9', pattern: 'fill' },
+  bridge: { chars: '═', color: '#8b4513', pattern: 'fill' },
+  house: { chars: ' ', color: '#b22222', pattern: 'fill' },
+  barn: { chars: ' ', color: '#cd5c5c', pattern: 'fill' },
+  silo: { chars: ' ', color: '#c0c0c0', pattern: 'fill' }
+};
+
+// Field crops, weighted
+const TERRAIN_FIELDS = [
+  { tile: 'pasture', chance: 0.4 },
+  { tile: 'meadow', chance: 0.2 },
+  { tile: 'wheat', chance: 0.15 },
+  { tile: 'plowed', chance: 0.15 },
+  { tile: 'orchard', chance: 0.1 }
+];
+
+// Buildings placed beside the road (top line first)
+const TERRAIN_BUILDINGS = [
+  { tile: 'house', art: [' /\\ ', '/__\\', '|[]|'] },
+  { tile: 'barn', art: ['/^^^\\', '|#=#|'] },
+  { tile: 'silo', art: ['(~)', '| |', '|_|'] }
+];
+
+// Keeps the terrain's generator apart from the run's own (same seed)
+const TERRAIN_SEED_SALT = 0x7e44a1;
+
+/**
+ * Vertically scrolling farmland generated one row at a time: field strips,
+ * a meandering river, a road with bends and crossings, and farm buildings.
+ * New rows enter at the top as the ground scrolls down.
+ */
+class Terrain {
+  constructor(width, height, seed = 1, palette = DEFAULT_PALETTE) {
+    this.cellWidth = CONFIG.font.size * 0.6;
+    this.cellHeight = CONFIG.font.size;
+    this.scrollSpeed = CONFIG.background.scrollSpeed;
+    this.palette = palette;
+    this.colors = {};
+    this.resize(width, height);
+    this.reset(seed);
+  }
+
+  resize(width, height) {
+    // One spare column/row on each side so camera shake never shows an edge
+    const cols = Math.ceil(width / this.cellWidth) + 2;
+    const rowCount = Math.ceil(height / this.cellHeight) + 3;
+    if (cols === this.cols && rowCount === this.rowCount) return;
+    this.cols = cols;
+    this.rowCount = rowCount;
+    if (this.rng) {
+      this.road.x = Math.min(this.road.x, cols - 3);
+      this.fill();
+    }
+  }
+
+  reset(seed) {
+    this.rng = new SeededRandom(seed ^ TERRAIN_SEED_SALT);
+    this.rowIndex = 0;
+    this.offset = 0;
+    this.fieldStrips = [];
+    this.fieldRowsLeft = 0;
+    this.river = null;
+    this.road = { x: this.rng.int(Math.floor(this.cols * 0.25), Math.floor(this.cols * 0.75)) };
+    this.buildings = [];
+    this.fill();
+  }
+
+  // Generate a full screen of rows (the bottom row is generated first)
+  fill() {
+    this.rows = [];
+    for (let i = 0; i < this.rowCount; i++) {
+      this.rows.unshift(this.generateRow());
+    }
+  }
+
+  update(deltaTime) {
+    this.offset += this.scrollSpeed * deltaTime;
+    while (this.offset >= this.cellHeight) {
+      this.offset -= this.cellHeight;
+      this.rows.pop();
+      this.rows.unshift(this.generateRow());
+    }
+  }
+
+  render(renderer) {
+    const top = this.offset - this.cellHeight * 2;
+    this.rows.forEach((row, index) => {
+      const y = top + index * this.cellHeight;
+      row.forEach(run => {
+        renderer.drawText(run.text, (run.col - 1) * this.cellWidth, y, run.color);
+      });
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Generation
+  // --------------------------------------------------------------------------
+
+  /**
+   * Next row at the top of the terrain, as runs of same-colored text
+   * @returns {{col: number, text: string, color: string}[]}
+   */
+  generateRow() {
+    const chars = new Array(this.cols);
+    const tiles = new Array(this.cols);
+    const set = (col, tile, char) => {
+      if (col < 0 || col >= this.cols) return;
+      tiles[col] = tile;
+      chars[col] = char === undefined ? this.pickChar(tile) : char;
+    };
+
+    this.generateFields(set);
+    const water = this.generateRiver(set);
+    this.generateRoad(set, water);
+    this.generateBuildings(set, water);
+
+    this.rowIndex++;
+    return this.toRuns(chars, tiles);
+  }
+
+  pickChar(tile) {
+    const { chars, pattern } = TERRAIN_TILES[tile];
+    if (pattern === 'scatter') return chars[this.rng.int(0, chars.length - 1)];
+    if (pattern === 'rows') return chars[this.rowIndex % chars.length];
+    return chars[0];
+  }
+
+  // Fields come in blocks of rows split into strips of different crops
+  generateFields(set) {
+    if (this.fieldRowsLeft <= 0) {
+      this.fieldRowsLeft = this.rng.int(6, 16);
+      this.fieldStrips = [];
+      for (let col = 0; col < this.cols;) {
+        const width = this.rng.int(6, 20);
+        this.fieldStrips.push({ start: col, end: col + width, tile: this.pickField() });
+        col += width;
+      }
+    }
+    this.fieldRowsLeft--;
+
+    this.fieldStrips.forEach(({ start, end, tile }) => {
+      for (let col = start; col < end; col++) set(col, tile);
+    });
+  }
+
+  pickField() {
+    const roll = this.rng.next();
+    let cumulative = 0;
+    for (const field of TERRAIN_FIELDS) {
+      cumulative += field.chance;
+      if (roll <= cumulative) return field.tile;
+    }
+    return TERRAIN_FIELDS[0].tile;
+  }
+
+  /**
+   * A river flows in from one side now and then, meanders and eventually
+   * drifts off the nearest side
+   * @returns {{left: number, right: number}|null} Water columns in this row
+   */
+  generateRiver(set) {
+    if (!this.river) {
+      if (!this.rng.chance(0.006)) return null;
+      const fromLeft = this.rng.chance(0.5);
+      const width = this.rng.int(3, 6);
+      this.river = {
+        x: fromLeft ? -width : this.cols + width,
+        width,
+        drift: fromLeft ? 1 : -1,
+        rowsLeft: this.rng.int(80, 200)
+      };
+    }
+
+    const river = this.river;
+    // Meander around the middle for a while, then steer toward the nearest edge
+    const toCenter = river.x < this.cols / 2 ? 1 : -1;
+    const pull = --river.rowsLeft >= 0 ? 0.03 * toCenter : -0.05 * toCenter;
+    river.drift = Math.max(-1, Math.min(1, river.drift + pull + this.rng.range(-0.1, 0.1)));
+    river.x += river.drift;
+
+    const left = Math.round(river.x - river.width / 2);
+    const right = left + river.width - 1;
+    if (river.rowsLeft < 0 && (right < -1 || left > this.cols)) {
+      this.river = null;
+      return null;
+    }
+
+    set(left - 1, 'bank');
+    for (let col = left; col <= right; col++) set(col, 'river');
+    set(right + 1, 'bank');
+    return { left, right };
+  }
+
+  // A north-south road with occasional bends and east-west crossings
+  generateRoad(set, water) {
+    const road = this.road;
+    const onWater = col => water && col >= water.left && col <= water.right;
+    const horizontal = (from, to) => {
+      for (let col = from; col <= to; col++) {
+        set(col, onWater(col) ? 'bridge' : 'road', '═');
+      }
+    };
+
+    if (this.rng.chance(0.006)) {
+      // Crossroads
+      horizontal(0, this.cols - 1);
+      set(road.x, 'road', '╬');
+      return;
+    }
+
+    if (this.rng.chance(0.012)) {
+      // Bend: the road below (older rows) is at road.x, above it continues at x
+      const x = Math.max(2, Math.min(this.cols - 3, road.x + this.rng.int(-12, 12)));
+      if (x !== road.x) {
+        horizontal(Math.min(x, road.x), Math.max(x, road.x));
+        set(road.x, 'road', x > road.x ? '╔' : '╗');
+        set(x, 'road', x > road.x ? '╝' : '╚');
+        road.x = x;
+        return;
+      }
+    }
+
+    set(road.x, onWater(road.x) ? 'bridge' : 'road', onWater(road.x) ? '#' : '║');
+  }
+
+  // Farm buildings beside the road, stamped a line per row (bottom line first)
+  generateBuildings(set, water) {
+    if (this.buildings.length === 0 && this.rng.chance(0.03)) {
+      const building = TERRAIN_BUILDINGS[this.rng.int(0, TERRAIN_BUILDINGS.length - 1)];
+      const width = building.art[0].length;
+      const col = this.rng.chance(0.5) ? this.road.x + 3 : this.road.x - 2 - width;
+      const clear = !water || col + width < water.left - 1 || col > water.right + 1;
+      if (clear) {
+        this.buildings.push({ col, tile: building.tile, lines: building.art, line: building.art.length - 1 });
+      }
+    }
+
+    this.buildings.forEach(building => {
+      const text = building.lines[building.line--];
+      for (let i = 0; i < text.length; i++) {
+        if (text[i] !== ' ') set(building.col + i, building.tile, text[i]);
+      }
+    });
+    this.buildings = this.buildings.filter(building => building.line >= 0);
+  }
+
+  toRuns(chars, tiles) {
+    const runs = [];
+    let start = 0;
+    for (let col = 1; col <= this.cols; col++) {
+      if (col < this.cols && this.tileColor(tiles[col]) === this.tileColor(tiles[start])) continue;
+      const text = chars.slice(start, col).join('');
+      if (text.trim()) {
+        runs.push({ col: start, text, color: this.tileColor(tiles[start]) });
+      }
+      start = col;
+    }
+    return runs;
+  }
+
+  // Tile color faded toward the sky, so the ground reads as far below
+  tileColor(tile) {
+    let color = this.colors[tile];
+    if (!color) {
+      const definition = TERRAIN_TILES[tile];
+      const base = (definition.palette && this.palette[definition.palette]) || definition.color;
+      const sky = parseColor(this.palette.skyBottom).rgb;
+      color = formatRGB(mixRGB(parseColor(base).rgb, sky, CONFIG.background.terrainHaze));
+      this.colors[tile] = color;
+    }
+    return color;
+  }
+}
+
+// ============================================================================
+// STARFIELD
+// ============================================================================
+
+// Parallax star layers, far to near. `fade` dims the palette's star color
+// toward the sky; stars with several glyphs twinkle through them in turn.
+const STAR_LAYERS = [
+  { density: 0.012, speed: 0.15, glyphs: '.', fade: 0.65 },
+  { density: 0.006, speed: 0.4, glyphs: '..*', fade: 0.35 },
+  { density: 0.003, speed: 1, glyphs: '.*+*', fade: 0 }
+];
+
+// Nebula glyphs from the thin edge to the dense core
+const NEBULA_GLYPHS = '.:░▒';
+const NEBULA_SPEED = 0.25;  // fraction of the scroll speed
+const NEBULA_CHANCE = 0.08; // per second while no nebula is showing
+
+/**
+ * Deep-space background: layers of stars drifting down at different speeds
+ * and the occasional nebula. Drop-in for Terrain (same constructor and
+ * methods, its own seeded generator).
+ */
+class Starfield {
+  constructor(width, height, seed = 1, palette = DEFAULT_PALETTE) {
+    this.cellWidth = CONFIG.font.size * 0.6;
+    this.cellHeight = CONFIG.font.size;
+    this.scrollSpeed = CONFIG.background.scrollSpeed;
+    this.rng = new SeededRandom(seed ^ TERRAIN_SEED_SALT);
+    this.time = 0;
+    this.nebula = null;
+
+    const sky = parseColor(palette.skyBottom).rgb;
+    this.starColors = STAR_LAYERS.map(layer => formatRGB(mixRGB(parseColor(palette.stars).rgb, sky, layer.fade)));
+    this.nebulaColor = formatRGB(mixRGB(parseColor(palette.nebula).rgb, sky, CONFIG.background.terrainHaze));
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.fill();
+  }
+
+  // Scatter every layer's stars over the screen (far layers first, so
+  // nearer stars are drawn over them)
+  fill() {
+    const cells = (this.width / this.cellWidth) * (this.height / this.cellHeight);
+    this.stars = [];
+    STAR_LAYERS.forEach((layer, index) => {
+      const count = Math.round(cells * layer.density);
+      for (let i = 0; i < count; i++) {
+        this.stars.push(this.createStar(index, this.rng.range(0, this.height)));
+      }
+    });
+    if (!this.nebula) {
+      this.nebula = this.createNebula(this.rng.range(-this.height * 0.5, this.height * 0.5));
+    }
+  }
+
+  createStar(layer, y) {
+    return {
+      layer,
+      x: this.rng.range(-this.cellWidth, this.width + this.cellWidth),
+      y,
+      phase: this.rng.range(0, 1000),
+      period: this.rng.range(150, 400) // milliseconds per twinkle glyph
+    };
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime * 1000;
+
+    this.stars.forEach(star => {
+      star.y += this.scrollSpeed * STAR_LAYERS[star.layer].speed * deltaTime;
+      if (star.y > this.height + this.cellHeight) {
+        Object.assign(star, this.createStar(star.layer, -this.cellHeight));
+      }
+    });
+
+    if (this.nebula) {
+      this.nebula.y += this.scrollSpeed * NEBULA_SPEED * deltaTime;
+      if (this.nebula.y > this.height + this.cellHeight) {
+        this.nebula = null;
+      }
+    } else if (this.rng.chance(NEBULA_CHANCE * deltaTime)) {
+      this.nebula = this.createNebula();
+    }
+  }
+
+  render(renderer) {
+    if (this.nebula) {
+      const { lines, x, y } = this.nebula;
+      lines.forEach((line, row) => {
+        renderer.drawText(line, x, y + row * this.cellHeight, this.nebulaColor);
+      });
+    }
+
+    this.stars.forEach(star => {
+      const { glyphs } = STAR_LAYERS[star.layer];
+      const glyph = glyphs[Math.floor((this.time + star.phase) / star.period) % glyphs.length];
+      renderer.drawText(glyph, star.x, star.y, this.starColors[star.layer]);
+    });
+  }
+
+  /**
+   * A ragged oval of glyphs, densest in the middle
+   * @param {number} [y] - Top edge (default: just above the screen)
+   * @returns {{lines: string[], x: number, y: number}}
+   */
+  createNebula(y) {
+    const cols = this.rng.int(24, 48);
+    const rows = this.rng.int(8, 14);
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+      let line = '';
+      for (let col = 0; col < cols; col++) {
+        const dx = ((col + 0.5) / cols) * 2 - 1;
+        const dy = ((row + 0.5) / rows) * 2 - 1;
+        const density = 1 - (dx * dx + dy * dy) + this.rng.range(-0.25, 0.25);
+        line += density <= 0 ? ' ' : NEBULA_GLYPHS[Math.min(NEBULA_GLYPHS.length - 1, Math.floor(density * NEBULA_GLYPHS.length))];
+      }
+      lines.push(line);
+    }
+
+    const width = cols * this.cellWidth;
+    return {
+      lines,
+      x: this.rng.range(-width / 2, this.width - width / 2),
+      y: y === undefined ? -rows * this.cellHeight : y
+    };
+  }
+}
+
+// ============================================================================
+// OCEAN
+// ============================================================================
+
+const OCEAN_SHIMMER_INTERVAL = 350; // milliseconds between crest glyph flips
+
+/**
+ * Open sea for naval levels: rows of `~` swells with foamy `≈` crests, each
+ * row sliding sideways at its own pace as the water scrolls down. Crests
+ * flicker between glyphs so the surface shimmers. Drop-in for Terrain; the
+ * palette's ground color is the water and groundDetail the foam.
+ */
+class Ocean {
+  constructor(width, height, seed = 1, palette = DEFAULT_PALETTE) {
+    this.cellWidth = CONFIG.font.size * 0.6;
+    this.cellHeight = CONFIG.font.size;
+    this.scrollSpeed = CONFIG.background.scrollSpeed;
+    this.rng = new SeededRandom(seed ^ TERRAIN_SEED_SALT);
+    this.time = 0;
+    this.offset = 0;
+
+    const sky = parseColor(palette.skyBottom).rgb;
+    const haze = CONFIG.background.terrainHaze;
+    this.waterColor = formatRGB(mixRGB(parseColor(palette.ground).rgb, sky, haze));
+    this.crestColor = formatRGB(mixRGB(parseColor(palette.groundDetail).rgb, sky, haze));
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    // Spare columns/rows so camera shake never shows an edge
+    const cols = Math.ceil(width / this.cellWidth) + 2;
+    const rowCount = Math.ceil(height / this.cellHeight) + 3;
+    if (cols === this.cols && rowCount === this.rowCount) return;
+    this.cols = cols;
+    this.rowCount = rowCount;
+    this.rows = [];
+    for (let i = 0; i < rowCount; i++) {
+      this.rows.push(this.generateRow());
+    }
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime * 1000;
+    this.rows.forEach(row => {
+      row.shift += row.drift * deltaTime;
+    });
+
+    this.offset += this.scrollSpeed * deltaTime;
+    while (this.offset >= this.cellHeight) {
+      this.offset -= this.cellHeight;
+      this.rows.pop();
+      this.rows.unshift(this.generateRow());
+    }
+  }
+
+  render(renderer) {
+    const top = this.offset - this.cellHeight * 2;
+    const tick = Math.floor(this.time / OCEAN_SHIMMER_INTERVAL);
+
+    this.rows.forEach((row, index) => {
+      const y = top + index * this.cellHeight;
+      const start = ((Math.floor(row.shift) % this.cols) + this.cols) % this.cols;
+      let water = '';
+      let crests = '';
+      for (let col = 0; col < this.cols; col++) {
+        const char = row.text[(col + start) % this.cols];
+        const crest = char === '≈';
+        water += crest ? ' ' : char;
+        crests += crest ? ((col + tick) % 3 === 0 ? '~' : '≈') : ' ';
+      }
+      renderer.drawText(water, -this.cellWidth, y, this.waterColor);
+      renderer.drawText(crests, -this.cellWidth, y, this.crestColor);
+    });
+  }
+
+  // A row of swells separated by calm water; some swells carry a crest
+  generateRow() {
+    let text = '';
+    while (text.length < this.cols) {
+      text += ' '.repeat(this.rng.int(5, 18));
+      const length = this.rng.int(2, 5);
+      const crest = this.rng.chance(0.3);
+      for (let i = 0; i < length; i++) {
+        text += crest && i > 0 && i < length - 1 ? '≈' : '~';
+      }
+    }
+    return {
+      text: text.slice(0, this.cols),
+      shift: 0,
+      drift: this.rng.range(0.5, 2) * (this.rng.chance(0.5) ? 1 : -1) // columns per second
+    };
+  }
+
+  surfaceAt() {
+    return 'water';
+  }
+}
+
+// ============================================================================
+// FACTORY FLOOR
+// ============================================================================
+
+const FACTORY_TILE = 12;          // columns between deck plate joints
+const FACTORY_BELT_CHANCE = 0.05; // per row while no belt is running
+const FACTORY_BELT_GAP = 10;      // rows of plating at least between belts
+
+/**
+ * Deck plating for industrial levels, crossed now and then by conveyor
+ * belts whose chevrons run sideways. Drop-in for Terrain; the palette's
+ * ground color is the plating and groundDetail the belts.
+ */
+class FactoryFloor {
+  constructor(width, height, seed = 1, palette = DEFAULT_PALETTE) {
+    this.cellWidth = CONFIG.font.size * 0.6;
+    this.cellHeight = CONFIG.font.size;
+    this.scrollSpeed = CONFIG.background.scrollSpeed;
+    this.rng = new SeededRandom(seed ^ TERRAIN_SEED_SALT);
+    this.offset = 0;
+    this.rowIndex = 0;
+    this.belt = null;
+    this.plating = FACTORY_BELT_GAP;
+
+    const sky = parseColor(palette.skyBottom).rgb;
+    const haze = CONFIG.background.terrainHaze;
+    this.plateColor = formatRGB(mixRGB(parseColor(palette.ground).rgb, sky, haze));
+    this.beltColor = formatRGB(mixRGB(parseColor(palette.groundDetail).rgb, sky, haze));
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    // Spare columns/rows so camera shake never shows an edge
+    const cols = Math.ceil(width / this.cellWidth) + 2;
+    const rowCount = Math.ceil(height / this.cellHeight) + 3;
+    if (cols === this.cols && rowCount === this.rowCount) return;
+    this.cols = cols;
+    this.rowCount = rowCount;
+    this.rows = [];
+    for (let i = 0; i < rowCount; i++) {
+      this.rows.push(this.generateRow());
+    }
+  }
+
+  update(deltaTime) {
+    this.rows.forEach(row => {
+      row.shift += row.drift * deltaTime;
+    });
+
+    this.offset += this.scrollSpeed * deltaTime;
+    while (this.offset >= this.cellHeight) {
+      this.offset -= this.cellHeight;
+      this.rows.pop();
+      this.rows.unshift(this.generateRow());
+    }
+  }
+
+  render(renderer) {
+    const top = this.offset - this.cellHeight * 2;
+    this.rows.forEach((row, index) => {
+      const y = top + index * this.cellHeight;
+      const start = ((Math.floor(row.shift) % this.cols) + this.cols) % this.cols;
+      const text = start === 0 ? row.text : row.text.slice(start) + row.text.slice(0, start);
+      renderer.drawText(text, -this.cellWidth, y, row.belt ? this.beltColor : this.plateColor);
+    });
+  }
+
+  // Rows are generated top-down as the floor scrolls: plating, or a
+  // three-row belt (rail, moving chevrons, rail)
+  generateRow() {
+    this.rowIndex++;
+    if (!this.belt && this.plating >= FACTORY_BELT_GAP && this.rng.chance(FACTORY_BELT_CHANCE)) {
+      const direction = this.rng.chance(0.5) ? 1 : -1;
+      this.belt = { row: 0, direction, speed: this.rng.range(3, 6) };
+    }
+
+    if (this.belt) {
+      const { row, direction, speed } = this.belt;
+      this.belt.row++;
+      if (this.belt.row === 3) {
+        this.belt = null;
+        this.plating = 0;
+      }
+      if (row !== 1) {
+        return { text: '='.repeat(this.cols), shift: 0, drift: 0, belt: true };
+      }
+      const chevron = direction > 0 ? '>' : '<';
+      let text = '';
+      while (text.length < this.cols) text += chevron + '   ';
+      // Text scrolls left as shift grows, so a belt running right drifts negative
+      return { text: text.slice(0, this.cols), shift: 0, drift: -direction * speed, belt: true };
+    }
+
+    // Plate seams every few rows, rivets either side of them at the joints
+    this.plating++;
+    const seam = this.rowIndex % 6;
+    let text = '';
+    for (let col = 0; col < this.cols; col++) {
+      const joint = col % FACTORY_TILE === 0;
+      if (seam === 0) {
+        text += joint ? '┼' : '─';
+      } else if (seam === 1 || seam === 5) {
+        text += joint ? '·' : ' ';
+      } else {
+        text += ' ';
+      }
+    }
+    return { text, shift: 0, drift: 0, belt: false };
+  }
+}
+
+// Backgrounds a level can name in background.terrain
+const TERRAIN_TYPES = {
+  farmland: Terrain,
+  starfield: Starfield,
+  ocean: Ocean,
+  factory: FactoryFloor
+};
+
+class Cloud extends Entity {
+  constructor(x, y, config) {
+    super(x, y);
+    this.type = 'cloud';
+    this.art = config.art;
+    this.color = config.color;
+    this.speed = config.speed; // Downward scroll speed
+    this.layer = config.layer; // 'far' or 'near'
+  }
+
+  update(deltaTime) {
+    // Clouds scroll downward
+    this.y += this.speed * deltaTime;
+
+    // Destroy if off screen
+    if (this.y > CONFIG.canvas.height + 100) {
+      this.destroy();
+    }
+  }
+
+  render(renderer) {
+    if (Array.isArray(this.art)) {
+      renderer.drawMultiLine(this.art, this.x, this.y, this.color);
+    } else {
+      renderer.drawTextCentered(this.art, this.x, this.y, this.color);
+    }
+  }
+}
+
+// ============================================================================
+// CLOUD FACTORIES
+// ============================================================================
+
+function createFarCloud() {
+  const types = [
+    {
+      art: [
+        '       ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░       ',
+        '     ░░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░░     ',
+        '   ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░   ',
+        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
+        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
+        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
+      ],
+      chance: 0.25 // Large
+    },
+    {
+      art: [
+        '     ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░     ',
+        '   ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░   ',
+        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
+        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
+        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
+      ],
+      chance: 0.35 // Medium
+    },
+    {
+      art: [
+        '   ░░░░░░░░░░░░░░░░░░░░░░   ',
+        '  ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░  ',
+        ' ░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░ ',
+        '░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░'
+      ],
+      chance: 0.4 // Small
+    }
+  ];
+
+  // Weighted random selection
+  const rand = game.rng.next();
+  let cumulative = 0;
+  let selectedType = types[0];
+
+  for (const type of types) {
+    cumulative += type.chance;
+    if (rand <= cumulative) {
+      selectedType = type;
+      break;
+    }
+  }
+
+  const x = game.rng.range(0, CONFIG.canvas.width);
+  const y = -50;
+
+  return new Cloud(x, y, {
+    art: selectedType.art,
+    color: game.campaign.level.palette.cloudsFar,
+    speed: 20,
+    layer: 'far'
+  });
+}
+
+function createNearCloud() {
+  const types = [
+    {
+      art: [
+        '           ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░           ',
+        '        ░░░▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒▒░░░        ',
+        '      ░░▒▒▒▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▒▒▒░░      ',
+        '    ░░▒▒▓▓▓████████████████████████████████████████████████████████▓▓▓▒▒░░    ',
+        '   ░▒▒▓▓███████████████████████████████████████████████████████████████▓▓▒▒░   ',
+        '  ░▒▓▓████████████████████████████████████████████████████████████████████▓▓▒░  ',
+        ' ░▒▓▓██████████████████████████████████████████████████████████████████████▓▓▒░ ',
         '░▒▓███████████████████████████████████████████████████████████████████████████▓▒░',
         '░▒▓███████████████████████████████████████████████████████████████████████████▓▒░',
         '░▒▓███████████████████████████████████████████████████████████████████████████▓▒░',
@@ -1228,1385 +4030,4332 @@ function createNearCloud() {
       ],
       chance: 0.15 // Small
     }
-  ];
+  ];
+
+  // Weighted random selection
+  const rand = game.rng.next();
+  let cumulative = 0;
+  let selectedType = types[0];
+
+  for (const type of types) {
+    cumulative += type.chance;
+    if (rand <= cumulative) {
+      selectedType = type;
+      break;
+    }
+  }
+
+  const x = game.rng.range(0, CONFIG.canvas.width);
+  const y = -100; // Start further up for larger clouds
+
+  return new Cloud(x, y, {
+    art: selectedType.art,
+    color: game.campaign.level.palette.cloudsNear,
+    speed: 40,
+    layer: 'near'
+  });
+}
+
+// ============================================================================
+// ASTEROIDS
+// ============================================================================
+
+// Asteroid sizes. Frames tumble every `spin` ms; a shot-down asteroid breaks
+// into `pieces` of the `splitsInto` size, the smallest just crumble.
+// `speed` is the range of downward speeds it drifts in with.
+const ASTEROID_SIZES = {
+  large: {
+    frames: [
+      ['  _.--._  ', ' /  o   \\ ', '|  .   O |', ' \\ .  _ / ', "  '-..-'  "],
+      ['  _.-.__  ', ' / O  . \\ ', '|    o   |', ' \\  .   / ', "  '-.--'  "]
+    ],
+    color: '#8b8378',
+    health: 60,
+    damage: 30,
+    scoreValue: 150,
+    speed: [35, 60],
+    spin: 500,
+    splitsInto: 'medium',
+    pieces: 2,
+    spawnChance: 0.3
+  },
+  medium: {
+    frames: [
+      [' .-~-. ', '( o  .)', " '-~-' "],
+      [' .~-~. ', '(.  o )', " '~-~' "]
+    ],
+    color: '#a09a90',
+    health: 24,
+    damage: 20,
+    scoreValue: 75,
+    speed: [50, 90],
+    spin: 350,
+    splitsInto: 'small',
+    pieces: 2,
+    spawnChance: 0.45
+  },
+  small: {
+    frames: [['(@)'], ['{@}']],
+    color: '#b8b0a0',
+    health: 8,
+    damage: 10,
+    scoreValue: 25,
+    speed: [70, 120],
+    spin: 200,
+    splitsInto: null,
+    pieces: 0,
+    spawnChance: 0.25
+  }
+};
+
+// Debris thrown out when an asteroid breaks up (fixed directions, so the
+// cosmetic chips don't draw from the run's random sequence)
+const ASTEROID_DEBRIS = [
+  { char: '.', vx: -90, vy: -40 },
+  { char: ',', vx: 80, vy: -60 },
+  { char: "'", vx: -50, vy: 70 },
+  { char: '`', vx: 100, vy: 30 },
+  { char: '.', vx: 10, vy: -100 },
+  { char: ',', vx: -110, vy: 20 }
+];
+
+/**
+ * A drifting rock: hit on its glyph cells, split into smaller rocks when shot
+ * down and hurts the player on contact
+ */
+class Asteroid extends Entity {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string} size - Key of ASTEROID_SIZES
+   * @param {number} vx - Pixels per second
+   * @param {number} vy
+   */
+  constructor(x, y, size, vx, vy) {
+    super(x, y);
+    this.type = 'asteroid';
+    this.size = size;
+    this.definition = ASTEROID_SIZES[size];
+    this.frameIndex = 0;
+    this.spinTimer = 0;
+    this.art = this.definition.frames[0];
+    this.color = this.definition.color;
+    this.health = this.definition.health;
+    this.maxHealth = this.health;
+    this.damage = this.definition.damage;
+    this.vx = vx;
+    this.vy = vy;
+    this.hitbox = 'cells';
+    this.hitReaction = new HitReaction({ knockback: 3, smokeBelow: 0 });
+  }
+
+  update(deltaTime) {
+    this.hitReaction.update(this, deltaTime);
+
+    this.spinTimer += deltaTime * 1000;
+    if (this.spinTimer >= this.definition.spin) {
+      this.spinTimer = 0;
+      this.frameIndex = (this.frameIndex + 1) % this.definition.frames.length;
+      this.art = this.definition.frames[this.frameIndex];
+    }
+
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+
+    const margin = 80;
+    if (this.y > CONFIG.canvas.height + margin || this.x < -margin || this.x > CONFIG.canvas.width + margin) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * @param {number} amount
+   * @param {Entity} [source] - Projectile that hit
+   */
+  takeDamage(amount, source = null) {
+    this.hitReaction.hit(this, amount, source);
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.shatter(true);
+    }
+  }
+
+  /**
+   * Break up: score, debris and (when split) smaller asteroids flying apart
+   * @param {boolean} split - False when the rock hit the player, so no
+   *   fragments spawn on top of the ship
+   */
+  shatter(split) {
+    const { scoreValue, splitsInto, pieces } = this.definition;
+    this.destroy();
+
+    game.score += scoreValue;
+    game.hud.updateScore(game.score);
+    game.effects.push(createSmallExplosion(this.x, this.y));
+
+    const centerY = this.y + (this.art.length * CONFIG.font.size) / 2;
+    ASTEROID_DEBRIS.forEach(({ char, vx, vy }) => {
+      game.particles.push(entityPools.particles.acquire(this.x, centerY, {
+        vx: vx + this.vx,
+        vy: vy + this.vy,
+        char,
+        color: this.color,
+        fadeToColor: '#222222',
+        lifetime: 600
+      }));
+    });
+
+    if (!split || !splitsInto) return;
+
+    // Fragments fan out sideways from the parent's path
+    for (let i = 0; i < pieces; i++) {
+      const side = i - (pieces - 1) / 2;
+      const vx = this.vx + side * 90 + game.rng.range(-20, 20);
+      const vy = this.vy * 0.8 + game.rng.range(10, 40);
+      game.asteroids.push(new Asteroid(this.x + side * CONFIG.font.size, centerY, splitsInto, vx, vy));
+    }
+  }
+
+  render(renderer) {
+    const reaction = this.hitReaction;
+    renderer.drawMultiLine(this.art, this.x + reaction.offsetX, this.y + reaction.offsetY, reaction.tint(this.color));
+  }
+}
+
+/**
+ * New asteroid above the screen, size weighted by spawnChance
+ * @returns {Asteroid}
+ */
+function createAsteroid() {
+  const roll = game.rng.next();
+  let cumulative = 0;
+  let size = 'large';
+  for (const [name, definition] of Object.entries(ASTEROID_SIZES)) {
+    cumulative += definition.spawnChance;
+    if (roll <= cumulative) {
+      size = name;
+      break;
+    }
+  }
+
+  const [minSpeed, maxSpeed] = ASTEROID_SIZES[size].speed;
+  const x = game.rng.range(CONFIG.canvas.width * 0.1, CONFIG.canvas.width * 0.9);
+  return new Asteroid(x, -80, size, game.rng.range(-40, 40), game.rng.range(minSpeed, maxSpeed));
+}
+
+// ============================================================================
+// LEVEL STRUCTURES
+// ============================================================================
+
+// Glyph colors for structure pieces
+const STRUCTURE_COLORS = {
+  wall: '#6b7b8c',
+  girder: '#b08d57',
+  emitter: '#9aa4ad',
+  beam: '#ff3b3b',
+  beamWarning: '#7a2a2a',
+  crusher: '#8a8f96',
+  jaw: '#d4a017',
+  machine: '#7f9f6f'
+};
+
+// Named sections a level's `structures.sections` plays in turn. Each piece
+// spans `from`..`to` (fractions of the playfield width; machines sit at `x`)
+// and starts `y` rows above the top of the screen.
+const STRUCTURE_SECTIONS = {
+  // A girder across the middle, with room to fly round either end
+  girder: [{ type: 'girder', from: 0.3, to: 0.7 }],
+  // Bulkheads closing one side of the screen
+  bulkhead_left: [{ type: 'wall', from: -0.05, to: 0.55, rows: 3 }],
+  bulkhead_right: [{ type: 'wall', from: 0.45, to: 1.05, rows: 3 }],
+  // Walls on both sides leave a narrow channel down the middle
+  channel: [
+    { type: 'wall', from: -0.05, to: 0.35, rows: 5 },
+    { type: 'wall', from: 0.65, to: 1.05, rows: 5 }
+  ],
+  // A full-width laser: slip through while it is off
+  laser_gate: [{ type: 'laser', from: 0, to: 1, on: 1200, off: 1600 }],
+  // Jaws slamming shut across the screen
+  crusher: [{ type: 'crusher', from: -0.05, to: 1.05, rows: 2, period: 2800, damage: 30 }],
+  // Destructible machinery either side of a girder
+  machinery: [
+    { type: 'machine', x: 0.2 },
+    { type: 'machine', x: 0.8 },
+    { type: 'girder', from: 0.4, to: 0.6 }
+  ]
+};
+
+/**
+ * Solid level geometry scrolling down with the level. It blocks the player
+ * (who is pushed aside rather than hurt) and soaks up every air shot that
+ * reaches it, from either side.
+ */
+class Structure extends Entity {
+  /**
+   * @param {number} x - Center of the piece
+   * @param {number} y - Top row
+   * @param {string[]} art
+   * @param {string} color
+   */
+  constructor(x, y, art, color) {
+    super(x, y);
+    this.type = 'structure';
+    this.art = art;
+    this.color = color;
+    this.speed = CONFIG.background.scrollSpeed; // pixels per second, matched to the level
+    this.solid = true;
+    this.hitbox = 'cells';
+  }
+
+  update(deltaTime) {
+    this.y += this.speed * deltaTime;
+    if (this.y > CONFIG.canvas.height + CONFIG.font.size) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * A shot ran into this piece (it is spent either way)
+   * @param {Projectile} projectile
+   */
+  absorb(projectile) {}
+
+  /**
+   * The player's broadphase box overlaps this piece; hazards hurt here
+   * @param {Player} player
+   */
+  touchPlayer(player) {}
+
+  render(renderer) {
+    renderer.drawMultiLine(this.art, this.x, this.y, this.color);
+  }
+}
+
+const LASER_POST = '[#]';
+const LASER_WARNING_TIME = 400; // milliseconds of flicker before the beam fires
+
+// Share of a crusher's cycle spent open, slamming, shut and drawing back
+const CRUSHER_CYCLE = { open: 0.5, closing: 0.1, closed: 0.12, opening: 0.28 };
+
+// Destructible machinery, gears turning
+const MACHINE_FRAMES = [
+  ['.-[==]-.', '|(o)(o)|', "'-[__]-'"],
+  ['.-[==]-.', '|(-)(|)|', "'-[__]-'"],
+  ['.-[==]-.', '|(o)(o)|', "'-[__]-'"],
+  ['.-[==]-.', '|(|)(-)|', "'-[__]-'"]
+];
+
+/**
+ * Two emitter posts with a beam between them that cycles off, warning
+ * (flickering, harmless) and on. The posts are solid; the beam only hurts.
+ */
+class LaserGate extends Structure {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} cols - Overall width in glyphs
+   * @param {Object} piece - Section piece (on/off ms, damage)
+   */
+  constructor(x, y, cols, piece) {
+    const post = LASER_POST;
+    const gap = Math.max(1, cols - post.length * 2);
+    super(x, y, [post + ' '.repeat(gap) + post], STRUCTURE_COLORS.emitter);
+    this.onTime = piece.on || 1200;
+    this.offTime = piece.off || 1600;
+    this.damage = piece.damage || 20;
+    this.hitCooldown = 500;
+    this.lastHitTime = -Infinity;
+    this.timer = 0;
+
+    // The beam sits between the posts, on the same centered line
+    const spacer = ' '.repeat(post.length);
+    this.beamLine = spacer + '═'.repeat(gap) + spacer;
+    this.warningLine = spacer + '·'.repeat(gap) + spacer;
+    this.beamShape = CollisionShape.fromArt([this.beamLine]);
+  }
+
+  get phase() {
+    const t = this.timer % (this.offTime + this.onTime);
+    if (t < this.offTime - LASER_WARNING_TIME) return 'off';
+    return t < this.offTime ? 'warning' : 'on';
+  }
+
+  update(deltaTime) {
+    this.timer += deltaTime * 1000;
+    super.update(deltaTime);
+  }
+
+  touchPlayer(player) {
+    if (this.phase !== 'on') return;
+    const now = game.clock.now();
+    if (now - this.lastHitTime < this.hitCooldown) return;
+
+    const playerShape = player.getCollisionShape();
+    if (playerShape && playerShape.intersectsShape(player.x, player.y, this.beamShape, this.x, this.y)) {
+      this.lastHitTime = now;
+      game.effects.push(createImpactEffect(player.x, this.y));
+      player.takeDamage(this.damage);
+    }
+  }
+
+  render(renderer) {
+    const phase = this.phase;
+    if (phase === 'on') {
+      renderer.drawMultiLine([this.beamLine], this.x, this.y, STRUCTURE_COLORS.beam);
+    } else if (phase === 'warning' && Math.floor(this.timer / 100) % 2 === 0) {
+      renderer.drawMultiLine([this.warningLine], this.x, this.y, STRUCTURE_COLORS.beamWarning);
+    }
+    super.render(renderer);
+  }
+}
+
+/**
+ * Housings on both sides whose jaws slam together and slowly draw back.
+ * Caught in the jaws as they close, the player takes one hit per cycle;
+ * otherwise the jaws just shove the ship out of the way.
+ */
+class Crusher extends Structure {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} cols - Overall width in glyphs
+   * @param {Object} piece - Section piece (rows, period ms, damage)
+   */
+  constructor(x, y, cols, piece) {
+    super(x, y, [], STRUCTURE_COLORS.crusher);
+    this.cols = cols;
+    this.rowCount = piece.rows || 2;
+    this.period = piece.period || 2800;
+    this.damage = piece.damage || 30;
+    this.maxJaw = Math.floor((cols - 4) / 2);
+    this.timer = 0;
+    this.jaw = -1;
+    this.hitThisCycle = false;
+    this.setJaw(0);
+  }
+
+  // Rebuild the art for jaws reaching `jaw` glyphs out of each housing
+  setJaw(jaw) {
+    if (jaw === this.jaw) return;
+    this.jaw = jaw;
+    const left = '██' + '▓'.repeat(Math.max(0, jaw - 1)) + (jaw > 0 ? '>' : '');
+    const right = (jaw > 0 ? '<' : '') + '▓'.repeat(Math.max(0, jaw - 1)) + '██';
+    const line = left + ' '.repeat(this.cols - left.length - right.length) + right;
+    this.art = new Array(this.rowCount).fill(line);
+    this.housingArt = this.art.map(row => row.replace(/[▓<>]/g, ' '));
+    this.jawArt = this.art.map(row => row.replace(/█/g, ' '));
+  }
+
+  get closing() {
+    const { open, closing, closed } = CRUSHER_CYCLE;
+    const t = (this.timer % this.period) / this.period;
+    return t >= open && t < open + closing + closed;
+  }
+
+  update(deltaTime) {
+    const { open, closing, closed, opening } = CRUSHER_CYCLE;
+    const previous = this.timer % this.period;
+    this.timer += deltaTime * 1000;
+    const t = (this.timer % this.period) / this.period;
+    if (this.timer % this.period < previous) {
+      this.hitThisCycle = false;
+    }
+
+    let reach = 0;
+    if (t >= open + closing + closed) {
+      reach = 1 - (t - open - closing - closed) / opening;
+    } else if (t >= open + closing) {
+      reach = 1;
+    } else if (t >= open) {
+      reach = (t - open) / closing;
+    }
+    this.setJaw(Math.round(reach * this.maxJaw));
+    super.update(deltaTime);
+  }
+
+  touchPlayer(player) {
+    if (!this.closing || this.hitThisCycle || this.jaw === 0) return;
+    if (player.collidesWith(this)) {
+      this.hitThisCycle = true;
+      triggerCamera('crusherSlam');
+      player.takeDamage(this.damage);
+    }
+  }
+
+  render(renderer) {
+    // Housings in steel, jaws in hazard yellow
+    renderer.drawMultiLine(this.housingArt, this.x, this.y, this.color);
+    renderer.drawMultiLine(this.jawArt, this.x, this.y, STRUCTURE_COLORS.jaw);
+  }
+}
+
+/**
+ * Destructible machinery: solid until shot to pieces, for score and the
+ * occasional power-up
+ */
+class Machine extends Structure {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} piece - Section piece (health, scoreValue, drop and dropChance)
+   */
+  constructor(x, y, piece) {
+    super(x, y, MACHINE_FRAMES[0], STRUCTURE_COLORS.machine);
+    this.health = piece.health || 60;
+    this.maxHealth = this.health;
+    this.scoreValue = piece.scoreValue || 200;
+    this.drop = piece.drop || 'rocket_ammo';
+    this.dropChance = piece.dropChance ?? 0.25;
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+    this.hitReaction = new HitReaction({ knockback: 0 });
+  }
+
+  update(deltaTime) {
+    this.hitReaction.update(this, deltaTime);
+    this.frameTimer += deltaTime * 1000;
+    if (this.frameTimer >= 200) {
+      this.frameTimer = 0;
+      this.frameIndex = (this.frameIndex + 1) % MACHINE_FRAMES.length;
+      this.art = MACHINE_FRAMES[this.frameIndex];
+    }
+    super.update(deltaTime);
+  }
+
+  absorb(projectile) {
+    if (projectile.owner !== 'player') return;
+    game.stats.shotsHit++;
+    this.hitReaction.hit(this, projectile.damage, projectile);
+    this.health -= projectile.damage;
+    if (this.health > 0) return;
+
+    this.destroy();
+    game.score += this.scoreValue;
+    game.hud.updateScore(game.score);
+    game.effects.push(createLargeExplosion(this.x, this.y + CONFIG.font.size));
+    if (game.rng.chance(this.dropChance)) {
+      game.powerups.push(new PowerUp(this.x, this.y, this.drop));
+    }
+  }
+
+  render(renderer) {
+    const reaction = this.hitReaction;
+    renderer.drawMultiLine(this.art, this.x + reaction.offsetX, this.y + reaction.offsetY, reaction.tint(this.color));
+  }
+}
+
+// Builders for each piece type: (center x, top y, piece, width in glyphs)
+const STRUCTURE_TYPES = {
+  wall: (x, y, piece, cols) => new Structure(x, y, buildWallArt(cols, piece.rows || 3), STRUCTURE_COLORS.wall),
+  girder: (x, y, piece, cols) => new Structure(x, y, buildGirderArt(cols), STRUCTURE_COLORS.girder),
+  laser: (x, y, piece, cols) => new LaserGate(x, y, cols, piece),
+  crusher: (x, y, piece, cols) => new Crusher(x, y, cols, piece),
+  machine: (x, y, piece) => new Machine(x, y, piece)
+};
+
+// Riveted plating, `rows` tall
+function buildWallArt(cols, rows) {
+  const art = [];
+  for (let row = 0; row < rows; row++) {
+    let line = '';
+    for (let col = 0; col < cols; col++) {
+      line += (col + row * 3) % 8 === 0 ? '▒' : '▓';
+    }
+    art.push(line);
+  }
+  return art;
+}
+
+// Flanges above and below a cross-braced web
+function buildGirderArt(cols) {
+  const flange = '═'.repeat(Math.max(0, cols - 2));
+  return ['╤' + flange + '╤', '/\\'.repeat(Math.ceil(cols / 2)).slice(0, cols), '╧' + flange + '╧'];
+}
+
+/**
+ * Spawn one named section above the top of the screen
+ * @param {string} name - Key of STRUCTURE_SECTIONS
+ * @param {number} speed - Scroll speed to travel at
+ */
+function spawnStructureSection(name, speed) {
+  const section = STRUCTURE_SECTIONS[name];
+  if (!section) {
+    console.warn(`Unknown structure section: ${name}`);
+    return;
+  }
+
+  const width = CONFIG.canvas.width;
+  const cellWidth = CONFIG.font.size * 0.6;
+  section.forEach(piece => {
+    const build = STRUCTURE_TYPES[piece.type];
+    if (!build) {
+      console.warn(`Unknown structure type: ${piece.type}`);
+      return;
+    }
+    const from = (piece.from ?? piece.x) * width;
+    const to = (piece.to ?? piece.x) * width;
+    const cols = Math.max(1, Math.round((to - from) / cellWidth));
+    const structure = build((from + to) / 2, 0, piece, cols);
+    structure.y = -(structure.art.length + (piece.y || 0)) * CONFIG.font.size;
+    structure.speed = speed;
+    structure.resetInterpolation();
+    game.structures.push(structure);
+  });
+}
+
+/**
+ * Sends a level's structure sections down the screen one after another,
+ * in the order listed and starting over at the end
+ */
+class StructureSpawner {
+  /**
+   * @param {{interval: number, sections: string[]}} settings - From the level
+   * @param {number} speed - The level's scroll speed
+   */
+  constructor(settings, speed) {
+    this.interval = settings.interval;
+    this.sections = settings.sections;
+    this.speed = speed;
+    this.timer = 0;
+    this.index = 0;
+  }
+
+  update(deltaTime) {
+    if (this.sections.length === 0) return;
+    this.timer += deltaTime * 1000;
+    if (this.timer < this.interval) return;
+
+    this.timer -= this.interval;
+    spawnStructureSection(this.sections[this.index], this.speed);
+    this.index = (this.index + 1) % this.sections.length;
+  }
+}
+
+/**
+ * Move the player out of any solid structure it overlaps. Pinned against the
+ * edge of the playfield with nowhere to go, the ship scrapes for damage.
+ * @param {Player} player
+ */
+function pushPlayerOutOfStructures(player) {
+  const shape = player.getCollisionShape();
+  if (!shape) return;
+
+  let pinned = false;
+  collisionGrids.structures.queryEntity(player).forEach(structure => {
+    const other = structure.active && structure.solid ? structure.getCollisionShape() : null;
+    if (!other) return;
+
+    // One box pair per pass; a ship wedged across several rows needs a few
+    for (let pass = 0; pass < 8; pass++) {
+      const push = shape.separation(player.x, player.y, other, structure.x, structure.y);
+      if (!push) return;
+      // A hair past the overlap, so rounding can't leave the ship touching
+      player.x += push.dx + Math.sign(push.dx) * 0.01;
+      player.y += push.dy + Math.sign(push.dy) * 0.01;
+      player.clampToBounds();
+    }
+    pinned = true;
+  });
+
+  const now = game.clock.now();
+  if (pinned && now - player.lastScrapeTime >= CONFIG.structures.scrapeInterval) {
+    player.lastScrapeTime = now;
+    game.effects.push(createImpactEffect(player.x, player.y));
+    player.takeDamage(CONFIG.structures.scrapeDamage);
+  }
+}
+
+// ============================================================================
+// PLAYER SHIP
+// ============================================================================
+
+class Player extends Entity {
+  constructor(x, y) {
+    super(x, y);
+    this.type = 'player';
+
+    // Visual
+    this.art = [
+      '  ^  ',
+      ' <o> ',
+      ' ||| '
+    ];
+    this.color = '#00ffff'; // Cyan from GDB
+
+    // Physics
+    this.speed = CONFIG.player.speed;
+    this.vx = 0;
+    this.vy = 0;
+
+    // Combat
+    this.health = 100;
+    this.maxHealth = 100;
+    this.hitboxRadius = this.calculateHitboxRadius();
+    this.hitbox = 'cells'; // Only the visible ship glyphs can be hit
+    this.lives = getDifficultyProfile().playerLives; // 3 on Normal, from GDB
+    this.invulnerable = false;
+    this.invulnerabilityTimer = 0;
+    this.invulnerabilityDuration = getDifficultyProfile().invulnerabilityDuration; // 3 seconds on Normal
+    this.lastScrapeTime = -Infinity; // Last damage from being pinned by a structure
+
+    // Weapons
+    this.weapons = [
+      new SniperLaser(),
+      new VulcanCannon()
+    ];
+    this.currentWeaponIndex = 0;
+    this.rocketLauncher = new RocketLauncher();
+    this.bombBay = new BombBay();
+
+    // Animation
+    this.thrustFrame = 0;
+    this.thrustTimer = 0;
+    this.thrustInterval = 100; // ms
+  }
+
+  getCurrentWeapon() {
+    return this.weapons[this.currentWeaponIndex];
+  }
+
+  switchWeapon() {
+    this.currentWeaponIndex = (this.currentWeaponIndex + 1) % this.weapons.length;
+    this.updateWeaponUI();
+
+    // Play weapon switch sound
+    if (game.audioManager) {
+      game.audioManager.playWeaponSwitchSound();
+    }
+  }
+
+  updateWeaponUI() {
+    game.hud.updateWeapons(this.getCurrentWeapon().id, this.rocketLauncher.ammo);
+  }
+
+  fire(currentTime) {
+    const weapon = this.getCurrentWeapon();
+    return weapon.fire(this.x, this.y, currentTime);
+  }
+
+  fireRocket(currentTime) {
+    return this.rocketLauncher.fire(this.x, this.y, currentTime);
+  }
+
+  dropBomb(currentTime) {
+    return this.bombBay.fire(this.x, this.y, currentTime);
+  }
+
+  takeDamage(amount) {
+    // Don't take damage if invulnerable
+    if (this.invulnerable) return;
+
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.die();
+    }
+    this.updateHealthUI();
+  }
+
+  die() {
+    // Create large explosion on player death
+    game.effects.push(createLargeExplosion(this.x, this.y));
+    triggerCamera('playerDeath');
+
+    this.lives--;
+    this.updateLivesUI();
+
+    if (this.lives > 0) {
+      // Respawn after a 1 second delay
+      game.clock.schedule(1000, () => {
+        this.respawn();
+      });
+    } else {
+      // Game over
+      this.destroy();
+      game.gameOver = true;
+    }
+  }
+
+  respawn() {
+    // Reset position to start
+    this.x = CONFIG.canvas.width / 2;
+    this.y = CONFIG.canvas.height - 100;
+
+    // Reset health
+    this.health = this.maxHealth;
+    this.updateHealthUI();
+
+    // Grant invulnerability
+    this.invulnerable = true;
+    this.invulnerabilityTimer = 0;
+
+    // Reset velocity
+    this.vx = 0;
+    this.vy = 0;
+    this.resetInterpolation();
+
+    // Make sure player is active
+    this.active = true;
+  }
+
+  updateHealthUI() {
+    game.hud.updateHealth(this.health);
+  }
+
+  updateLivesUI() {
+    game.hud.updateLives(this.lives);
+  }
+
+  update(deltaTime) {
+    // Update invulnerability timer
+    if (this.invulnerable) {
+      this.invulnerabilityTimer += deltaTime * 1000;
+      if (this.invulnerabilityTimer >= this.invulnerabilityDuration) {
+        this.invulnerable = false;
+        this.invulnerabilityTimer = 0;
+      }
+    }
+
+    // Update position based on velocity
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+    this.clampToBounds();
+
+    // Update thrust animation
+    this.thrustTimer += deltaTime * 1000;
+    if (this.thrustTimer >= this.thrustInterval) {
+      this.thrustFrame = (this.thrustFrame + 1) % 2;
+      this.thrustTimer = 0;
+    }
+
+    // Decay velocity (for smooth stopping)
+    this.vx *= 0.85;
+    this.vy *= 0.85;
+  }
+
+  clampToBounds() {
+    this.x = Math.max(CONFIG.player.bounds.left, Math.min(CONFIG.player.bounds.right, this.x));
+    this.y = Math.max(CONFIG.player.bounds.top, Math.min(CONFIG.player.bounds.bottom, this.y));
+  }
+
+  render(renderer) {
+    // Flash during invulnerability
+    if (this.invulnerable) {
+      const flashInterval = 100; // Flash every 100ms
+      const shouldShow = Math.floor(this.invulnerabilityTimer / flashInterval) % 2 === 0;
+      if (!shouldShow) return; // Skip rendering to create flash effect
+    }
+
+    // Render ship
+    renderer.drawMultiLine(this.art, this.x, this.y, this.color);
+
+    // Render thrust (centered below ship)
+    const thrustChar = this.thrustFrame === 0 ? '*' : '^';
+    const thrustY = this.y + (CONFIG.font.size * 3);
+    renderer.drawTextCentered(thrustChar, this.x, thrustY, '#ff6600');
+  }
+
+  move(dx, dy) {
+    // Acceleration-based movement
+    this.vx = dx * this.speed;
+    this.vy = dy * this.speed;
+  }
+
+  calculateHitboxRadius() {
+    // Player ship is multi-line, calculate based on dimensions
+    if (!game.renderer) {
+      return 16; // Default fallback
+    }
+
+    let maxWidth = 0;
+    this.art.forEach(line => {
+      const width = game.renderer.measureWidth(line);
+      maxWidth = Math.max(maxWidth, width);
+    });
+    const height = this.art.length * CONFIG.font.size;
+
+    // Use half-diagonal for circular hitbox to cover rectangle
+    return Math.sqrt((maxWidth/2) ** 2 + (height/2) ** 2);
+  }
+}
+
+// ============================================================================
+// MOVEMENT BEHAVIORS
+// ============================================================================
+
+/**
+ * Base class for enemy movement behaviors. A behavior instance belongs to a
+ * single enemy and is configured from the `movement` block of an enemy asset.
+ * Every behavior accepts an optional `duration` (ms) after which it reports
+ * itself complete, which is what lets a `sequence` hand off to the next step.
+ */
+class MovementBehavior {
+  constructor(params = {}) {
+    this.params = params;
+    this.duration = params.duration !== undefined ? params.duration : null;
+    this.elapsed = 0; // milliseconds
+    this.complete = false;
+  }
+
+  /**
+   * Called once when the behavior becomes active for an enemy
+   * @param {Enemy} enemy
+   */
+  start(enemy) {
+    this.elapsed = 0;
+    this.complete = false;
+  }
+
+  update(enemy, deltaTime) {
+    this.elapsed += deltaTime * 1000;
+    this.move(enemy, deltaTime);
+
+    if (this.duration !== null && this.elapsed >= this.duration) {
+      this.complete = true;
+    }
+  }
+
+  move(enemy, deltaTime) {
+    // Override in subclasses
+  }
+
+  isComplete() {
+    return this.complete;
+  }
+}
+
+class LinearMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    const { angle, speed = enemy.speed } = this.params;
+
+    if (angle !== undefined) {
+      // Angle in degrees, 90 = straight down
+      const radians = angle * Math.PI / 180;
+      this.vx = Math.cos(radians) * speed;
+      this.vy = Math.sin(radians) * speed;
+    } else {
+      this.vx = this.params.vx || 0;
+      this.vy = this.params.vy !== undefined ? this.params.vy : speed;
+    }
+  }
+
+  move(enemy, deltaTime) {
+    enemy.x += this.vx * deltaTime;
+    enemy.y += this.vy * deltaTime;
+  }
+}
+
+class SineWaveMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    this.startX = enemy.x;
+    this.time = 0;
+  }
+
+  move(enemy, deltaTime) {
+    const { amplitude = 50, frequency = 2, baseSpeed = enemy.speed } = this.params;
+    this.time += deltaTime;
+
+    // Sine wave horizontal movement while moving downward
+    enemy.x = this.startX + Math.sin(this.time * frequency) * amplitude;
+    enemy.y += baseSpeed * deltaTime;
+  }
+}
+
+class DescendHoverMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    enemy.hovering = false;
+    this.driftDirection = 1;
+    this.driftDistance = 0;
+  }
+
+  move(enemy, deltaTime) {
+    const {
+      descendTo = 150,      // Y position to stop at
+      speed = enemy.speed,
+      driftAmount = 20,     // pixels of drift
+      driftSpeed = 30       // pixels per second
+    } = this.params;
+
+    // Descent phase
+    if (!enemy.hovering) {
+      enemy.y += speed * deltaTime;
+      if (enemy.y >= descendTo) {
+        enemy.hovering = true;
+      }
+      return;
+    }
+
+    // Hover phase: drift left and right
+    const drift = driftSpeed * this.driftDirection * deltaTime;
+    enemy.x += drift;
+    this.driftDistance += Math.abs(drift);
+
+    // Reverse direction when reaching drift limit
+    if (this.driftDistance >= driftAmount) {
+      this.driftDirection *= -1;
+      this.driftDistance = 0;
+    }
+  }
+}
+
+class ChaseMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    if (enemy.vx === 0 && enemy.vy === 0) {
+      enemy.vy = this.params.initialSpeed !== undefined ? this.params.initialSpeed : 100;
+    }
+  }
+
+  move(enemy, deltaTime) {
+    const {
+      acceleration = 150,     // pixels per second squared
+      maxSpeed = 300,         // maximum speed
+      trackingStrength = 0.8  // how aggressively it tracks
+    } = this.params;
+
+    if (game.player && game.player.active) {
+      const dx = game.player.x - enemy.x;
+      const dy = game.player.y - enemy.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist > 0) {
+        // Blend current velocity with desired velocity toward player
+        const targetVx = (dx / dist) * maxSpeed;
+        const targetVy = (dy / dist) * maxSpeed;
+        enemy.vx += (targetVx - enemy.vx) * trackingStrength * deltaTime;
+        enemy.vy += (targetVy - enemy.vy) * trackingStrength * deltaTime;
+
+        // Apply acceleration
+        const currentSpeed = Math.sqrt(enemy.vx * enemy.vx + enemy.vy * enemy.vy);
+        const newSpeed = Math.min(currentSpeed + acceleration * deltaTime, maxSpeed);
+
+        if (currentSpeed > 0) {
+          const scale = newSpeed / currentSpeed;
+          enemy.vx *= scale;
+          enemy.vy *= scale;
+        }
+      }
+    }
+
+    // Without a player this just keeps the current velocity
+    enemy.x += enemy.vx * deltaTime;
+    enemy.y += enemy.vy * deltaTime;
+  }
+}
+
+/**
+ * Dive toward where the player was at the start, then bank away and climb out
+ */
+class SwoopMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    const { depth = CONFIG.canvas.height * 0.6 } = this.params;
+    const targetX = game.player && game.player.active ? game.player.x : enemy.x;
+
+    this.targetX = targetX;
+    this.targetY = depth;
+    this.heading = Math.atan2(this.targetY - enemy.y, this.targetX - enemy.x);
+    this.turning = false;
+    // Bank away from the side of the screen we are on
+    this.turnDirection = targetX < CONFIG.canvas.width / 2 ? -1 : 1;
+  }
+
+  move(enemy, deltaTime) {
+    const { speed = enemy.speed * 1.5, turnRate = 3 } = this.params;
+
+    if (!this.turning) {
+      const dx = this.targetX - enemy.x;
+      const dy = this.targetY - enemy.y;
+      if (dy <= 0 || Math.sqrt(dx * dx + dy * dy) < 20) {
+        this.turning = true;
+      }
+    } else if (Math.sin(this.heading) > -0.95) {
+      // Keep banking until heading (almost) straight up
+      this.heading += this.turnDirection * turnRate * deltaTime;
+    }
+
+    enemy.x += Math.cos(this.heading) * speed * deltaTime;
+    enemy.y += Math.sin(this.heading) * speed * deltaTime;
+  }
+}
+
+class FigureEightMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    this.centerX = enemy.x;
+    this.centerY = enemy.y;
+    this.time = 0;
+  }
+
+  move(enemy, deltaTime) {
+    const {
+      width = 120,          // total horizontal extent
+      height = 60,          // total vertical extent
+      period = 4,           // seconds per full figure eight
+      centerY,              // optional Y to settle the figure at
+      speed = enemy.speed   // approach speed toward centerY
+    } = this.params;
+
+    this.time += deltaTime;
+
+    // Drift the anchor toward the requested centre line
+    if (centerY !== undefined && this.centerY !== centerY) {
+      const step = speed * deltaTime;
+      const diff = centerY - this.centerY;
+      this.centerY += Math.abs(diff) <= step ? diff : Math.sign(diff) * step;
+    }
+
+    const omega = (Math.PI * 2) / period;
+    enemy.x = this.centerX + Math.sin(this.time * omega) * (width / 2);
+    enemy.y = this.centerY + Math.sin(this.time * omega * 2) * (height / 2);
+  }
+}
+
+/**
+ * Follow a Bezier curve of any order. Points are [x, y] pairs in screen pixels,
+ * relative to the enemy's start position (`relative: true`) or as fractions of
+ * the canvas size (`normalized: true`). The path takes `duration` ms (default 3000).
+ */
+class BezierPathMovement extends MovementBehavior {
+  constructor(params = {}) {
+    super({ duration: 3000, ...params });
+  }
+
+  start(enemy) {
+    super.start(enemy);
+    const { points = [], relative = false, normalized = false } = this.params;
+
+    this.points = points.map(([px, py]) => {
+      let x = normalized ? px * CONFIG.canvas.width : px;
+      let y = normalized ? py * CONFIG.canvas.height : py;
+      if (relative) {
+        x += enemy.x;
+        y += enemy.y;
+      }
+      return [x, y];
+    });
+
+    // Start the curve from wherever the enemy currently is
+    if (!relative) {
+      this.points.unshift([enemy.x, enemy.y]);
+    }
+  }
+
+  move(enemy, deltaTime) {
+    if (this.points.length === 0) return;
+
+    const t = Math.min(1, this.elapsed / this.duration);
+    const [x, y] = BezierPathMovement.evaluate(this.points, t);
+    enemy.x = x;
+    enemy.y = y;
+  }
+
+  /**
+   * De Casteljau evaluation of a Bezier curve
+   * @param {number[][]} points - Control points
+   * @param {number} t - Curve parameter from 0 to 1
+   * @returns {number[]} [x, y]
+   */
+  static evaluate(points, t) {
+    let current = points.map(point => [...point]);
+    while (current.length > 1) {
+      const next = [];
+      for (let i = 0; i < current.length - 1; i++) {
+        next.push([
+          current[i][0] + (current[i + 1][0] - current[i][0]) * t,
+          current[i][1] + (current[i + 1][1] - current[i][1]) * t
+        ]);
+      }
+      current = next;
+    }
+    return current[0];
+  }
+}
+
+/**
+ * Circle a fixed point ([x, y] `center`) or the player (`target: 'player'`)
+ */
+class OrbitMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    const center = this.getCenter(enemy);
+    this.angle = Math.atan2(enemy.y - center.y, enemy.x - center.x);
+    this.radius = Math.sqrt((enemy.x - center.x) ** 2 + (enemy.y - center.y) ** 2);
+  }
+
+  getCenter(enemy) {
+    const { target, center } = this.params;
+    if (target === 'player' && game.player && game.player.active) {
+      return { x: game.player.x, y: game.player.y };
+    }
+    if (center) {
+      return { x: center[0], y: center[1] };
+    }
+    if (!this.fixedCenter) {
+      this.fixedCenter = { x: enemy.x, y: enemy.y + (this.params.radius || 80) };
+    }
+    return this.fixedCenter;
+  }
+
+  move(enemy, deltaTime) {
+    const { radius = 80, angularSpeed = 1.5, approachSpeed = 200 } = this.params;
+    const center = this.getCenter(enemy);
+
+    // Ease onto the requested radius
+    const step = approachSpeed * deltaTime;
+    const diff = radius - this.radius;
+    this.radius += Math.abs(diff) <= step ? diff : Math.sign(diff) * step;
+
+    // Keep the same tangential speed while still spiralling in
+    this.angle += angularSpeed * Math.min(1, radius / Math.max(this.radius, 1)) * deltaTime;
+    enemy.x = center.x + Math.cos(this.angle) * this.radius;
+    enemy.y = center.y + Math.sin(this.angle) * this.radius;
+  }
+}
+
+/**
+ * Descend to a strafing line, then sweep back and forth across the screen
+ */
+class StrafeMovement extends MovementBehavior {
+  start(enemy) {
+    super.start(enemy);
+    const { direction } = this.params;
+    this.direction = direction || (enemy.x < CONFIG.canvas.width / 2 ? 1 : -1);
+  }
+
+  move(enemy, deltaTime) {
+    const {
+      y = 100,              // strafing line
+      speed = enemy.speed,  // horizontal speed
+      descendSpeed = enemy.speed,
+      margin = 40
+    } = this.params;
+
+    if (enemy.y < y) {
+      enemy.y = Math.min(y, enemy.y + descendSpeed * deltaTime);
+    }
+
+    enemy.x += this.direction * speed * deltaTime;
+    if (enemy.x < margin) {
+      enemy.x = margin;
+      this.direction = 1;
+    } else if (enemy.x > CONFIG.canvas.width - margin) {
+      enemy.x = CONFIG.canvas.width - margin;
+      this.direction = -1;
+    }
+  }
+}
+
+/**
+ * Wrap another movement around the screen edges instead of leaving the screen.
+ * The inner movement keeps working in its own unwrapped coordinates, so both
+ * velocity-based and position-based behaviors can be wrapped.
+ */
+class ScreenWrapMovement extends MovementBehavior {
+  constructor(params = {}) {
+    super(params);
+    this.inner = createMovement(params.movement || { type: 'linear', vx: params.vx, vy: params.vy });
+    this.keepsOnScreen = true;
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+
+  start(enemy) {
+    super.start(enemy);
+    this.offsetX = 0;
+    this.offsetY = 0;
+    if (this.inner) this.inner.start(enemy);
+  }
+
+  move(enemy, deltaTime) {
+    if (!this.inner) return;
+    const { axes = 'x', margin = 30 } = this.params;
+
+    enemy.x -= this.offsetX;
+    enemy.y -= this.offsetY;
+    this.inner.update(enemy, deltaTime);
+    enemy.x += this.offsetX;
+    enemy.y += this.offsetY;
+
+    const spanX = CONFIG.canvas.width + margin * 2;
+    const spanY = CONFIG.canvas.height + margin * 2;
+    let shiftX = 0;
+    let shiftY = 0;
+
+    if (axes !== 'y') {
+      if (enemy.x < -margin) shiftX = spanX;
+      if (enemy.x > CONFIG.canvas.width + margin) shiftX = -spanX;
+    }
+    if (axes !== 'x') {
+      if (enemy.y < -margin) shiftY = spanY;
+      if (enemy.y > CONFIG.canvas.height + margin) shiftY = -spanY;
+    }
+
+    if (shiftX !== 0 || shiftY !== 0) {
+      enemy.x += shiftX;
+      enemy.y += shiftY;
+      this.offsetX += shiftX;
+      this.offsetY += shiftY;
+      enemy.resetInterpolation();
+    }
+  }
+}
+
+/**
+ * Run movements one after another, e.g. enter on a path, hover, then exit:
+ * { "type": "sequence", "steps": [ {...}, {...} ], "loop": false }
+ */
+class SequenceMovement extends MovementBehavior {
+  constructor(params = {}) {
+    super(params);
+    this.steps = (params.steps || []).map(step => createMovement(step)).filter(Boolean);
+    this.stepIndex = 0;
+  }
+
+  get keepsOnScreen() {
+    const current = this.steps[this.stepIndex];
+    return Boolean(current && current.keepsOnScreen);
+  }
+
+  start(enemy) {
+    super.start(enemy);
+    this.stepIndex = 0;
+    if (this.steps.length > 0) this.steps[0].start(enemy);
+  }
+
+  move(enemy, deltaTime) {
+    const current = this.steps[this.stepIndex];
+    if (!current) return;
+
+    current.update(enemy, deltaTime);
+
+    if (current.isComplete()) {
+      if (this.stepIndex < this.steps.length - 1) {
+        this.stepIndex++;
+        this.steps[this.stepIndex].start(enemy);
+      } else if (this.params.loop) {
+        this.stepIndex = 0;
+        this.steps[0].start(enemy);
+      } else {
+        this.complete = true;
+      }
+    }
+  }
+}
+
+const MOVEMENT_BEHAVIORS = {
+  linear: LinearMovement,
+  sine_wave: SineWaveMovement,
+  descend_hover: DescendHoverMovement,
+  descent_and_hover: DescendHoverMovement, // GDB name
+  chase: ChaseMovement,
+  chase_player: ChaseMovement,             // GDB name
+  swoop: SwoopMovement,
+  figure_eight: FigureEightMovement,
+  bezier: BezierPathMovement,
+  orbit: OrbitMovement,
+  strafe: StrafeMovement,
+  wrap: ScreenWrapMovement,
+  sequence: SequenceMovement
+};
+
+/**
+ * Create a movement behavior from a `movement` config block
+ * @param {Object} config - { type, ...params }
+ * @returns {MovementBehavior|null}
+ */
+function createMovement(config) {
+  if (!config || !config.type) return null;
+
+  const type = config.type.replace(/-/g, '_');
+  const Behavior = MOVEMENT_BEHAVIORS[type];
+  if (!Behavior) {
+    console.warn(`Unknown movement type: ${config.type}`);
+    return null;
+  }
+
+  const { type: _type, ...params } = config;
+  return new Behavior(params);
+}
+
+// ============================================================================
+// ENEMY CLASSES
+// ============================================================================
+
+class Enemy extends Entity {
+  constructor(x, y, config) {
+    super(x, y);
+    this.type = 'enemy';
+    this.name = config.name || 'enemy';
+    this.art = config.art || '???';
+    this.color = config.color || '#ff0000';
+    this.health = config.health || 10;
+    this.maxHealth = this.health;
+    this.scoreValue = config.scoreValue || 100;
+    this.speed = config.speed || 100;
+
+    // Animation frames (from asset); a duration of 0 means a static frame
+    this.frames = config.frames || null;
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+
+    // Movement behavior (see MOVEMENT_BEHAVIORS)
+    this.movement = config.movement || null;
+    this.movementBehavior = createMovement(this.movement);
+    this.vx = 0;
+    this.vy = 0;
+
+    // Weapon configuration (fired as a bullet pattern)
+    this.weapon = config.weapon || null;
+    this.weaponPattern = this.weapon ? createWeaponPattern(this.weapon) : null;
+    this.lastFireTime = -Infinity;
+
+    // Drops and death behavior
+    this.dropTable = config.dropTable || null;
+    this.deathBehavior = config.deathBehavior || null;
+
+    // Ground units sit below the air: air shots and the player pass over them
+    this.altitude = config.altitude || 'air';
+
+    // Enemies launched from this one, e.g. a carrier's scouts ({ enemy, interval, count, offset })
+    this.launch = config.launch || null;
+    this.launchTimer = 0;
+    this.launched = 0;
+
+    // Hitbox: glyph cells by default; an explicit radius means a circle
+    if (config.hitboxRadius !== undefined) {
+      this.hitboxRadius = config.hitboxRadius;
+    } else {
+      this.hitboxRadius = this.calculateHitboxRadius();
+    }
+    this.hitbox = config.hitbox || (config.hitboxRadius !== undefined ? 'circle' : 'cells');
+
+    // Flash, knockback, damage numbers and smoke when hit
+    this.hitReaction = new HitReaction(config.hitFeedback);
+
+    if (this.movementBehavior) {
+      this.movementBehavior.start(this);
+    }
+  }
+
+  update(deltaTime) {
+    this.hitReaction.update(this, deltaTime);
+    this.updateAnimation(deltaTime);
+    this.updateMovement(deltaTime);
+    this.updateWeapon(game.clock.now());
+    this.updateLaunch(deltaTime);
+
+    // Destroy if off screen (unless the movement wraps around the edges)
+    const wraps = this.movementBehavior && this.movementBehavior.keepsOnScreen;
+    if (!wraps && this.isOffScreen()) {
+      this.destroy();
+    }
+  }
+
+  isOffScreen(margin = 50) {
+    return this.y > CONFIG.canvas.height + margin || this.y < -margin ||
+           this.x < -margin || this.x > CONFIG.canvas.width + margin;
+  }
+
+  updateAnimation(deltaTime) {
+    if (!this.frames || this.frames.length < 2) return;
+
+    const frame = this.frames[this.frameIndex];
+    if (!frame.duration) return;
+
+    this.frameTimer += deltaTime * 1000;
+    if (this.frameTimer >= frame.duration) {
+      this.frameTimer = 0;
+      this.frameIndex = (this.frameIndex + 1) % this.frames.length;
+      this.art = this.frames[this.frameIndex].ascii;
+      this.color = this.frames[this.frameIndex].color || this.color;
+    }
+  }
+
+  updateMovement(deltaTime) {
+    if (this.movementBehavior) {
+      this.movementBehavior.update(this, deltaTime);
+    } else {
+      this.y += this.speed * deltaTime;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Weapons
+  // --------------------------------------------------------------------------
+
+  canFire(currentTime) {
+    if (!this.weapon) return false;
+    return (currentTime - this.lastFireTime) >= this.weapon.fireRate;
+  }
+
+  updateWeapon(currentTime) {
+    if (!this.weapon) return;
+    if (this.weapon.fireOnlyWhenHovering && !this.hovering) return;
+    this.fire(currentTime);
+  }
+
+  fire(currentTime) {
+    if (!this.canFire(currentTime)) return null;
+    this.lastFireTime = currentTime;
+    return firePattern(this.weaponPattern, this, { offset: [0, 10] });
+  }
+
+  updateLaunch(deltaTime) {
+    const launch = this.launch;
+    if (!launch || this.launched >= (launch.count || Infinity)) return;
+
+    this.launchTimer += deltaTime * 1000;
+    if (this.launchTimer < launch.interval) return;
+    this.launchTimer = 0;
+    this.launched++;
+
+    const [offsetX, offsetY] = launch.offset || [0, 0];
+    const enemy = game.enemyFactory.create(launch.enemy, this.x + offsetX, this.y + offsetY);
+    if (enemy) {
+      game.enemies.push(enemy);
+    }
+  }
+
+  calculateHitboxRadius() {
+    // Create a temporary canvas context to measure text
+    if (!game.renderer) {
+      return 16; // Default fallback
+    }
+
+    if (Array.isArray(this.art)) {
+      // Multi-line art - find the widest line
+      let maxWidth = 0;
+      this.art.forEach(line => {
+        const width = game.renderer.measureWidth(line);
+        maxWidth = Math.max(maxWidth, width);
+      });
+      const height = this.art.length * CONFIG.font.size;
+
+      // Use half-diagonal for circular hitbox to cover rectangle
+      return Math.sqrt((maxWidth/2) ** 2 + (height/2) ** 2);
+    } else {
+      // Single-line art
+      const width = game.renderer.measureWidth(this.art);
+      // Use half-width as radius (covers the full width)
+      return width / 2;
+    }
+  }
+
+  /**
+   * @param {number} amount
+   * @param {Entity} [source] - Projectile that hit (sets the knockback direction)
+   */
+  takeDamage(amount, source = null) {
+    // Chain explosions reach back to the enemy that set them off
+    if (!this.active || this.health <= 0) return;
+
+    this.hitReaction.hit(this, amount, source);
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.onDeath();
+      this.destroy();
+    }
+  }
+
+  onDeath() {
+    // Add score
+    if (game.score !== undefined) {
+      game.score += this.scoreValue;
+      this.updateScoreUI();
+    }
+    game.stats.enemiesDestroyed++;
+
+    // Create explosion effect
+    game.effects.push(createSmallExplosion(this.x, this.y));
+
+    if (this.deathBehavior && this.deathBehavior.type === 'explosion') {
+      this.explode();
+    }
+
+    // Drop power-up based on drop table
+    if (this.dropTable) {
+      const roll = game.rng.next();
+      let cumulative = 0;
+
+      for (const [dropType, chance] of Object.entries(this.dropTable)) {
+        cumulative += chance;
+        if (roll <= cumulative && dropType !== 'nothing') {
+          game.powerups.push(new PowerUp(this.x, this.y, dropType));
+          break;
+        }
+      }
+    }
+  }
 
-  // Weighted random selection
-  const rand = Math.random();
-  let cumulative = 0;
-  let selectedType = types[0];
+  explode() {
+    const { damage = 25, radius = 40, damagesEnemies = false } = this.deathBehavior;
+
+    // Damage player if close
+    if (game.player && game.player.active) {
+      const dx = game.player.x - this.x;
+      const dy = game.player.y - this.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < radius) {
+        game.player.takeDamage(damage);
+      }
+    }
+
+    // Damage nearby enemies (chain reaction)
+    if (!damagesEnemies) return;
+
+    game.enemies.forEach(enemy => {
+      if (enemy === this || !enemy.active || enemy.altitude !== this.altitude) return;
+
+      const dx = enemy.x - this.x;
+      const dy = enemy.y - this.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < radius) {
+        enemy.takeDamage(damage);
+      }
+    });
+  }
+
+  updateScoreUI() {
+    game.hud.updateScore(game.score);
+  }
+
+  render(renderer) {
+    const reaction = this.hitReaction;
+    const x = this.x + reaction.offsetX;
+    const y = this.y + reaction.offsetY;
+    const color = reaction.tint(this.color);
+    if (Array.isArray(this.art)) {
+      renderer.drawMultiLine(this.art, x, y, color);
+    } else {
+      renderer.drawTextCentered(this.art, x, y, color);
+    }
+  }
+}
+
+// ============================================================================
+// ENEMY FACTORY (data-driven enemies from JSON assets)
+// ============================================================================
+
+const ENEMY_MANIFEST_URL = '/assets/sprites/enemies/manifest.json';
+
+class EnemyFactory {
+  constructor() {
+    this.definitions = {};
+  }
+
+  /**
+   * Register an enemy definition
+   * @param {Object} asset - Enemy asset (see assets/sprites/enemies/scout.json)
+   */
+  register(asset) {
+    if (!asset || asset.type !== 'enemy' || !asset.name) {
+      console.warn('Ignoring invalid enemy asset:', asset);
+      return;
+    }
+    this.definitions[asset.name.toLowerCase()] = asset;
+  }
+
+  /**
+   * Check if an enemy type has been registered
+   * @param {string} type - Enemy name (case-insensitive)
+   * @returns {boolean}
+   */
+  has(type) {
+    return type.toLowerCase() in this.definitions;
+  }
+
+  /**
+   * Build an enemy from its registered definition
+   * @param {string} type - Enemy name (case-insensitive)
+   * @param {number} x - Spawn X position
+   * @param {number} y - Spawn Y position
+   * @returns {Enemy|null}
+   */
+  create(type, x, y) {
+    const asset = this.definitions[type.toLowerCase()];
+    if (!asset) {
+      console.warn(`Unknown enemy type: ${type}`);
+      return null;
+    }
+    const config = applyDifficultyToEnemy(EnemyFactory.buildConfig(asset), getDifficultyProfile());
+    return new Enemy(x, y, config);
+  }
+
+  /**
+   * Convert an enemy asset into an Enemy constructor config
+   * @param {Object} asset - Enemy asset
+   * @returns {Object}
+   */
+  static buildConfig(asset) {
+    const frames = (asset.frames || []).map(frame => ({ ...frame }));
+    const firstFrame = frames[0] || {};
+    const stats = asset.stats || {};
+
+    return {
+      name: asset.name,
+      art: firstFrame.ascii,
+      color: firstFrame.color,
+      frames,
+      health: stats.health,
+      speed: stats.speed,
+      scoreValue: stats.scoreValue,
+      hitboxRadius: stats.hitboxRadius,
+      hitbox: stats.hitbox,
+      movement: asset.movement ? { ...asset.movement } : null,
+      weapon: asset.weapon ? { ...asset.weapon } : null,
+      dropTable: asset.dropTable ? { ...asset.dropTable } : null,
+      deathBehavior: asset.deathBehavior ? { ...asset.deathBehavior } : null,
+      hitFeedback: asset.hitFeedback ? { ...asset.hitFeedback } : null,
+      altitude: asset.altitude,
+      launch: asset.launch ? { ...asset.launch } : null
+    };
+  }
+}
+
+/**
+ * Load every enemy listed in the enemy manifest and register it with the factory
+ * @param {AssetLoader} assetLoader
+ * @param {EnemyFactory} factory
+ * @returns {Promise}
+ */
+async function loadEnemyDefinitions(assetLoader, factory) {
+  const manifest = await assetLoader.loadAsset('enemy_manifest', ENEMY_MANIFEST_URL);
+  if (!manifest || !Array.isArray(manifest.enemies)) {
+    console.warn('No enemy manifest found - no enemies will spawn');
+    return;
+  }
+
+  const baseUrl = ENEMY_MANIFEST_URL.slice(0, ENEMY_MANIFEST_URL.lastIndexOf('/') + 1);
+  const assetMap = {};
+  manifest.enemies.forEach(file => {
+    assetMap[`enemy_${file.replace(/\.json$/, '')}`] = baseUrl + file;
+  });
+
+  const assets = await assetLoader.loadAssets(assetMap);
+  Object.keys(assetMap).forEach(name => {
+    if (assets[name]) {
+      factory.register(assets[name]);
+    }
+  });
+}
+
+// ============================================================================
+// BOSSES (data-driven, from JSON assets)
+// ============================================================================
+
+const BOSS_MANIFEST_URL = '/assets/sprites/bosses/manifest.json';
+
+/**
+ * A piece of a boss that rides along at an offset from its hull: its own art,
+ * and optionally its own health (destructible) and weapon
+ */
+class BossPart extends Entity {
+  /**
+   * @param {Boss} boss
+   * @param {Object} definition - Part from the boss asset's `parts`
+   */
+  constructor(boss, definition) {
+    const [offsetX, offsetY] = definition.offset || [0, 0];
+    super(boss.x + offsetX, boss.y + offsetY);
+    this.type = 'boss_part';
+    this.name = definition.name;
+    this.boss = boss;
+    this.art = definition.art;
+    this.color = definition.color || boss.color;
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.hitbox = 'cells';
+
+    // Without health a part is armor: it stops shots but can't be destroyed
+    const profile = getDifficultyProfile();
+    this.destructible = definition.health !== undefined;
+    this.health = this.destructible ? Math.round(definition.health * profile.bossHealth) : 1;
+    this.maxHealth = this.health;
+    this.scoreValue = definition.scoreValue || 0;
+
+    this.weapon = definition.weapon || null;
+    this.fireRate = this.weapon ? scaleInterval(this.weapon.fireRate, profile.bossAttackRate) : 0;
+    this.lastFireTime = -Infinity;
+    this.hitReaction = new HitReaction({ knockback: 0, smokeBelow: 0, ...definition.hitFeedback });
+  }
+
+  update(deltaTime) {
+    this.hitReaction.update(this, deltaTime);
+
+    // Follow the hull; parts go down with it
+    if (!this.boss.active) {
+      this.destroy();
+      return;
+    }
+    this.x = this.boss.x + this.offsetX;
+    this.y = this.boss.y + this.offsetY;
+
+    const currentTime = game.clock.now();
+    if (this.weapon && currentTime - this.lastFireTime >= this.fireRate) {
+      this.lastFireTime = currentTime;
+      if (!this.weapon.needsTarget || (game.player && game.player.active)) {
+        firePattern(this.weapon.pattern, this);
+      }
+    }
+  }
+
+  takeDamage(amount, source = null) {
+    if (!this.active || this.health <= 0) return;
+
+    this.hitReaction.hit(this, this.destructible ? amount : 0, source);
+    if (!this.destructible) return;
+
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.onDeath();
+      this.destroy();
+    }
+  }
+
+  onDeath() {
+    game.effects.push(createSmallExplosion(this.x, this.y));
+    game.score += this.scoreValue;
+    game.hud.updateScore(game.score);
+    logEvent(`${this.boss.title}: ${this.name} destroyed`);
+  }
+
+  render(renderer) {
+    if (this.health <= 0) return;
+    const color = this.hitReaction.tint(this.color);
+    if (Array.isArray(this.art)) {
+      renderer.drawMultiLine(this.art, this.x, this.y, color);
+    } else {
+      renderer.drawTextCentered(this.art, this.x, this.y, color);
+    }
+  }
+}
+
+/**
+ * A boss built from its JSON asset (see assets/sprites/bosses/): a hull with
+ * attached parts, phases entered as health falls or parts are destroyed, each
+ * with its own attack schedule, and scripted entrance and defeat sequences.
+ */
+class Boss extends Enemy {
+  /**
+   * @param {Object} asset - Boss asset
+   */
+  constructor(asset) {
+    const profile = getDifficultyProfile();
+    const stats = asset.stats || {};
+    const spawn = asset.spawn || { x: 0.5, y: -200 };
+    super(CONFIG.canvas.width * spawn.x, spawn.y, {
+      name: asset.name,
+      art: asset.art,
+      color: asset.color,
+      health: Math.round(stats.health * profile.bossHealth),
+      scoreValue: stats.scoreValue,
+      hitFeedback: asset.hitFeedback
+    });
+
+    this.type = 'boss';
+    this.title = asset.title || asset.name;
+    this.attackRate = profile.bossAttackRate;
+    this.flashBelow = stats.flashBelow || 0;
+    this.sway = asset.movement || null;
+    this.homeX = this.x;
+
+    // Scripts: the entrance plays out in update(), the defeat on the clock
+    this.entrance = asset.entrance || [];
+    this.entranceStep = 0;
+    this.entranceTimer = 0;
+    this.entranceComplete = this.entrance.length === 0;
+    this.defeat = asset.defeat || [];
+
+    // Parts join the enemy list so they collide like any other enemy
+    this.parts = (asset.parts || []).map(definition => {
+      const part = new BossPart(this, definition);
+      game.enemies.push(part);
+      return part;
+    });
+
+    this.phases = asset.phases && asset.phases.length > 0 ? asset.phases : [{ name: 'ATTACK', attacks: [] }];
+    this.phaseIndex = -1;
+    this.attacks = [];
+    this.enterPhase(0);
+
+    this.showHealthBar();
+  }
+
+  get phase() {
+    return this.phases[this.phaseIndex];
+  }
+
+  showHealthBar() {
+    game.hud.showBossHealth(this.title);
+    this.updateHealthBar();
+  }
+
+  hideHealthBar() {
+    game.hud.hideBossHealth();
+  }
+
+  updateHealthBar() {
+    const progress = this.phases.length > 1 ? this.phaseIndex / (this.phases.length - 1) : 0;
+    game.hud.updateBossHealth(this.health, this.maxHealth, progress);
+  }
+
+  update(deltaTime) {
+    this.hitReaction.update(this, deltaTime);
+
+    if (!this.entranceComplete) {
+      this.updateEntrance(deltaTime);
+      return;
+    }
+
+    this.updatePhase();
+
+    if (this.sway) {
+      const { amplitude, frequency } = this.sway;
+      this.x = this.homeX + Math.sin(game.clock.now() * 0.001 * frequency) * amplitude;
+    }
+
+    this.updateAttacks(deltaTime);
+  }
+
+  /**
+   * Play the entrance: `move` glides to { x (fraction of the width), y } at
+   * `speed`, `wait` pauses; anything else is an instant step (runBossStep)
+   */
+  updateEntrance(deltaTime) {
+    const step = this.entrance[this.entranceStep];
+    let done = true;
+
+    if (step.move) {
+      const targetX = CONFIG.canvas.width * (step.move.x !== undefined ? step.move.x : this.x / CONFIG.canvas.width);
+      const targetY = step.move.y !== undefined ? step.move.y : this.y;
+      const dx = targetX - this.x;
+      const dy = targetY - this.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0) {
+        const ux = dx / distance;
+        const uy = dy / distance;
+        const travel = (step.speed || this.speed) * deltaTime;
+        this.x += ux * travel;
+        this.y += uy * travel;
+        // Snap once the move reaches (or passes) its target
+        done = (targetX - this.x) * ux + (targetY - this.y) * uy <= 0;
+        if (done) {
+          this.x = targetX;
+          this.y = targetY;
+        }
+      }
+    } else if (step.wait) {
+      this.entranceTimer += deltaTime * 1000;
+      done = this.entranceTimer >= step.wait;
+    } else {
+      runBossStep(step, this);
+    }
+
+    if (!done) return;
+    this.entranceStep++;
+    this.entranceTimer = 0;
+    if (this.entranceStep >= this.entrance.length) {
+      this.entranceComplete = true;
+      this.homeX = this.x;
+      logEvent(`${this.title}: entrance complete`);
+    }
+  }
+
+  // Move on through every phase whose trigger has been met (phases never go back)
+  updatePhase() {
+    while (this.phaseIndex < this.phases.length - 1 && this.isTriggered(this.phases[this.phaseIndex + 1].trigger)) {
+      this.enterPhase(this.phaseIndex + 1);
+      logEvent(`${this.title} phase ${this.phaseIndex + 1}: ${this.phase.name}`);
+      this.updateHealthBar();
+    }
+  }
+
+  /**
+   * @param {Object} [trigger] - { health: percent at or below } and/or
+   *   { partsDestroyed: [part names] }; both must hold when both are given
+   * @returns {boolean}
+   */
+  isTriggered(trigger) {
+    if (!trigger) return true;
+    if (trigger.health !== undefined && (this.health / this.maxHealth) * 100 > trigger.health) {
+      return false;
+    }
+    if (trigger.partsDestroyed) {
+      return trigger.partsDestroyed.every(name => {
+        const part = this.parts.find(candidate => candidate.name === name);
+        return !part || part.health <= 0;
+      });
+    }
+    return true;
+  }
+
+  // Attacks that carry on from the last phase (same pattern and part) keep their rhythm
+  enterPhase(index) {
+    const previous = this.attacks;
+    this.phaseIndex = index;
+    this.attacks = (this.phase.attacks || []).map(attack => {
+      const carried = previous.find(state => state.pattern === attack.pattern && state.from === attack.from);
+      return {
+        ...attack,
+        interval: attack.interval ? scaleInterval(attack.interval, this.attackRate) : 0,
+        timer: carried ? carried.timer : 0
+      };
+    });
+  }
+
+  /**
+   * Run the phase's attack schedule. Each attack fires its `pattern` every
+   * `interval` ms, or at random `perSecond` times a second; `from` fires it
+   * from a part (silenced once that part is destroyed) and `needsTarget`
+   * holds it while the player is down.
+   */
+  updateAttacks(deltaTime) {
+    this.attacks.forEach(attack => {
+      if (attack.interval) {
+        attack.timer += deltaTime * 1000;
+        if (attack.timer < attack.interval) return;
+        attack.timer = 0;
+      } else if (!game.rng.chance(attack.perSecond * deltaTime * this.attackRate)) {
+        return;
+      }
+
+      const source = attack.from ? this.parts.find(part => part.name === attack.from) : this;
+      if (!source || !source.active) return;
+      if (attack.needsTarget && (!game.player || !game.player.active)) return;
+      firePattern(attack.pattern, source);
+    });
+  }
+
+  takeDamage(amount, source = null) {
+    // Already down: the defeat script runs (and the stage ends) only once
+    if (!this.active || this.health <= 0) return;
+
+    // Shielded phases shrug hits off
+    if (this.phase.invulnerable) {
+      this.hitReaction.hit(this, 0, source);
+      return;
+    }
+
+    this.hitReaction.hit(this, amount, source);
+    this.health -= amount;
+    if (this.health <= 0) {
+      this.health = 0;
+      this.onDeath();
+    }
+    this.updateHealthBar();
+  }
+
+  onDeath() {
+    this.parts.forEach(part => {
+      if (part.active) {
+        part.destroy();
+      }
+    });
+    this.hideHealthBar();
+
+    const duration = playBossScript(this.defeat, this);
+
+    game.score += this.scoreValue;
+    game.hud.updateScore(game.score);
+    game.stats.bossKillTime = game.clock.now() - game.stats.bossArrivalTime;
+
+    // Stage clear (or victory on the last stage) once the defeat sequence is over
+    game.clock.schedule(duration, () => {
+      logEvent(`${this.title} defeated!`);
+      game.campaign.completeStage();
+    });
+
+    this.destroy();
+  }
+
+  render(renderer) {
+    // Flicker when nearly destroyed
+    const flashing = this.health <= this.maxHealth * this.flashBelow;
+    if (flashing && Math.floor(game.clock.now() / 100) % 2 !== 0) return;
+
+    const reaction = this.hitReaction;
+    renderer.drawMultiLine(this.art, this.x + reaction.offsetX, this.y + reaction.offsetY, reaction.tint(this.color));
+  }
+}
+
+/**
+ * Instant script step: `camera` fires a CAMERA_EVENTS entry, `explosions`
+ * ({ count, interval, spread: [x, y] }) sets off large explosions around the
+ * boss, one every `interval` ms
+ * @param {Object} step
+ * @param {Boss} boss
+ * @param {number} [delay] - Milliseconds from now to start at
+ */
+function runBossStep(step, boss, delay = 0) {
+  if (step.camera) {
+    if (delay > 0) {
+      game.clock.schedule(delay, () => triggerCamera(step.camera));
+    } else {
+      triggerCamera(step.camera);
+    }
+  }
+
+  if (step.explosions) {
+    const { count = 1, interval = 0, spread = [0, 0] } = step.explosions;
+    const { x, y } = boss;
+    for (let i = 0; i < count; i++) {
+      game.clock.schedule(delay + i * interval, () => {
+        const offsetX = game.rng.range(-spread[0], spread[0]);
+        const offsetY = game.rng.range(-spread[1], spread[1]);
+        game.effects.push(createLargeExplosion(x + offsetX, y + offsetY));
+      });
+    }
+  }
+}
+
+/**
+ * Schedule a script on the game clock (used once the boss itself is gone):
+ * `wait` steps push everything after them back
+ * @param {Object[]} steps
+ * @param {Boss} boss
+ * @returns {number} Milliseconds until the script is over
+ */
+function playBossScript(steps, boss) {
+  let delay = 0;
+  steps.forEach(step => {
+    if (step.wait) {
+      delay += step.wait;
+    } else {
+      runBossStep(step, boss, delay);
+    }
+  });
+  return delay;
+}
+
+class BossFactory {
+  constructor() {
+    this.definitions = {};
+  }
+
+  /**
+   * Register a boss definition
+   * @param {Object} asset - Boss asset (see assets/sprites/bosses/crimson_dreadnought.json)
+   */
+  register(asset) {
+    if (!asset || asset.type !== 'boss' || !asset.name || !Array.isArray(asset.art)) {
+      console.warn('Ignoring invalid boss asset:', asset);
+      return;
+    }
+    this.definitions[asset.name.toLowerCase()] = asset;
+  }
+
+  /**
+   * @param {string} name - Boss name (case-insensitive)
+   * @returns {boolean}
+   */
+  has(name) {
+    return name.toLowerCase() in this.definitions;
+  }
 
-  for (const type of types) {
-    cumulative += type.chance;
-    if (rand <= cumulative) {
-      selectedType = type;
-      break;
+  /**
+   * Build a boss (and its parts) from its registered definition
+   * @param {string} name - Boss name (case-insensitive)
+   * @returns {Boss|null}
+   */
+  create(name) {
+    const asset = this.definitions[name.toLowerCase()];
+    if (!asset) {
+      console.warn(`Unknown boss: ${name}`);
+      return null;
     }
+    return new Boss(asset);
   }
+}
 
-  const x = Math.random() * CONFIG.canvas.width;
-  const y = -100; // Start further up for larger clouds
+/**
+ * Load every boss listed in the boss manifest and register it with the factory
+ * @param {AssetLoader} assetLoader
+ * @param {BossFactory} factory
+ * @returns {Promise}
+ */
+async function loadBossDefinitions(assetLoader, factory) {
+  const manifest = await assetLoader.loadAsset('boss_manifest', BOSS_MANIFEST_URL);
+  if (!manifest || !Array.isArray(manifest.bosses)) {
+    console.warn('No boss manifest found - stages end after their last wave');
+    return;
+  }
 
-  return new Cloud(x, y, {
-    art: selectedType.art,
-    color: '#ffffff', // White
-    speed: 40,
-    layer: 'near'
+  const baseUrl = BOSS_MANIFEST_URL.slice(0, BOSS_MANIFEST_URL.lastIndexOf('/') + 1);
+  const assetMap = {};
+  manifest.bosses.forEach(file => {
+    assetMap[`boss_${file.replace(/\.json$/, '')}`] = baseUrl + file;
+  });
+
+  const assets = await assetLoader.loadAssets(assetMap);
+  Object.keys(assetMap).forEach(name => {
+    if (assets[name]) {
+      factory.register(assets[name]);
+    }
   });
 }
 
 // ============================================================================
-// PLAYER SHIP
+// INPUT MANAGER
 // ============================================================================
 
-class Player extends Entity {
-  constructor(x, y) {
-    super(x, y);
-    this.type = 'player';
+// Keyboard keys the simulation reads. Only these are captured into input
+// frames, so they are all that replays need to record.
+const GAME_KEYS = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'KeyE', 'KeyR', 'KeyQ'];
+
+// Debug/tool hotkeys, handled once per rendered frame outside the simulation
+const HOTKEYS = ['F2', 'F3', 'F6', 'F8', 'F9', 'Minus', 'Equal'];
+
+// Menu/screen actions, read once per rendered frame (never recorded)
+const MENU_KEY_ACTIONS = {
+  Enter: ['confirm'],
+  Escape: ['pause', 'cancel'],
+  ArrowUp: ['up'],
+  ArrowDown: ['down'],
+  ArrowLeft: ['left'],
+  ArrowRight: ['right'],
+  KeyW: ['up'],
+  KeyS: ['down'],
+  KeyA: ['left'],
+  KeyD: ['right']
+};
 
-    // Visual
-    this.art = [
-      '  ^  ',
-      ' <o> ',
-      ' ||| '
-    ];
-    this.color = '#00ffff'; // Cyan from GDB
+// Standard gamepad layout: A confirm, B cancel, START pause, D-pad navigates
+const MENU_BUTTON_ACTIONS = {
+  0: ['confirm'],
+  1: ['cancel'],
+  9: ['pause'],
+  12: ['up'],
+  13: ['down'],
+  14: ['left'],
+  15: ['right']
+};
 
-    // Physics
-    this.speed = CONFIG.player.speed;
-    this.vx = 0;
-    this.vy = 0;
+/**
+ * Snapshot of every input the simulation can see during one update step
+ * @returns {{keys: Object, buttons: Object, axes: number[]}}
+ */
+function createInputFrame() {
+  return { keys: {}, buttons: {}, axes: [0, 0] };
+}
 
-    // Combat
-    this.health = 100;
-    this.maxHealth = 100;
-    this.hitboxRadius = this.calculateHitboxRadius();
-    this.lives = 3; // Starting lives from GDB
-    this.invulnerable = false;
-    this.invulnerabilityTimer = 0;
-    this.invulnerabilityDuration = 3000; // 3 seconds from GDB
+class InputManager {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.listen=true] - Attach browser keyboard/gamepad
+   *   listeners. Front-ends without a window feed keys through setKey().
+   */
+  constructor(options = {}) {
+    this.keys = {};
+    this.hotkeysPressed = new Set();
+    this.menuKeysPressed = [];
+    this.previousMenuButtons = {};
+    this.previousMenuStick = [0, 0];
+    this.frame = createInputFrame();
+    this.previousFrame = createInputFrame();
+    this.source = null; // Optional input source (e.g. ReplayPlayer) replacing live devices
+    this.deadzone = 0.15; // Per GDB specification
+    if (options.listen !== false) {
+      this.setupEventListeners();
+    }
+  }
 
-    // Weapons
-    this.weapons = [
-      new SniperLaser(),
-      new VulcanCannon()
-    ];
-    this.currentWeaponIndex = 0;
-    this.rocketLauncher = new RocketLauncher();
+  setupEventListeners() {
+    window.addEventListener('keydown', (e) => {
+      this.setKey(e.code, true, e.repeat);
 
-    // Animation
-    this.thrustFrame = 0;
-    this.thrustTimer = 0;
-    this.thrustInterval = 100; // ms
-  }
+      // Prevent default for game controls
+      if ([...GAME_KEYS, ...HOTKEYS, ...Object.keys(MENU_KEY_ACTIONS)].includes(e.code)) {
+        e.preventDefault();
+      }
+    });
 
-  getCurrentWeapon() {
-    return this.weapons[this.currentWeaponIndex];
-  }
+    window.addEventListener('keyup', (e) => {
+      this.setKey(e.code, false);
+    });
 
-  switchWeapon() {
-    this.currentWeaponIndex = (this.currentWeaponIndex + 1) % this.weapons.length;
-    this.updateWeaponUI();
+    // Gamepad connection events
+    window.addEventListener('gamepadconnected', (e) => {
+      logEvent('Gamepad connected:', e.gamepad.id);
+    });
 
-    // Play weapon switch sound
-    if (game.audioManager) {
-      game.audioManager.playWeaponSwitchSound();
+    window.addEventListener('gamepaddisconnected', (e) => {
+      logEvent('Gamepad disconnected:', e.gamepad.id);
+    });
+  }
+
+  /**
+   * Set a key's held state by KeyboardEvent code
+   * @param {string} code
+   * @param {boolean} isDown
+   * @param {boolean} [repeat=false] - Auto-repeat presses don't re-trigger
+   *   hotkeys (menus do repeat, so held arrows keep scrolling)
+   */
+  setKey(code, isDown, repeat = false) {
+    this.keys[code] = isDown;
+    if (!isDown) return;
+    if (!repeat && HOTKEYS.includes(code)) {
+      this.hotkeysPressed.add(code);
+    }
+    if (MENU_KEY_ACTIONS[code]) {
+      this.menuKeysPressed.push(code);
     }
   }
 
-  updateWeaponUI() {
-    // Update UI to show current weapon
-    document.querySelectorAll('.weapon').forEach(el => {
-      el.classList.remove('ui-current-weapon');
+  /**
+   * Menu actions triggered since the last call (key presses, gamepad button
+   * presses and left stick flicks). Call once per rendered frame.
+   * @returns {Set<string>} e.g. 'confirm', 'cancel', 'pause', 'up', 'left'
+   */
+  readMenuActions() {
+    const actions = new Set();
+    this.menuKeysPressed.forEach(code => {
+      MENU_KEY_ACTIONS[code].forEach(action => actions.add(action));
     });
+    this.menuKeysPressed = [];
 
-    const weaponId = this.getCurrentWeapon().id;
-    const uiElement = document.getElementById(`ui-${weaponId}-weapon`);
-    if (uiElement) {
-      uiElement.classList.add('ui-current-weapon');
+    const gamepad = this.getGamepad();
+    if (gamepad) {
+      const buttons = {};
+      Object.keys(MENU_BUTTON_ACTIONS).forEach(index => {
+        const button = gamepad.buttons[index];
+        buttons[index] = !!(button && button.pressed);
+        if (buttons[index] && !this.previousMenuButtons[index]) {
+          MENU_BUTTON_ACTIONS[index].forEach(action => actions.add(action));
+        }
+      });
+      this.previousMenuButtons = buttons;
+
+      // Stick flicks: trigger when the stick crosses halfway
+      const stick = [gamepad.axes[0] || 0, gamepad.axes[1] || 0].map(value =>
+        value > 0.5 ? 1 : value < -0.5 ? -1 : 0
+      );
+      if (stick[0] !== this.previousMenuStick[0] && stick[0] !== 0) {
+        actions.add(stick[0] < 0 ? 'left' : 'right');
+      }
+      if (stick[1] !== this.previousMenuStick[1] && stick[1] !== 0) {
+        actions.add(stick[1] < 0 ? 'up' : 'down');
+      }
+      this.previousMenuStick = stick;
     }
 
-    // Update rocket ammo display
-    const rocketAmmoEl = document.querySelector('#ui-rocket-weapon .ammo');
-    if (rocketAmmoEl) {
-      rocketAmmoEl.textContent = this.rocketLauncher.ammo;
-    }
+    return actions;
   }
 
-  fire(currentTime) {
-    const weapon = this.getCurrentWeapon();
-    return weapon.fire(this.x, this.y, currentTime);
+  getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    const gamepads = navigator.getGamepads();
+    // Return first connected gamepad
+    for (const gamepad of gamepads) {
+      if (gamepad) return gamepad;
+    }
+    return null;
   }
 
-  fireRocket(currentTime) {
-    return this.rocketLauncher.fire(this.x, this.y, currentTime);
+  /**
+   * Capture this step's input frame, from the input source if one is set
+   * (replay playback) or from the live keyboard and gamepad otherwise.
+   * Call exactly once per simulation step.
+   * @returns {Object} The new input frame
+   */
+  poll() {
+    this.previousFrame = this.frame;
+    this.frame = this.source ? (this.source.next() || createInputFrame()) : this.sampleDevices();
+    return this.frame;
   }
 
-  takeDamage(amount) {
-    // Don't take damage if invulnerable
-    if (this.invulnerable) return;
+  sampleDevices() {
+    const frame = createInputFrame();
 
-    this.health -= amount;
-    if (this.health <= 0) {
-      this.health = 0;
-      this.die();
-    }
-    this.updateHealthUI();
-  }
+    GAME_KEYS.forEach(code => {
+      if (this.keys[code]) frame.keys[code] = true;
+    });
 
-  die() {
-    // Create large explosion on player death
-    game.effects.push(createLargeExplosion(this.x, this.y));
+    const gamepad = this.getGamepad();
+    if (gamepad) {
+      // Initialize audio on first gamepad button press
+      if (game.audioManager && !game.audioManager.initialized) {
+        const anyButtonPressed = gamepad.buttons.some(button => button.pressed);
+        if (anyButtonPressed) {
+          game.audioManager.init();
+          // Start music after audio is initialized
+          if (game.audioManager.initialized) {
+            game.audioManager.loadAndPlayMusic('/Raptorface - Cherryblossom.mp3');
+          }
+        }
+      }
 
-    this.lives--;
-    this.updateLivesUI();
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) frame.buttons[index] = true;
+      });
 
-    if (this.lives > 0) {
-      // Respawn after a delay
-      setTimeout(() => {
-        this.respawn();
-      }, 1000); // 1 second delay
-    } else {
-      // Game over
-      this.destroy();
-      game.gameOver = true;
+      // Left stick (axes 0 and 1)
+      frame.axes = [gamepad.axes[0] || 0, gamepad.axes[1] || 0];
     }
-  }
-
-  respawn() {
-    // Reset position to start
-    this.x = CONFIG.canvas.width / 2;
-    this.y = CONFIG.canvas.height - 100;
-
-    // Reset health
-    this.health = this.maxHealth;
-    this.updateHealthUI();
 
-    // Grant invulnerability
-    this.invulnerable = true;
-    this.invulnerabilityTimer = 0;
+    return frame;
+  }
 
-    // Reset velocity
-    this.vx = 0;
-    this.vy = 0;
+  /**
+   * Check (and clear) a hotkey press since the last call
+   * @param {string} code - KeyboardEvent.code from HOTKEYS
+   * @returns {boolean}
+   */
+  consumeHotkey(code) {
+    return this.hotkeysPressed.delete(code);
+  }
 
-    // Make sure player is active
-    this.active = true;
+  isKeyDown(code) {
+    return this.frame.keys[code] === true;
   }
 
-  updateHealthUI() {
-    const healthEl = document.querySelector('#health span');
-    if (healthEl) {
-      healthEl.textContent = this.health;
-    }
+  wasKeyJustPressed(code) {
+    return this.frame.keys[code] === true && this.previousFrame.keys[code] !== true;
   }
 
-  updateLivesUI() {
-    const livesEl = document.querySelector('#lives span');
-    if (livesEl) {
-      livesEl.textContent = this.lives;
-    }
+  isGamepadButtonDown(buttonIndex) {
+    return this.frame.buttons[buttonIndex] === true;
   }
 
-  update(deltaTime) {
-    // Update invulnerability timer
-    if (this.invulnerable) {
-      this.invulnerabilityTimer += deltaTime * 1000;
-      if (this.invulnerabilityTimer >= this.invulnerabilityDuration) {
-        this.invulnerable = false;
-        this.invulnerabilityTimer = 0;
-      }
-    }
+  wasGamepadButtonJustPressed(buttonIndex) {
+    return this.frame.buttons[buttonIndex] === true &&
+           this.previousFrame.buttons[buttonIndex] !== true;
+  }
 
-    // Update position based on velocity
-    this.x += this.vx * deltaTime;
-    this.y += this.vy * deltaTime;
+  getMovementVector() {
+    let dx = 0;
+    let dy = 0;
 
-    // Clamp to bounds
-    this.x = Math.max(CONFIG.player.bounds.left, Math.min(CONFIG.player.bounds.right, this.x));
-    this.y = Math.max(CONFIG.player.bounds.top, Math.min(CONFIG.player.bounds.bottom, this.y));
+    // Keyboard input
+    if (this.isKeyDown('KeyW')) dy -= 1;
+    if (this.isKeyDown('KeyS')) dy += 1;
+    if (this.isKeyDown('KeyA')) dx -= 1;
+    if (this.isKeyDown('KeyD')) dx += 1;
 
-    // Update thrust animation
-    this.thrustTimer += deltaTime * 1000;
-    if (this.thrustTimer >= this.thrustInterval) {
-      this.thrustFrame = (this.thrustFrame + 1) % 2;
-      this.thrustTimer = 0;
+    // Gamepad left stick, with deadzone
+    const [leftStickX, leftStickY] = this.frame.axes;
+    if (Math.abs(leftStickX) > this.deadzone) {
+      dx += leftStickX;
+    }
+    if (Math.abs(leftStickY) > this.deadzone) {
+      dy += leftStickY;
     }
 
-    // Decay velocity (for smooth stopping)
-    this.vx *= 0.85;
-    this.vy *= 0.85;
-  }
+    // D-pad (buttons 12-15 on standard gamepad)
+    if (this.isGamepadButtonDown(12)) dy -= 1; // Up
+    if (this.isGamepadButtonDown(13)) dy += 1; // Down
+    if (this.isGamepadButtonDown(14)) dx -= 1; // Left
+    if (this.isGamepadButtonDown(15)) dx += 1; // Right
 
-  render(renderer) {
-    // Flash during invulnerability
-    if (this.invulnerable) {
-      const flashInterval = 100; // Flash every 100ms
-      const shouldShow = Math.floor(this.invulnerabilityTimer / flashInterval) % 2 === 0;
-      if (!shouldShow) return; // Skip rendering to create flash effect
+    // Normalize diagonal movement
+    const magnitude = Math.sqrt(dx * dx + dy * dy);
+    if (magnitude > 1) {
+      dx /= magnitude;
+      dy /= magnitude;
     }
 
-    // Render ship
-    renderer.drawMultiLine(this.art, this.x, this.y, this.color);
-
-    // Render thrust (centered below ship)
-    const thrustChar = this.thrustFrame === 0 ? '*' : '^';
-    const thrustY = this.y + (CONFIG.font.size * 3);
-    renderer.drawTextCentered(thrustChar, this.x, thrustY, '#ff6600');
+    return { dx, dy };
   }
 
-  move(dx, dy) {
-    // Acceleration-based movement
-    this.vx = dx * this.speed;
-    this.vy = dy * this.speed;
+  // Check if shoot button is pressed (Space or A button)
+  isShootPressed() {
+    return this.isKeyDown('Space') || this.isGamepadButtonDown(0); // A button
   }
 
-  calculateHitboxRadius() {
-    // Player ship is multi-line, calculate based on dimensions
-    if (!game.renderer) {
-      return 16; // Default fallback
-    }
+  // Check if weapon switch was just pressed (E or X button)
+  wasWeaponSwitchPressed() {
+    return this.wasKeyJustPressed('KeyE') || this.wasGamepadButtonJustPressed(2); // X button
+  }
 
-    let maxWidth = 0;
-    this.art.forEach(line => {
-      const width = game.renderer.measureWidth(line);
-      maxWidth = Math.max(maxWidth, width);
-    });
-    const height = this.art.length * CONFIG.font.size;
+  // Check if special weapon was just pressed (R or RT)
+  wasSpecialWeaponPressed() {
+    return this.wasKeyJustPressed('KeyR') ||
+           this.wasGamepadButtonJustPressed(7) || // RT button (some gamepads)
+           this.wasGamepadButtonJustPressed(6);   // LT button alternative
+  }
 
-    // Use half-diagonal for circular hitbox to cover rectangle
-    return Math.sqrt((maxWidth/2) ** 2 + (height/2) ** 2);
+  // Check if bomb drop was just pressed (Q or RB)
+  wasBombPressed() {
+    return this.wasKeyJustPressed('KeyQ') || this.wasGamepadButtonJustPressed(5); // RB button
   }
 }
 
 // ============================================================================
-// ENEMY CLASSES
+// INPUT RECORDING & REPLAY
 // ============================================================================
 
-class Enemy extends Entity {
-  constructor(x, y, config) {
-    super(x, y);
-    this.type = 'enemy';
-    this.art = config.art || '???';
-    this.color = config.color || '#ff0000';
-    this.health = config.health || 10;
-    this.maxHealth = this.health;
-    this.scoreValue = config.scoreValue || 100;
-    this.speed = config.speed || 100;
+const REPLAY_VERSION = 1;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const GAMEPAD_BUTTON_COUNT = 17;
 
-    // Weapon configuration
-    this.weapon = config.weapon || null;
-    this.lastFireTime = 0;
+/**
+ * Pack an input frame into [keyMask, buttonMask, axisX, axisY]
+ * (axes quantized to -127..127)
+ */
+function encodeInputFrame(frame, keyList) {
+  let keyMask = 0;
+  keyList.forEach((code, index) => {
+    if (frame.keys[code]) keyMask |= 1 << index;
+  });
 
-    // Calculate hitbox radius based on art if not provided
-    if (config.hitboxRadius !== undefined) {
-      this.hitboxRadius = config.hitboxRadius;
-    } else {
-      this.hitboxRadius = this.calculateHitboxRadius();
-    }
+  let buttonMask = 0;
+  for (let i = 0; i < GAMEPAD_BUTTON_COUNT; i++) {
+    if (frame.buttons[i]) buttonMask |= 1 << i;
   }
 
-  canFire(currentTime) {
-    if (!this.weapon) return false;
-    return (currentTime - this.lastFireTime) >= this.weapon.fireRate;
+  return [
+    keyMask,
+    buttonMask,
+    Math.round(frame.axes[0] * 127),
+    Math.round(frame.axes[1] * 127)
+  ];
+}
+
+function decodeInputFrame([keyMask, buttonMask, axisX, axisY], keyList) {
+  const frame = createInputFrame();
+
+  keyList.forEach((code, index) => {
+    if (keyMask & (1 << index)) frame.keys[code] = true;
+  });
+
+  for (let i = 0; i < GAMEPAD_BUTTON_COUNT; i++) {
+    if (buttonMask & (1 << i)) frame.buttons[i] = true;
   }
 
-  fire(currentTime) {
-    if (!this.canFire(currentTime)) return [];
-    this.lastFireTime = currentTime;
+  frame.axes = [axisX / 127, axisY / 127];
+  return frame;
+}
 
-    const projectiles = [];
-    const config = {
-      speed: this.weapon.projectileSpeed,
-      char: this.weapon.projectileChar,
-      color: this.weapon.projectileColor,
-      damage: this.weapon.damage,
-      hitboxRadius: this.weapon.hitboxRadius || 3,
-      owner: 'enemy'
-    };
+/**
+ * Records one input frame per simulation step. Identical consecutive frames
+ * are run-length encoded as [repeatCount, keyMask, buttonMask, axisX, axisY].
+ */
+class InputRecorder {
+  constructor(seed, difficulty = DEFAULT_DIFFICULTY) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.frames = [];
+    this.frameCount = 0;
+  }
 
-    if (this.weapon.aimAtPlayer && game.player && game.player.active) {
-      // Aim at player
-      const dx = game.player.x - this.x;
-      const dy = game.player.y - this.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  record(frame) {
+    const encoded = encodeInputFrame(frame, GAME_KEYS);
+    const last = this.frames[this.frames.length - 1];
 
-      if (dist > 0) {
-        config.vx = (dx / dist) * this.weapon.projectileSpeed;
-        config.vy = (dy / dist) * this.weapon.projectileSpeed;
-        projectiles.push(new Projectile(this.x, this.y + 10, config));
-      }
+    if (last && last[1] === encoded[0] && last[2] === encoded[1] &&
+        last[3] === encoded[2] && last[4] === encoded[3]) {
+      last[0]++;
     } else {
-      // Fire straight down (positive Y is downward)
-      config.vx = 0;
-      config.vy = this.weapon.projectileSpeed;
-      projectiles.push(new Projectile(this.x, this.y + 10, config));
+      this.frames.push([1, ...encoded]);
     }
+    this.frameCount++;
+  }
 
-    return projectiles;
+  /**
+   * @param {Object} meta - Extra info to store (score, etc.)
+   * @returns {Object} Replay data, ready for JSON.stringify
+   */
+  toJSON(meta = {}) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      fixedStep: CONFIG.simulation.fixedStep,
+      canvas: { width: CONFIG.canvas.width, height: CONFIG.canvas.height },
+      keys: [...GAME_KEYS],
+      frameCount: this.frameCount,
+      frames: this.frames.map(run => [...run]),
+      meta: {
+        recorded: new Date().toISOString(),
+        ...meta
+      }
+    };
   }
+}
 
-  calculateHitboxRadius() {
-    // Create a temporary canvas context to measure text
-    if (!game.renderer) {
-      return 16; // Default fallback
+/**
+ * Input source that feeds a recorded replay back into the InputManager
+ */
+class ReplayPlayer {
+  constructor(replay) {
+    if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.frames)) {
+      throw new Error('Unsupported or invalid replay file');
+    }
+    if (replay.fixedStep !== CONFIG.simulation.fixedStep) {
+      console.warn('Replay was recorded with a different timestep and may desync');
     }
 
-    if (Array.isArray(this.art)) {
-      // Multi-line art - find the widest line
-      let maxWidth = 0;
-      this.art.forEach(line => {
-        const width = game.renderer.measureWidth(line);
-        maxWidth = Math.max(maxWidth, width);
-      });
-      const height = this.art.length * CONFIG.font.size;
+    this.replay = replay;
+    this.keyList = replay.keys || GAME_KEYS;
+    this.runIndex = 0;
+    this.runPosition = 0;
+    this.framesPlayed = 0;
+  }
 
-      // Use half-diagonal for circular hitbox to cover rectangle
-      return Math.sqrt((maxWidth/2) ** 2 + (height/2) ** 2);
-    } else {
-      // Single-line art
-      const width = game.renderer.measureWidth(this.art);
-      // Use half-width as radius (covers the full width)
-      return width / 2;
-    }
+  isFinished() {
+    return this.runIndex >= this.replay.frames.length;
   }
 
-  takeDamage(amount) {
-    this.health -= amount;
-    if (this.health <= 0) {
-      this.health = 0;
-      this.onDeath();
-      this.destroy();
+  /**
+   * @returns {Object|null} Next input frame, or null when the replay is over
+   */
+  next() {
+    if (this.isFinished()) return null;
+
+    const [count, ...encoded] = this.replay.frames[this.runIndex];
+    const frame = decodeInputFrame(encoded, this.keyList);
+
+    this.runPosition++;
+    this.framesPlayed++;
+    if (this.runPosition >= count) {
+      this.runIndex++;
+      this.runPosition = 0;
     }
+    return frame;
   }
+}
 
-  onDeath() {
-    // Add score
-    if (game.score !== undefined) {
-      game.score += this.scoreValue;
-      this.updateScoreUI();
+/**
+ * Offer JSON data to the user as a file download
+ */
+function downloadJSON(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data)], { type: 'application/json' }));
+}
+
+/**
+ * Offer a Blob to the user as a file download
+ */
+function downloadBlob(filename, blob) {
+  if (typeof document === 'undefined') {
+    throw new Error('File downloads need a browser');
+  }
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask the user for a JSON file
+ * @returns {Promise<Object>} Parsed file contents
+ */
+function pickJSONFile() {
+  return new Promise((resolve, reject) => {
+    if (typeof document === 'undefined') {
+      reject(new Error('File picking needs a browser'));
+      return;
     }
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      try {
+        const file = input.files[0];
+        if (!file) throw new Error('No file selected');
+        resolve(JSON.parse(await file.text()));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    input.click();
+  });
+}
 
-    // Create explosion effect
-    game.effects.push(createSmallExplosion(this.x, this.y));
+/**
+ * Start a fresh live run and record its inputs
+ * @param {number} seed
+ */
+function startLiveRun(seed = getInitialSeed()) {
+  game.input.source = null;
+  game.difficulty = game.selectedDifficulty;
+  game.playbackSpeed = 1;
+  game.replayFinished = false;
+  if (game.canvasSizeOverride) {
+    game.canvasSizeOverride = null;
+    updateCanvasSize();
+  }
+  startRun(seed);
+  game.recorder = new InputRecorder(seed, game.difficulty);
+}
 
-    // Drop power-up based on drop table
-    if (this.dropTable) {
-      const roll = Math.random();
-      let cumulative = 0;
+/**
+ * Restart the simulation from a replay's seed and feed its recorded inputs
+ * @param {Object} replay - Replay data (see InputRecorder.toJSON)
+ */
+function startReplay(replay) {
+  const player = new ReplayPlayer(replay);
+  game.recorder = null;
+  game.playbackSpeed = 1;
+  game.replayFinished = false;
+
+  // Spawn positions depend on the playfield size, so match the recording
+  if (replay.canvas) {
+    game.canvasSizeOverride = { ...replay.canvas };
+    updateCanvasSize();
+  }
 
-      for (const [dropType, chance] of Object.entries(this.dropTable)) {
-        cumulative += chance;
-        if (roll <= cumulative && dropType !== 'nothing') {
-          game.powerups.push(new PowerUp(this.x, this.y, dropType));
-          break;
-        }
-      }
-    }
+  // Difficulty changes enemy stats and spawns, so it must match too
+  game.difficulty = DIFFICULTY_PROFILES[replay.difficulty] ? replay.difficulty : DEFAULT_DIFFICULTY;
+  startRun(replay.seed);
+  game.input.source = player;
+  logEvent(`Playing replay (seed ${replay.seed}, ${replay.frameCount} frames)`);
+}
+
+function exportReplay() {
+  if (!game.recorder) {
+    console.warn('No recording to export');
+    return;
   }
+  const replay = game.recorder.toJSON({ score: game.score });
+  downloadJSON(`ascii-shooter-replay-${replay.seed}.json`, replay);
+}
 
-  updateScoreUI() {
-    const scoreEl = document.querySelector('#score span');
-    if (scoreEl) {
-      scoreEl.textContent = game.score;
-    }
+async function importReplay() {
+  try {
+    startReplay(await pickJSONFile());
+    game.stateMachine.change(GAME_STATES.PLAYING);
+  } catch (error) {
+    console.error('Failed to load replay:', error.message);
   }
+}
 
-  render(renderer) {
-    if (Array.isArray(this.art)) {
-      renderer.drawMultiLine(this.art, this.x, this.y, this.color);
+/**
+ * Replay hotkeys: F8 export, F9 import (or stop playback), -/= playback speed
+ */
+function handleReplayHotkeys() {
+  const input = game.input;
+
+  if (input.consumeHotkey('F8')) {
+    exportReplay();
+  }
+
+  if (input.consumeHotkey('F9')) {
+    if (input.source) {
+      game.stateMachine.change(GAME_STATES.TITLE);
     } else {
-      renderer.drawTextCentered(this.art, this.x, this.y, this.color);
+      importReplay();
     }
   }
+
+  const speedIndex = REPLAY_SPEEDS.indexOf(game.playbackSpeed);
+  if (input.consumeHotkey('Minus') && input.source && speedIndex > 0) {
+    game.playbackSpeed = REPLAY_SPEEDS[speedIndex - 1];
+  }
+  if (input.consumeHotkey('Equal') && input.source && speedIndex < REPLAY_SPEEDS.length - 1) {
+    game.playbackSpeed = REPLAY_SPEEDS[speedIndex + 1];
+  }
 }
 
-class Scout extends Enemy {
-  constructor(x, y) {
-    super(x, y, {
-      art: '{[::]}',
-      color: '#ff3300',
-      health: 10,
-      // hitboxRadius auto-calculated from art
-      speed: 120,
-      scoreValue: 100,
-      weapon: {
-        projectileChar: '·',
-        projectileColor: '#ffff00',
-        fireRate: 2000,         // milliseconds
-        projectileSpeed: 300,   // pixels per second
-        damage: 10,
-        aimAtPlayer: false      // fires straight down
-      }
-    });
+// ============================================================================
+// FRAME CAPTURE
+// ============================================================================
+//
+// F2 saves the current frame as plain text, ANSI text and (with a canvas)
+// PNG. F6 records CONFIG.capture.seconds as an animated GIF, or as a text
+// frame sequence where there is no canvas (terminal).
 
-    // Drop table from GDB
-    this.dropTable = {
-      'health': 0.3,        // 30% chance
-      'rocket_ammo': 0.1,   // 10% chance
-      'nothing': 0.6        // 60% nothing
-    };
+/**
+ * Hand a captured file to the user: a download in the browser, or whatever
+ * the front-end installed as game.saveFile
+ * @param {string} filename
+ * @param {string|Uint8Array|Blob} data
+ * @param {string} type - MIME type
+ */
+function saveFile(filename, data, type) {
+  try {
+    if (game.saveFile) {
+      game.saveFile(filename, data);
+    } else {
+      downloadBlob(filename, data instanceof Blob ? data : new Blob([data], { type }));
+    }
+    logEvent(`Saved ${filename}`);
+  } catch (error) {
+    console.error(`Failed to save ${filename}:`, error.message);
+  }
+}
 
-    // Sine wave movement parameters
-    this.amplitude = 50;
-    this.frequency = 2;
-    this.baseSpeed = 120;
-    this.startX = x;
-    this.time = 0;
+/**
+ * File name stem with the current date and time
+ * @returns {string}
+ */
+function captureName() {
+  return `ascii-shooter-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+/**
+ * The current screen as a character grid, laid out from entity glyph
+ * positions. Grid renderers already hold it; otherwise the frame is drawn
+ * again into a temporary grid.
+ * @returns {CharacterGrid}
+ */
+function captureGrid() {
+  const renderer = game.renderer;
+  if (renderer instanceof GridRenderer) {
+    return renderer.grid;
   }
 
-  update(deltaTime) {
-    this.time += deltaTime;
+  const grid = new GridRenderer(renderer.measureWidth('M'));
+  game.renderer = grid;
+  try {
+    grid.beginFrame();
+    if (game.stateMachine) {
+      game.stateMachine.render();
+    } else {
+      render(1);
+    }
+    grid.endFrame();
+  } finally {
+    game.renderer = renderer;
+  }
+  return grid.grid;
+}
 
-    // Sine wave horizontal movement
-    const sineOffset = Math.sin(this.time * this.frequency) * this.amplitude;
-    this.x = this.startX + sineOffset;
+/**
+ * Current frame as plain text
+ * @returns {string}
+ */
+function captureText() {
+  return captureGrid().toText();
+}
 
-    // Move downward
-    this.y += this.baseSpeed * deltaTime;
+/**
+ * Current frame as 24-bit ANSI text
+ * @returns {string}
+ */
+function captureAnsi() {
+  return captureGrid().toAnsi();
+}
 
-    // Fire weapon
-    if (this.weapon) {
-      const projectiles = this.fire(performance.now());
-      game.projectiles.push(...projectiles);
+/**
+ * F2 snapshot, F6 start/stop recording
+ */
+function handleCaptureHotkeys() {
+  const input = game.input;
+
+  if (input.consumeHotkey('F2')) {
+    const name = captureName();
+    saveFile(`${name}.txt`, captureText(), 'text/plain');
+    saveFile(`${name}.ans`, captureAnsi(), 'text/plain');
+    if (game.canvas && game.canvas.toBlob) {
+      game.canvas.toBlob(blob => saveFile(`${name}.png`, blob, 'image/png'), 'image/png');
     }
+  }
 
-    // Destroy if off screen
-    if (this.y > CONFIG.canvas.height + 50) {
-      this.destroy();
+  if (input.consumeHotkey('F6')) {
+    if (game.recording) {
+      game.recording.finish();
+    } else {
+      game.recording = new FrameRecorder(CONFIG.capture);
+      logEvent(`Recording ${game.recording.format === 'gif' ? 'GIF' : 'text frames'} (F6 to stop)`);
     }
   }
 }
 
-class Gunship extends Enemy {
-  constructor(x, y) {
-    super(x, y, {
-      art: [
-        ' _||_ ',
-        '<||||>',
-        ' ‾||‾ '
-      ],
-      color: '#ff00ff',
-      health: 30,
-      speed: 60,
-      scoreValue: 250,
-      weapon: {
-        projectileChar: '¦',
-        projectileColor: '#ffff00',
-        fireRate: 1200,         // milliseconds
-        projectileSpeed: 400,
-        damage: 15,
-        aimAtPlayer: true,
-        burstCount: 3,
-        burstDelay: 150         // milliseconds between burst shots
-      }
-    });
+/**
+ * Samples rendered frames at a fixed rate and saves them when full or
+ * stopped: canvas pixels encoded as a GIF, or text frames without a canvas
+ */
+class FrameRecorder {
+  /**
+   * @param {Object} options - See CONFIG.capture
+   */
+  constructor({ fps, seconds, scale }) {
+    this.interval = 1 / fps;
+    this.maxFrames = Math.max(1, Math.round(fps * seconds));
+    this.frames = [];
+    this.timer = 0;
+    this.format = game.canvas ? 'gif' : 'text';
+
+    if (this.format === 'gif') {
+      this.width = Math.max(1, Math.round(game.canvas.width * scale));
+      this.height = Math.max(1, Math.round(game.canvas.height * scale));
+      this.canvas = createOffscreenCanvas(this.width, this.height);
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+  }
 
-    // Drop table from GDB
-    this.dropTable = {
-      'health_large': 0.2,    // 20% chance
-      'rocket_ammo': 0.3,     // 30% chance
-      'nothing': 0.5          // 50% nothing
-    };
+  /**
+   * Call after each rendered frame
+   * @param {number} frameTime - Real seconds since the last frame
+   */
+  update(frameTime) {
+    this.timer += frameTime;
+    if (this.frames.length > 0 && this.timer < this.interval) return;
+    this.timer = this.frames.length > 0 ? this.timer % this.interval : 0;
+
+    if (this.format === 'gif') {
+      this.ctx.drawImage(game.canvas, 0, 0, this.width, this.height);
+      this.frames.push(quantizePixels(this.ctx.getImageData(0, 0, this.width, this.height).data));
+    } else {
+      this.frames.push(captureText());
+    }
 
-    // Movement parameters
-    this.descendTo = 150;       // Y position to stop at
-    this.hovering = false;
-    this.driftAmount = 20;      // pixels of drift
-    this.driftSpeed = 30;       // pixels per second
-    this.driftDirection = 1;
-    this.driftDistance = 0;
-    this.baseSpeed = 60;
+    if (this.frames.length >= this.maxFrames) {
+      this.finish();
+    }
+  }
 
-    // Burst fire tracking
-    this.burstShotsFired = 0;
-    this.lastBurstTime = 0;
+  /**
+   * Stop recording and save what was captured
+   */
+  finish() {
+    if (game.recording === this) {
+      game.recording = null;
+    }
+    const name = captureName();
+    if (this.format === 'gif') {
+      const delay = Math.round(this.interval * 100);
+      saveFile(`${name}.gif`, encodeGIF(this.width, this.height, this.frames, delay), 'image/gif');
+    } else {
+      const frames = this.frames.map((frame, index) => `--- frame ${index + 1} ---\n${frame}`);
+      saveFile(`${name}-frames.txt`, `${frames.join('\n')}\n`, 'text/plain');
+    }
   }
+}
 
-  update(deltaTime) {
-    // Descent phase
-    if (!this.hovering && this.y < this.descendTo) {
-      this.y += this.baseSpeed * deltaTime;
-      if (this.y >= this.descendTo) {
-        this.hovering = true;
+// ============================================================================
+// GIF ENCODING
+// ============================================================================
+
+// Fixed 256-color palette: a 6x7x6 RGB cube plus four grays
+const GIF_PALETTE = (() => {
+  const palette = new Uint8Array(256 * 3);
+  let index = 0;
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        palette.set([Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5)], index * 3);
+        index++;
       }
     }
+  }
+  [64, 128, 160, 192].forEach(gray => {
+    palette.set([gray, gray, gray], index * 3);
+    index++;
+  });
+  return palette;
+})();
 
-    // Hover and drift phase
-    if (this.hovering) {
-      // Drift left and right
-      const drift = this.driftSpeed * this.driftDirection * deltaTime;
-      this.x += drift;
-      this.driftDistance += Math.abs(drift);
+/**
+ * Map RGBA pixels onto GIF_PALETTE indices
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array}
+ */
+function quantizePixels(rgba) {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < indices.length; i++) {
+    const r = (rgba[i * 4] * 5 + 127) / 255 | 0;
+    const g = (rgba[i * 4 + 1] * 6 + 127) / 255 | 0;
+    const b = (rgba[i * 4 + 2] * 5 + 127) / 255 | 0;
+    indices[i] = r * 42 + g * 6 + b;
+  }
+  return indices;
+}
 
-      // Reverse direction when reaching drift limit
-      if (this.driftDistance >= this.driftAmount) {
-        this.driftDirection *= -1;
-        this.driftDistance = 0;
-      }
+/**
+ * Encode palette-indexed frames as a looping animated GIF
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array[]} frames - GIF_PALETTE indices, width * height each
+ * @param {number} delay - Per frame, in hundredths of a second
+ * @returns {Uint8Array}
+ */
+function encodeGIF(width, height, frames, delay) {
+  const out = [];
+  const writeShort = value => out.push(value & 0xff, (value >> 8) & 0xff);
+  const writeString = text => text.split('').forEach(char => out.push(char.charCodeAt(0)));
+
+  writeString('GIF89a');
+  writeShort(width);
+  writeShort(height);
+  out.push(0xf7, 0, 0); // Global 256-color table, background 0, square pixels
+  GIF_PALETTE.forEach(value => out.push(value));
+
+  // Loop forever
+  out.push(0x21, 0xff, 0x0b);
+  writeString('NETSCAPE2.0');
+  out.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+  frames.forEach(indices => {
+    out.push(0x21, 0xf9, 0x04, 0x00);
+    writeShort(delay);
+    out.push(0x00, 0x00);
+
+    out.push(0x2c);
+    writeShort(0);
+    writeShort(0);
+    writeShort(width);
+    writeShort(height);
+    out.push(0x00);
+
+    out.push(8); // LZW minimum code size
+    const data = lzwEncode(indices, 8);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out.push(block.length);
+      block.forEach(value => out.push(value));
     }
+    out.push(0x00);
+  });
 
-    // Burst fire weapon
-    if (this.weapon && this.hovering) {
-      const currentTime = performance.now();
-
-      // Check if we should start a new burst
-      if (this.burstShotsFired === 0 && this.canFire(currentTime)) {
-        this.lastFireTime = currentTime;
-        this.lastBurstTime = currentTime;
-        this.burstShotsFired = 1;
+  out.push(0x3b);
+  return Uint8Array.from(out);
+}
 
-        const projectiles = this.fire(currentTime);
-        game.projectiles.push(...projectiles);
-      }
-      // Continue burst
-      else if (this.burstShotsFired > 0 && this.burstShotsFired < this.weapon.burstCount) {
-        if (currentTime - this.lastBurstTime >= this.weapon.burstDelay) {
-          this.lastBurstTime = currentTime;
-          this.burstShotsFired++;
+/**
+ * GIF-flavored LZW compression (variable code size up to 12 bits)
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Uint8Array}
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bits = 0;
+  let bitCount = 0;
+
+  const emit = code => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
 
-          const projectiles = this.fire(currentTime);
-          game.projectiles.push(...projectiles);
-        }
-      }
-      // Reset burst counter
-      else if (this.burstShotsFired >= this.weapon.burstCount) {
-        this.burstShotsFired = 0;
-      }
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
     }
 
-    // Destroy if off screen
-    if (this.y > CONFIG.canvas.height + 50) {
-      this.destroy();
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
     }
+    prefix = value;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    bytes.push(bits & 0xff);
   }
+  return Uint8Array.from(bytes);
 }
 
-class Kamikaze extends Enemy {
-  constructor(x, y) {
-    super(x, y, {
-      art: '(@@)',
-      color: '#ff6600',
-      health: 5,
-      speed: 200,
-      scoreValue: 150,
-      weapon: null  // No weapon - explodes on contact
-    });
+// ============================================================================
+// CANVAS RESIZE HANDLING
+// ============================================================================
 
-    // Drop table from GDB (Kamikazes don't drop anything - they explode)
-    this.dropTable = {
-      'nothing': 1.0            // 100% nothing
-    };
+function updateCanvasSize() {
+  // Get the window dimensions (replays force the size they were recorded at)
+  const size = game.canvasSizeOverride || {
+    width: Math.max(CONFIG.canvas.minWidth, window.innerWidth),
+    height: Math.max(CONFIG.canvas.minHeight, window.innerHeight)
+  };
+  const { width, height } = size;
 
-    // Chase behavior parameters
-    this.acceleration = 150;     // pixels per second squared
-    this.maxSpeed = 300;         // maximum speed
-    this.trackingStrength = 0.8; // how aggressively it tracks
-    this.vx = 0;
-    this.vy = 100;               // initial downward velocity
+  // Update canvas dimensions
+  if (game.canvas) {
+    game.canvas.width = width;
+    game.canvas.height = height;
+  }
+
+  setPlayfieldSize(width, height);
+}
+
+/**
+ * Resize the simulated playfield. Independent of any canvas so front-ends
+ * without one (headless, terminal) can size the world directly.
+ * @param {number} width
+ * @param {number} height
+ */
+function setPlayfieldSize(width, height) {
+  // Update CONFIG
+  CONFIG.canvas.width = width;
+  CONFIG.canvas.height = height;
+
+  // Update player bounds to maintain playable area margins
+  CONFIG.player.bounds.top = 50;
+  CONFIG.player.bounds.bottom = height - 50;
+  CONFIG.player.bounds.left = 20;
+  CONFIG.player.bounds.right = width - 20;
 
-    // Explosion parameters
-    this.explosionDamage = 25;
-    this.explosionRadius = 40;
+  // If player exists, ensure it stays within new bounds
+  if (game.player) {
+    game.player.x = Math.max(CONFIG.player.bounds.left, Math.min(CONFIG.player.bounds.right, game.player.x));
+    game.player.y = Math.max(CONFIG.player.bounds.top, Math.min(CONFIG.player.bounds.bottom, game.player.y));
   }
 
-  update(deltaTime) {
-    if (!game.player || !game.player.active) {
-      // If no player, just move downward
-      this.y += this.vy * deltaTime;
-    } else {
-      // Chase player
-      const dx = game.player.x - this.x;
-      const dy = game.player.y - this.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  // Resize background gradient
+  if (game.background) {
+    game.background.resize(width, height);
+  }
+}
 
-      if (dist > 0) {
-        // Calculate desired velocity toward player
-        const targetVx = (dx / dist) * this.maxSpeed;
-        const targetVy = (dy / dist) * this.maxSpeed;
+// ============================================================================
+// GAME INITIALIZATION
+// ============================================================================
 
-        // Blend current velocity with target velocity
-        this.vx += (targetVx - this.vx) * this.trackingStrength * deltaTime;
-        this.vy += (targetVy - this.vy) * this.trackingStrength * deltaTime;
+async function init() {
+  // Get canvas and context
+  game.canvas = document.getElementById('game-canvas');
+  game.ctx = game.canvas.getContext('2d');
 
-        // Apply acceleration
-        const currentSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-        const newSpeed = Math.min(currentSpeed + this.acceleration * deltaTime, this.maxSpeed);
+  if (!game.ctx) {
+    console.error('Failed to get 2D context');
+    return;
+  }
 
-        if (currentSpeed > 0) {
-          const scale = newSpeed / currentSpeed;
-          this.vx *= scale;
-          this.vy *= scale;
-        }
-      }
+  // Set initial canvas size
+  updateCanvasSize();
 
-      // Update position
-      this.x += this.vx * deltaTime;
-      this.y += this.vy * deltaTime;
-    }
+  // Create audio manager
+  game.audioManager = new AudioManager();
+  loadSettings();
 
-    // Destroy if off screen
-    if (this.y > CONFIG.canvas.height + 50 || this.y < -50 ||
-        this.x < -50 || this.x > CONFIG.canvas.width + 50) {
-      this.destroy();
+  // Try to initialize audio immediately (will work on some browsers)
+  // If it fails, we'll retry on first user interaction in the game loop
+  try {
+    game.audioManager.init();
+    if (game.audioManager.initialized) {
+      game.audioManager.loadAndPlayMusic('/Raptorface - Cherryblossom.mp3');
     }
+  } catch (error) {
+    logEvent('Audio autoplay blocked, will initialize on user interaction');
   }
 
-  onDeath() {
-    // Create explosion effect
-    game.effects.push(createSmallExplosion(this.x, this.y));
+  // Create background
+  game.background = new Background(CONFIG.canvas.width, CONFIG.canvas.height);
 
-    // Add score
-    if (game.score !== undefined) {
-      game.score += this.scoreValue;
-      this.updateScoreUI();
-    }
+  // Create renderer and HUD
+  game.renderer = createRenderer(game.ctx);
+  game.hud = new HUD();
 
-    // Damage player if close
-    if (game.player && game.player.active) {
-      const dx = game.player.x - this.x;
-      const dy = game.player.y - this.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  // Create input manager
+  game.input = new InputManager();
 
-      if (dist < this.explosionRadius) {
-        game.player.takeDamage(this.explosionDamage);
-      }
-    }
+  // Handle window resize
+  window.addEventListener('resize', () => {
+    updateCanvasSize();
+  });
 
-    // Damage nearby enemies (chain reaction)
-    game.enemies.forEach(enemy => {
-      if (enemy === this || !enemy.active) return;
+  // Load saved high scores
+  game.highScoreTable = new HighScoreTable();
+  game.highScoreTable.load();
 
-      const dx = enemy.x - this.x;
-      const dy = enemy.y - this.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  // Create asset loader
+  game.assetLoader = new AssetLoader();
 
-      if (dist < this.explosionRadius) {
-        enemy.takeDamage(this.explosionDamage);
-      }
-    });
-  }
-}
+  // Start the game loop on the loading screen; it moves on to the title
+  // once assets are in
+  game.stateMachine = new GameStateMachine();
+  game.stateMachine.change(GAME_STATES.BOOT);
+  game.running = true;
+  game.accumulator = 0;
+  game.lastTime = performance.now();
+  requestAnimationFrame(gameLoop);
 
-// ============================================================================
-// BOSS COMPONENTS
-// ============================================================================
+  // Try to load JSON assets (gracefully handles missing files)
+  // These will be created in Milestone 3 with the asset editor
+  const assetPaths = {
+    'player_ship': '/assets/sprites/player/player_ship.json'
+  };
 
-class BossTurret extends Entity {
-  constructor(x, y, boss) {
-    super(x, y);
-    this.type = 'boss_turret';
-    this.boss = boss;
-    this.art = '[O]';
-    this.color = '#ff0000';
-    this.health = 50;
-    this.maxHealth = 50;
-    this.hitboxRadius = 15;
-    this.fireRate = 1500;
-    this.lastFireTime = 0;
-    this.offsetX = 0; // Offset from boss center
-    this.offsetY = 0;
-  }
+  logEvent('Attempting to load JSON assets...');
+  await game.assetLoader.loadAssets(assetPaths);
 
-  update(deltaTime) {
-    // Update position relative to boss
-    if (this.boss && this.boss.active) {
-      this.x = this.boss.x + this.offsetX;
-      this.y = this.boss.y + this.offsetY;
+  // Enemies are built entirely from their JSON assets (see manifest.json)
+  game.enemyFactory = new EnemyFactory();
+  await loadEnemyDefinitions(game.assetLoader, game.enemyFactory);
 
-      // Fire at player
-      const currentTime = performance.now();
-      if (currentTime - this.lastFireTime >= this.fireRate) {
-        this.fire();
-        this.lastFireTime = currentTime;
-      }
-    } else {
-      this.destroy();
-    }
-  }
+  // Bosses likewise (see assets/sprites/bosses/manifest.json)
+  game.bossFactory = new BossFactory();
+  await loadBossDefinitions(game.assetLoader, game.bossFactory);
 
-  fire() {
-    if (!game.player || !game.player.active) return;
+  // Levels, in campaign order (see assets/levels/manifest.json)
+  game.campaign = new CampaignManager();
+  await loadLevelDefinitions(game.assetLoader, game.campaign);
+  game.assetsLoaded = true;
 
-    // Aim at player
-    const dx = game.player.x - this.x;
-    const dy = game.player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
+  logEvent('Game initialized - Canvas mode');
+  logEvent('Asset loader ready. Assets can be imported from JSON files.');
+}
 
-    if (dist > 0) {
-      const vx = (dx / dist) * 350;
-      const vy = (dy / dist) * 350;
+// ============================================================================
+// RUN SETUP
+// ============================================================================
 
-      game.projectiles.push(new Projectile(this.x, this.y, {
-        vx,
-        vy,
-        char: '¦',
-        color: '#ff0000',
-        damage: 15,
-        hitboxRadius: 4,
-        owner: 'enemy'
-      }));
-    }
-  }
+/**
+ * Reset all simulation state and start a new run from a seed. Everything a
+ * run depends on is rebuilt here so the same seed and inputs replay exactly.
+ * @param {number} seed
+ */
+function startRun(seed) {
+  // Seeded randomness and simulation clock (must exist before anything spawns)
+  game.seed = seed;
+  game.rng = new SeededRandom(seed);
+  game.clock = new GameClock();
+  logEvent(`Run seed: ${seed}`);
+
+  // Lists are reused between runs; leftover shots and effects are recycled
+  clearEntities(game.projectiles);
+  clearEntities(game.enemies);
+  clearEntities(game.emitters);
+  clearEntities(game.effects);
+  clearEntities(game.particles);
+  clearEntities(game.damageNumbers);
+  clearEntities(game.clouds);
+  clearEntities(game.asteroids);
+  clearEntities(game.structures);
+  clearEntities(game.powerups);
+  game.score = 0;
+  game.stats = createRunStats();
+  game.gameOver = false;
+  game.victory = false;
+  game.accumulator = 0;
+  game.benchmark = null;
+  game.camera = new Camera();
 
-  takeDamage(amount) {
-    this.health -= amount;
-    if (this.health <= 0) {
-      this.health = 0;
-      this.onDeath();
-      this.destroy();
-    }
-  }
+  // Create player
+  game.player = new Player(CONFIG.canvas.width / 2, CONFIG.canvas.height - 100);
 
-  onDeath() {
-    game.effects.push(createSmallExplosion(this.x, this.y));
-    game.score += 500;
-    const scoreEl = document.querySelector('#score span');
-    if (scoreEl) scoreEl.textContent = game.score;
+  // First stage: background, waves and initial clouds
+  if (!game.campaign) {
+    game.campaign = new CampaignManager();
   }
+  game.campaign.begin();
 
-  render(renderer) {
-    if (this.health > 0) {
-      renderer.drawTextCentered(this.art, this.x, this.y, this.color);
-    }
-  }
+  // Initialize UI
+  game.player.updateHealthUI();
+  game.player.updateLivesUI();
+  game.player.updateWeaponUI();
+  game.hud.updateScore(game.score);
 }
 
 // ============================================================================
-// LEVEL 1 BOSS - CRIMSON DREADNOUGHT
+// HIGH SCORES
 // ============================================================================
 
-class CrimsonDreadnought extends Enemy {
-  constructor() {
-    super(CONFIG.canvas.width / 2, -200, {
-      art: [], // Will be built in constructor
-      color: '#cc0000',
-      health: 500,
-      speed: 40,
-      scoreValue: 10000
-    });
+const HIGH_SCORE_STORAGE_KEY = 'asciiShooter.highScores';
+const HIGH_SCORE_VERSION = 1;
+const HIGH_SCORE_TABLE_SIZE = 10;
 
-    this.type = 'boss';
-    this.maxHealth = 500;
-    this.phase = 1;
-    this.entranceComplete = false;
-    this.targetY = 120;
-    this.hitboxRadius = 50;
+/**
+ * Per-difficulty leaderboards persisted to localStorage. Entries look like
+ * { initials, score, difficulty, stage, wave, accuracy, bossKillTime, victory, seed, date }.
+ */
+class HighScoreTable {
+  constructor(storageKey = HIGH_SCORE_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.boards = {};
+  }
 
-    // Boss art
-    this.art = [
-      '    ╔═══════════════════╗    ',
-      '    ║  DREADNOUGHT-01  ║    ',
-      '    ╚═══════════════════╝    ',
-      '  ╔═══╗═══════════════╔═══╗  ',
-      '  ║[O]║███████████████║[O]║  ',
-      '  ╚═══╝═══════════════╚═══╝  ',
-      '═══════════════════════════════',
-      '█████████████████████████████',
-      '═══════════════════════════════',
-      '      ║║║║║║║║║║║║║║║      '
-    ];
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      this.boards = {};
+      if (saved) {
+        this.merge(saved, { save: false });
+      }
+    } catch (error) {
+      console.warn('Could not load high scores:', error.message);
+    }
+  }
 
-    // Create turrets
-    this.turrets = [
-      this.createTurret(-80, 20),  // Left turret
-      this.createTurret(80, 20),   // Right turret
-      this.createTurret(0, 60)     // Bottom turret
-    ];
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      console.warn('Could not save high scores:', error.message);
+    }
+  }
+
+  /**
+   * @param {string} difficulty
+   * @returns {Object[]} Entries, best first
+   */
+  getBoard(difficulty) {
+    return this.boards[difficulty] || [];
+  }
 
-    // Attack patterns
-    this.attackTimer = 0;
-    this.attackInterval = 3000;
-    this.spreadFireTimer = 0;
-    this.spreadFireInterval = 500;
+  /**
+   * Difficulties that have a board, plus any extra ones asked for
+   * @param {string[]} [include]
+   * @returns {string[]}
+   */
+  getDifficulties(include = []) {
+    return [...new Set([...include, ...Object.keys(this.boards)])];
+  }
 
-    // Show boss health bar
-    this.showHealthBar();
+  /**
+   * Whether a score earns a place on a difficulty's board
+   * @param {number} score
+   * @param {string} difficulty
+   * @returns {boolean}
+   */
+  qualifies(score, difficulty) {
+    if (score <= 0) return false;
+    const board = this.getBoard(difficulty);
+    if (board.length < HIGH_SCORE_TABLE_SIZE) return true;
+    return score > board[board.length - 1].score;
   }
 
-  createTurret(offsetX, offsetY) {
-    const turret = new BossTurret(this.x + offsetX, this.y + offsetY, this);
-    turret.offsetX = offsetX;
-    turret.offsetY = offsetY;
-    game.enemies.push(turret);
-    return turret;
+  /**
+   * Add an entry to its difficulty's board and save
+   * @param {Object} entry
+   * @returns {number} 1-based rank, or 0 if it didn't make the board
+   */
+  add(entry) {
+    this.insert(entry);
+    this.save();
+    return this.getBoard(entry.difficulty).indexOf(entry) + 1;
   }
 
-  showHealthBar() {
-    const container = document.getElementById('boss-health-container');
-    if (container) {
-      container.style.display = 'block';
-    }
-    this.updateHealthBar();
+  insert(entry) {
+    const board = this.boards[entry.difficulty] || (this.boards[entry.difficulty] = []);
+    board.push(entry);
+    board.sort((a, b) => b.score - a.score);
+    board.length = Math.min(board.length, HIGH_SCORE_TABLE_SIZE);
   }
 
-  hideHealthBar() {
-    const container = document.getElementById('boss-health-container');
-    if (container) {
-      container.style.display = 'none';
+  /**
+   * Merge boards from exported JSON (e.g. another machine), skipping entries
+   * already present and boards for unknown difficulties
+   * @param {Object} data - Output of toJSON()
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true]
+   * @returns {number} Number of new entries that made it onto a board
+   */
+  merge(data, { save = true } = {}) {
+    if (!data || data.version !== HIGH_SCORE_VERSION || typeof data.boards !== 'object') {
+      throw new Error('Unsupported or invalid high score data');
     }
-  }
 
-  updateHealthBar() {
-    const fill = document.getElementById('boss-health-fill');
-    if (fill) {
-      const healthPercent = (this.health / this.maxHealth) * 100;
-      fill.style.width = healthPercent + '%';
+    const entryKey = entry => `${entry.initials}|${entry.score}|${entry.seed}|${entry.date}`;
+    const inserted = [];
+    Object.entries(data.boards).forEach(([difficulty, entries]) => {
+      if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, difficulty) || !Array.isArray(entries)) return;
+      const existing = new Set(this.getBoard(difficulty).map(entryKey));
+      entries.forEach(raw => {
+        const entry = normalizeHighScoreEntry(raw, difficulty);
+        if (!entry || existing.has(entryKey(entry))) return;
+        existing.add(entryKey(entry));
+        this.insert(entry);
+        inserted.push(entry);
+      });
+    });
 
-      // Color changes based on health
-      if (healthPercent > 66) {
-        fill.style.background = 'linear-gradient(90deg, #ff0000 0%, #ff6600 50%, #ff0000 100%)';
-      } else if (healthPercent > 33) {
-        fill.style.background = 'linear-gradient(90deg, #ff6600 0%, #ffaa00 50%, #ff6600 100%)';
-      } else {
-        fill.style.background = 'linear-gradient(90deg, #ffaa00 0%, #ffff00 50%, #ffaa00 100%)';
-      }
+    if (save) {
+      this.save();
     }
+    // Lower entries may have been pushed off a full board by better ones
+    return inserted.filter(entry => this.getBoard(entry.difficulty).includes(entry)).length;
   }
 
-  update(deltaTime) {
-    const currentTime = performance.now();
+  toJSON() {
+    return { version: HIGH_SCORE_VERSION, boards: this.boards };
+  }
+}
 
-    // Entrance sequence
-    if (!this.entranceComplete) {
-      this.y += this.speed * deltaTime;
-      if (this.y >= this.targetY) {
-        this.y = this.targetY;
-        this.entranceComplete = true;
-        console.log('Boss entrance complete!');
-      }
-      return;
-    }
+/**
+ * Validate an entry read from storage or an imported file
+ * @returns {Object|null} A clean entry, or null if unusable
+ */
+function normalizeHighScoreEntry(raw, difficulty) {
+  if (!raw || typeof raw.initials !== 'string' || !Number.isFinite(raw.score)) {
+    return null;
+  }
+  return {
+    initials: raw.initials.slice(0, 3).toUpperCase(),
+    score: raw.score,
+    difficulty,
+    stage: Number.isFinite(raw.stage) ? raw.stage : 1,
+    wave: Number.isFinite(raw.wave) ? raw.wave : 0,
+    accuracy: Number.isFinite(raw.accuracy) ? raw.accuracy : 0,
+    bossKillTime: Number.isFinite(raw.bossKillTime) ? raw.bossKillTime : null,
+    victory: raw.victory === true,
+    seed: Number.isFinite(raw.seed) ? raw.seed : 0,
+    date: typeof raw.date === 'string' ? raw.date : ''
+  };
+}
 
-    // Update phase based on health
-    const healthPercent = (this.health / this.maxHealth) * 100;
-    if (healthPercent <= 33 && this.phase !== 3) {
-      this.phase = 3;
-      this.attackInterval = 1500; // Faster attacks
-      console.log('Boss Phase 3: CRITICAL');
-    } else if (healthPercent <= 66 && this.phase !== 2) {
-      this.phase = 2;
-      this.attackInterval = 2000;
-      console.log('Boss Phase 2: DAMAGED');
-    }
+/**
+ * Create a fresh stats record for a run
+ */
+function createRunStats() {
+  return {
+    shotsFired: 0,
+    shotsHit: 0,
+    enemiesDestroyed: 0,
+    bossArrivalTime: null,
+    bossKillTime: null
+  };
+}
 
-    // Horizontal movement
-    const amplitude = 60;
-    const frequency = 0.5;
-    this.x = CONFIG.canvas.width / 2 + Math.sin(currentTime * 0.001 * frequency) * amplitude;
+/**
+ * Everything but the initials for a high score entry for the current run
+ * @returns {Object}
+ */
+function getRunResult() {
+  const stats = game.stats;
+  const waveManager = game.waveManager;
+  const wave = waveManager ? Math.min(waveManager.currentWaveIndex + 1, waveManager.waves.length) : 0;
+  return {
+    score: game.score,
+    difficulty: game.difficulty,
+    stage: game.campaign ? game.campaign.stageIndex + 1 : 1,
+    wave,
+    accuracy: stats.shotsFired > 0 ? Math.round((stats.shotsHit / stats.shotsFired) * 1000) / 1000 : 0,
+    bossKillTime: stats.bossKillTime,
+    victory: game.victory,
+    seed: game.seed,
+    date: new Date().toISOString()
+  };
+}
 
-    // Phase 1 & 2: Spread shot attacks
-    if (this.phase <= 2) {
-      this.spreadFireTimer += deltaTime * 1000;
-      if (this.spreadFireTimer >= this.spreadFireInterval) {
-        this.fireSpreadShot();
-        this.spreadFireTimer = 0;
-      }
-    }
+/**
+ * @param {number|null} ms
+ * @returns {string} e.g. 1:23.4, or -- when the boss wasn't killed
+ */
+function formatBossTime(ms) {
+  if (ms === null || ms === undefined) return '--';
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Table rows for a leaderboard
+ * @param {Object[]} board
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function formatHighScoreRows(board, limit = HIGH_SCORE_TABLE_SIZE) {
+  const header = '##  INI     SCORE  WAVE   ACC    BOSS';
+  const rows = board.slice(0, limit).map((entry, index) => [
+    String(index + 1).padStart(2),
+    ` ${entry.initials.padEnd(3)}`,
+    String(entry.score).padStart(9),
+    `${entry.stage}-${entry.wave}`.padStart(5),
+    `${Math.round(entry.accuracy * 100)}%`.padStart(5),
+    formatBossTime(entry.bossKillTime).padStart(7)
+  ].join(' '));
+  return [header, ...rows];
+}
 
-    // Phase 2 & 3: Aimed barrage
-    if (this.phase >= 2) {
-      this.attackTimer += deltaTime * 1000;
-      if (this.attackTimer >= this.attackInterval) {
-        this.fireBarrage();
-        this.attackTimer = 0;
-      }
-    }
+function exportHighScores() {
+  try {
+    downloadJSON('ascii-shooter-highscores.json', game.highScoreTable.toJSON());
+  } catch (error) {
+    console.error('Failed to export high scores:', error.message);
+  }
+}
 
-    // Phase 3: Spiral attack
-    if (this.phase === 3) {
-      if (Math.random() < 0.02) {
-        this.fireSpiralPattern();
-      }
-    }
+async function importHighScores() {
+  try {
+    const added = game.highScoreTable.merge(await pickJSONFile());
+    logEvent(`Merged ${added} high score entries`);
+  } catch (error) {
+    console.error('Failed to import high scores:', error.message);
   }
+}
 
-  fireSpreadShot() {
-    const spreadCount = 5;
-    const spreadAngle = Math.PI / 4; // 45 degrees
-    const speed = 300;
+// ============================================================================
+// SCREENS (ASCII art for the title, pause and end-of-run screens)
+// ============================================================================
 
-    for (let i = 0; i < spreadCount; i++) {
-      const angle = Math.PI / 2 + (i - Math.floor(spreadCount / 2)) * (spreadAngle / spreadCount);
-      const vx = Math.cos(angle) * speed;
-      const vy = Math.sin(angle) * speed;
+const SCREEN_ART = {
+  title: [
+    '    _    ____   ____ ___ ___ ',
+    '   / \\  / ___| / ___|_ _|_ _|',
+    '  / _ \\ \\___ \\| |    | | | | ',
+    ' / ___ \\ ___) | |___ | | | | ',
+    '/_/   \\_\\____/ \\____|___|___|',
+    '',
+    ' ____  _   _  ___   ___ _____ _____ ____  ',
+    '/ ___|| | | |/ _ \\ / _ \\_   _| ____|  _ \\ ',
+    '\\___ \\| |_| | | | | | | || | |  _| | |_) |',
+    ' ___) |  _  | |_| | |_| || | | |___|  _ < ',
+    '|____/|_| |_|\\___/ \\___/ |_| |_____|_| \\_\\ '
+  ],
+  paused: [
+    ' ___  _   _   _ ___ ___ ___  ',
+    '| _ \\/_\\ | | | / __| __|   \\ ',
+    '|  _/ _ \\| |_| \\__ \\ _|| |) |',
+    '|_|/_/ \\_\\\\___/|___/___|___/ '
+  ],
+  gameOver: [
+    '  ___   _   __  __ ___    _____   _____ ___ ',
+    ' / __| /_\\ |  \\/  | __|  / _ \\ \\ / / __| _ \\ ',
+    '| (_ |/ _ \\| |\\/| | _|  | (_) \\ V /| _||   / ',
+    ' \\___/_/ \\_\\_|  |_|___|  \\___/ \\_/ |___|_|_\\ '
+  ],
+  victory: [
+    '__   _____ ___ _____ ___  _____   __',
+    '\\ \\ / /_ _/ __|_   _/ _ \\| _ \\ \\ / /',
+    ' \\ V / | | (__  | || (_) |   /\\ V / ',
+    '  \\_/ |___\\___| |_| \\___/|_|_\\ |_|  '
+  ]
+};
 
-      game.projectiles.push(new Projectile(this.x, this.y + 80, {
-        vx,
-        vy,
-        char: '•',
-        color: '#ff0000',
-        damage: 12,
-        hitboxRadius: 3,
-        owner: 'enemy'
-      }));
-    }
-  }
+/**
+ * Pad art lines to one width so drawMultiLine's per-line centering keeps
+ * the columns aligned
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function alignArt(lines) {
+  const width = Math.max(...lines.map(line => line.length));
+  return lines.map(line => line.padEnd(width));
+}
 
-  fireBarrage() {
-    if (!game.player || !game.player.active) return;
+/**
+ * Draw a block of lines centered horizontally, starting at y
+ * @returns {number} The y just below the block
+ */
+function drawScreenText(lines, y, color = '#ffffff') {
+  game.renderer.drawMultiLine(alignArt(lines), CONFIG.canvas.width / 2, y, color);
+  return y + lines.length * CONFIG.font.size;
+}
 
-    for (let i = 0; i < 3; i++) {
-      setTimeout(() => {
-        const dx = game.player.x - this.x;
-        const dy = game.player.y - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+// Blinking prompts, driven by real time since screens run while the
+// simulation is stopped
+function isBlinkOn(period = 1000) {
+  return Math.floor(performance.now() / (period / 2)) % 2 === 0;
+}
 
-        if (dist > 0) {
-          const vx = (dx / dist) * 400;
-          const vy = (dy / dist) * 400;
-
-          game.projectiles.push(new Projectile(this.x, this.y + 80, {
-            vx,
-            vy,
-            char: '◆',
-            color: '#ff6600',
-            damage: 20,
-            hitboxRadius: 4,
-            owner: 'enemy'
-          }));
-        }
-      }, i * 200);
-    }
-  }
+// ============================================================================
+// MENUS & OPTIONS
+// ============================================================================
 
-  fireSpiralPattern() {
-    const projectileCount = 8;
-    const speed = 250;
-    const offset = performance.now() * 0.001;
+const SETTINGS_STORAGE_KEY = 'asciiShooter.settings';
+const VOLUME_STEP = 0.1;
+
+const CONTROLS_HELP = [
+  '          KEYBOARD   GAMEPAD           ',
+  'Move      W A S D    Left stick / D-pad',
+  'Fire      SPACE      A                 ',
+  'Switch    E          X                 ',
+  'Rocket    R          RT / LT           ',
+  'Bomb      Q          RB                ',
+  'Pause     ESC        START             ',
+  'Confirm   ENTER      A                 ',
+  'Back      ESC        B                 '
+];
 
-    for (let i = 0; i < projectileCount; i++) {
-      const angle = (Math.PI * 2 * i / projectileCount) + offset;
-      const vx = Math.cos(angle) * speed;
-      const vy = Math.sin(angle) * speed;
+/**
+ * Vertical list of menu items navigated with menu actions. Items are
+ * { label, value?, adjust?, activate? }: value() returns text shown after the
+ * label, adjust(direction) handles left/right, activate() handles confirm.
+ */
+class Menu {
+  constructor(items) {
+    this.items = items;
+    this.selected = 0;
+  }
 
-      game.projectiles.push(new Projectile(this.x, this.y + 80, {
-        vx,
-        vy,
-        char: '*',
-        color: '#ffff00',
-        damage: 10,
-        hitboxRadius: 3,
-        owner: 'enemy'
-      }));
+  /**
+   * Apply this frame's menu actions
+   * @param {Set<string>} actions
+   */
+  handle(actions) {
+    const count = this.items.length;
+    if (actions.has('up')) {
+      this.selected = (this.selected + count - 1) % count;
+      playUISound('select');
+    }
+    if (actions.has('down')) {
+      this.selected = (this.selected + 1) % count;
+      playUISound('select');
     }
-  }
 
-  takeDamage(amount) {
-    this.health -= amount;
-    if (this.health <= 0) {
-      this.health = 0;
-      this.onDeath();
+    const item = this.items[this.selected];
+    if (item.adjust && (actions.has('left') || actions.has('right'))) {
+      item.adjust(actions.has('left') ? -1 : 1);
+      playUISound('select');
+    }
+    if (item.activate && actions.has('confirm')) {
+      playUISound('confirm');
+      item.activate();
     }
-    this.updateHealthBar();
   }
 
-  onDeath() {
-    // Destroy all turrets
-    this.turrets.forEach(turret => {
-      if (turret && turret.active) {
-        turret.destroy();
-      }
+  /**
+   * @param {number} y - Top of the menu
+   * @returns {number} The y just below the menu
+   */
+  render(y) {
+    const lines = this.items.map((item, index) => {
+      const marker = index === this.selected ? '>' : ' ';
+      const value = item.value ? ` ${item.value()}` : '';
+      return `${marker} ${item.label.padEnd(14)}${value}`;
     });
+    // Highlight the selection by drawing it again on top in yellow
+    const aligned = alignArt(lines);
+    game.renderer.drawMultiLine(aligned, CONFIG.canvas.width / 2, y, '#ffffff');
+    game.renderer.drawMultiLine(
+      [aligned[this.selected]],
+      CONFIG.canvas.width / 2,
+      y + this.selected * CONFIG.font.size,
+      '#ffff00'
+    );
+    return y + lines.length * CONFIG.font.size;
+  }
+}
 
-    // Hide health bar
-    this.hideHealthBar();
+function playUISound(type) {
+  if (game.audioManager) {
+    game.audioManager.playUISound(type);
+  }
+}
+
+/**
+ * @param {number} volume - 0 to 1
+ * @returns {string} e.g. [#######---]
+ */
+function formatVolume(volume) {
+  const filled = Math.round(volume * 10);
+  return `[${'#'.repeat(filled)}${'-'.repeat(10 - filled)}]`;
+}
 
-    // Massive explosion sequence
-    for (let i = 0; i < 10; i++) {
-      setTimeout(() => {
-        const offsetX = (Math.random() - 0.5) * 100;
-        const offsetY = (Math.random() - 0.5) * 80;
-        game.effects.push(createLargeExplosion(this.x + offsetX, this.y + offsetY));
-      }, i * 200);
+/**
+ * Volume sliders for the options menu, saved whenever one changes
+ * @returns {Object[]} Menu items
+ */
+function createVolumeItems() {
+  const channels = [
+    { label: 'Master volume', key: 'master', set: 'setMasterVolume' },
+    { label: 'Music volume', key: 'music', set: 'setMusicVolume' },
+    { label: 'SFX volume', key: 'sfx', set: 'setSfxVolume' }
+  ];
+  return channels.map(channel => ({
+    label: channel.label,
+    value: () => formatVolume(game.audioManager ? game.audioManager.volumes[channel.key] : 0),
+    adjust: (direction) => {
+      if (!game.audioManager) return;
+      const volume = game.audioManager.volumes[channel.key] + direction * VOLUME_STEP;
+      // Round so repeated steps land exactly on tenths
+      game.audioManager[channel.set](Math.round(volume * 10) / 10);
+      saveSettings();
     }
+  }));
+}
 
-    // Add score
-    game.score += this.scoreValue;
-    const scoreEl = document.querySelector('#score span');
-    if (scoreEl) scoreEl.textContent = game.score;
+// Screen shake steps offered in the options menu
+const SHAKE_LEVELS = [0, 0.5, 1];
 
-    // Victory!
-    setTimeout(() => {
-      game.victory = true;
-      console.log('VICTORY! Boss defeated!');
-    }, 2000);
+/**
+ * Camera comfort options (screen shake, zoom pulses, hit-stop), saved
+ * whenever one changes
+ * @returns {Object[]} Menu items
+ */
+function createCameraItems() {
+  const toggle = (label, key) => {
+    const flip = () => {
+      CONFIG.camera[key] = !CONFIG.camera[key];
+      saveSettings();
+    };
+    return { label, value: () => (CONFIG.camera[key] ? 'On' : 'Off'), adjust: flip, activate: flip };
+  };
+  return [
+    {
+      label: 'Screen shake',
+      value: () => (CONFIG.camera.shake > 0 ? `${Math.round(CONFIG.camera.shake * 100)}%` : 'Off'),
+      adjust: (direction) => {
+        const index = SHAKE_LEVELS.indexOf(CONFIG.camera.shake);
+        const next = Math.max(0, Math.min(SHAKE_LEVELS.length - 1, (index < 0 ? SHAKE_LEVELS.length - 1 : index) + direction));
+        CONFIG.camera.shake = SHAKE_LEVELS[next];
+        saveSettings();
+      }
+    },
+    toggle('Zoom pulses', 'zoom'),
+    toggle('Hit-stop', 'hitStop')
+  ];
+}
 
-    this.destroy();
+/**
+ * Restore saved options (volumes, difficulty, camera) from localStorage
+ */
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (saved && DIFFICULTY_PROFILES[saved.difficulty]) {
+      game.selectedDifficulty = saved.difficulty;
+    }
+    if (saved && saved.volumes && game.audioManager) {
+      const { master, music, sfx } = saved.volumes;
+      if (Number.isFinite(master)) game.audioManager.setMasterVolume(master);
+      if (Number.isFinite(music)) game.audioManager.setMusicVolume(music);
+      if (Number.isFinite(sfx)) game.audioManager.setSfxVolume(sfx);
+    }
+    if (saved && saved.camera) {
+      const { shake, zoom, hitStop } = saved.camera;
+      if (SHAKE_LEVELS.includes(shake)) CONFIG.camera.shake = shake;
+      if (typeof zoom === 'boolean') CONFIG.camera.zoom = zoom;
+      if (typeof hitStop === 'boolean') CONFIG.camera.hitStop = hitStop;
+    }
+  } catch (error) {
+    console.warn('Could not load settings:', error.message);
   }
+}
 
-  render(renderer) {
-    // Flash when taking damage
-    const flashInterval = 100;
-    const shouldShow = Math.floor(performance.now() / flashInterval) % 2 === 0 ||
-                       this.health > this.maxHealth * 0.25;
-
-    if (shouldShow) {
-      renderer.drawMultiLine(this.art, this.x, this.y, this.color);
-    }
+function saveSettings() {
+  try {
+    const volumes = game.audioManager ? game.audioManager.volumes : {};
+    const { shake, zoom, hitStop } = CONFIG.camera;
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+      volumes,
+      difficulty: game.selectedDifficulty,
+      camera: { shake, zoom, hitStop }
+    }));
+  } catch (error) {
+    console.warn('Could not save settings:', error.message);
   }
 }
 
 // ============================================================================
-// INPUT MANAGER
+// GAME STATE MACHINE
 // ============================================================================
 
-class InputManager {
-  constructor() {
-    this.keys = {};
-    this.previousKeys = {};
-    this.gamepadButtons = {};
-    this.previousGamepadButtons = {};
-    this.deadzone = 0.15; // Per GDB specification
-    this.setupEventListeners();
+const GAME_STATES = {
+  BOOT: 'boot',
+  TITLE: 'title',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  STAGE_CLEAR: 'stageclear',
+  GAME_OVER: 'gameover',
+  VICTORY: 'victory',
+  HIGH_SCORE_ENTRY: 'highscore',
+  LEADERBOARD: 'leaderboard'
+};
+
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+
+/**
+ * Base screen state. Each rendered frame the machine calls update() with the
+ * real frame time and this frame's menu actions, then render().
+ */
+class GameState {
+  constructor(machine) {
+    this.machine = machine;
   }
 
-  setupEventListeners() {
-    window.addEventListener('keydown', (e) => {
-      this.keys[e.code] = true;
+  enter(params) {}
 
-      // Prevent default for game controls
-      if (['Space', 'KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyE', 'KeyR'].includes(e.code)) {
-        e.preventDefault();
-      }
-    });
+  exit() {}
 
-    window.addEventListener('keyup', (e) => {
-      this.keys[e.code] = false;
-    });
+  update(frameTime, actions) {}
 
-    // Gamepad connection events
-    window.addEventListener('gamepadconnected', (e) => {
-      console.log('Gamepad connected:', e.gamepad.id);
-    });
+  render() {}
+}
 
-    window.addEventListener('gamepaddisconnected', (e) => {
-      console.log('Gamepad disconnected:', e.gamepad.id);
-    });
+/**
+ * Loading screen shown while assets load
+ */
+class BootState extends GameState {
+  update() {
+    if (!game.assetsLoaded) return;
+
+    // ?benchmark=N skips the title and goes straight into a stress run
+    const benchmarkCount = getBenchmarkParam();
+    if (benchmarkCount > 0) {
+      startBenchmark(benchmarkCount);
+      this.machine.change(GAME_STATES.PLAYING);
+    } else {
+      this.machine.change(GAME_STATES.TITLE);
+    }
   }
 
-  getGamepad() {
-    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
-    // Return first connected gamepad
-    for (const gamepad of gamepads) {
-      if (gamepad) return gamepad;
+  render() {
+    if (game.background) {
+      game.background.render(game.renderer);
     }
-    return null;
+    const progress = game.assetLoader ? game.assetLoader.getProgress() : 0;
+    const filled = Math.round(progress * 20);
+    const y = CONFIG.canvas.height / 2 - CONFIG.font.size;
+    drawScreenText(['LOADING', `[${'#'.repeat(filled)}${'.'.repeat(20 - filled)}]`], y);
   }
+}
 
-  isKeyDown(code) {
-    return this.keys[code] === true;
+class TitleState extends GameState {
+  constructor(machine) {
+    super(machine);
+    this.menu = new Menu([
+      {
+        label: 'Start game',
+        activate: () => {
+          startLiveRun();
+          this.machine.change(GAME_STATES.PLAYING);
+        }
+      },
+      {
+        label: 'Difficulty',
+        value: () => `< ${DIFFICULTY_PROFILES[game.selectedDifficulty].name} >`,
+        adjust: (direction) => {
+          const names = Object.keys(DIFFICULTY_PROFILES);
+          const index = names.indexOf(game.selectedDifficulty);
+          game.selectedDifficulty = names[(index + direction + names.length) % names.length];
+          saveSettings();
+        }
+      },
+      { label: 'High scores', activate: () => this.machine.change(GAME_STATES.LEADERBOARD) }
+    ]);
   }
 
-  wasKeyJustPressed(code) {
-    return this.keys[code] === true && this.previousKeys[code] !== true;
+  update(frameTime, actions) {
+    this.menu.handle(actions);
   }
 
-  isGamepadButtonDown(buttonIndex) {
-    return this.gamepadButtons[buttonIndex] === true;
+  render() {
+    if (game.background) {
+      game.background.render(game.renderer);
+    }
+
+    let y = CONFIG.canvas.height * 0.12;
+    // Cycle the logo color for a little life
+    const hue = Math.floor(performance.now() / 20) % 360;
+    y = drawScreenText(SCREEN_ART.title, y, `hsl(${hue}, 100%, 85%)`);
+
+    y = this.menu.render(y + CONFIG.font.size * 2);
+    y += CONFIG.font.size * 2;
+
+    const board = game.highScoreTable.getBoard(game.selectedDifficulty);
+    if (board.length > 0) {
+      const rows = board.slice(0, 5).map((entry, index) =>
+        `${index + 1}. ${entry.initials}  ${String(entry.score).padStart(8)}`
+      );
+      drawScreenText([`HIGH SCORES (${game.selectedDifficulty.toUpperCase()})`, '', ...rows], y);
+    }
   }
+}
 
-  wasGamepadButtonJustPressed(buttonIndex) {
-    return this.gamepadButtons[buttonIndex] === true &&
-           this.previousGamepadButtons[buttonIndex] !== true;
+/**
+ * Full leaderboards with run stats; left/right switches difficulty
+ */
+class LeaderboardState extends GameState {
+  constructor(machine) {
+    super(machine);
+    this.menu = new Menu([
+      { label: 'Export boards', activate: () => exportHighScores() },
+      { label: 'Import boards', activate: () => importHighScores() },
+      { label: 'Back', activate: () => this.machine.change(GAME_STATES.TITLE) }
+    ]);
   }
 
-  update() {
-    // Store previous key states for just-pressed detection
-    this.previousKeys = { ...this.keys };
-    this.previousGamepadButtons = { ...this.gamepadButtons };
+  enter() {
+    this.difficulty = game.selectedDifficulty;
+    this.menu.selected = 0;
+  }
 
-    // Update gamepad state
-    const gamepad = this.getGamepad();
-    if (gamepad) {
-      // Initialize audio on first gamepad button press
-      if (game.audioManager && !game.audioManager.initialized) {
-        const anyButtonPressed = gamepad.buttons.some(button => button.pressed);
-        if (anyButtonPressed) {
-          game.audioManager.init();
-          // Start music after audio is initialized
-          if (game.audioManager.initialized) {
-            game.audioManager.loadAndPlayMusic('/Raptorface - Cherryblossom.mp3');
-          }
-        }
-      }
+  update(frameTime, actions) {
+    if (actions.has('cancel')) {
+      this.machine.change(GAME_STATES.TITLE);
+      return;
+    }
 
-      // Update button states
-      gamepad.buttons.forEach((button, index) => {
-        this.gamepadButtons[index] = button.pressed;
-      });
+    if (actions.has('left') || actions.has('right')) {
+      const difficulties = game.highScoreTable.getDifficulties(Object.keys(DIFFICULTY_PROFILES));
+      const index = difficulties.indexOf(this.difficulty);
+      const step = actions.has('left') ? -1 : 1;
+      this.difficulty = difficulties[(index + step + difficulties.length) % difficulties.length];
+      playUISound('select');
     }
+    this.menu.handle(actions);
   }
 
-  getMovementVector() {
-    let dx = 0;
-    let dy = 0;
+  render() {
+    if (game.background) {
+      game.background.render(game.renderer);
+    }
+    game.renderer.drawOverlay('rgba(0, 0, 0, 0.4)');
 
-    // Keyboard input
-    if (this.isKeyDown('KeyW')) dy -= 1;
-    if (this.isKeyDown('KeyS')) dy += 1;
-    if (this.isKeyDown('KeyA')) dx -= 1;
-    if (this.isKeyDown('KeyD')) dx += 1;
+    let y = CONFIG.canvas.height * 0.12;
+    y = drawScreenText([`< ${this.difficulty.toUpperCase()} >`], y, '#88ccff') + CONFIG.font.size;
 
-    // Gamepad input (left stick or D-pad)
-    const gamepad = this.getGamepad();
-    if (gamepad) {
-      // Left stick (axes 0 and 1)
-      const leftStickX = gamepad.axes[0] || 0;
-      const leftStickY = gamepad.axes[1] || 0;
+    const board = game.highScoreTable.getBoard(this.difficulty);
+    const rows = board.length > 0 ? formatHighScoreRows(board) : ['No scores yet'];
+    y = drawScreenText(rows, y) + CONFIG.font.size * 2;
 
-      // Apply deadzone
-      if (Math.abs(leftStickX) > this.deadzone) {
-        dx += leftStickX;
-      }
-      if (Math.abs(leftStickY) > this.deadzone) {
-        dy += leftStickY;
-      }
+    this.menu.render(y);
+  }
+}
 
-      // D-pad (buttons 12-15 on standard gamepad)
-      if (gamepad.buttons[12]?.pressed) dy -= 1; // Up
-      if (gamepad.buttons[13]?.pressed) dy += 1; // Down
-      if (gamepad.buttons[14]?.pressed) dx -= 1; // Left
-      if (gamepad.buttons[15]?.pressed) dx += 1; // Right
+/**
+ * Runs the simulation in fixed steps and watches for the run to end
+ */
+class PlayingState extends GameState {
+  update(frameTime, actions) {
+    if (actions.has('pause') && !game.replayFinished) {
+      this.machine.change(GAME_STATES.PAUSED);
+      return;
     }
 
-    // Normalize diagonal movement
-    const magnitude = Math.sqrt(dx * dx + dy * dy);
-    if (magnitude > 1) {
-      dx /= magnitude;
-      dy /= magnitude;
-    }
+    // Hit-stop holds the simulation still for a moment on big hits
+    game.camera.update(frameTime);
+    if (game.camera.isFrozen()) return;
 
-    return { dx, dy };
-  }
+    // Replays can be played back faster or slower than real time
+    game.accumulator += frameTime * game.playbackSpeed;
 
-  // Check if shoot button is pressed (Space or A button)
-  isShootPressed() {
-    return this.isKeyDown('Space') || this.isGamepadButtonDown(0); // A button
-  }
+    // Advance the simulation in fixed steps so runs are reproducible
+    const step = CONFIG.simulation.fixedStep;
+    game.deltaTime = step;
+    while (game.accumulator >= step && !game.stageCleared) {
+      stepSimulation();
+      game.accumulator -= step;
+    }
 
-  // Check if weapon switch was just pressed (E or X button)
-  wasWeaponSwitchPressed() {
-    return this.wasKeyJustPressed('KeyE') || this.wasGamepadButtonJustPressed(2); // X button
+    if (game.stageCleared) {
+      this.machine.change(GAME_STATES.STAGE_CLEAR);
+    } else if (game.victory) {
+      this.machine.change(GAME_STATES.VICTORY);
+    } else if (game.gameOver) {
+      this.machine.change(GAME_STATES.GAME_OVER);
+    } else if (game.replayFinished && actions.has('confirm')) {
+      this.machine.change(GAME_STATES.TITLE);
+    }
   }
 
-  // Check if special weapon was just pressed (R or RT)
-  wasSpecialWeaponPressed() {
-    return this.wasKeyJustPressed('KeyR') ||
-           this.wasGamepadButtonJustPressed(7) || // RT button (some gamepads)
-           this.wasGamepadButtonJustPressed(6);   // LT button alternative
+  render() {
+    // Interpolate between the last two simulation steps
+    render(game.accumulator / CONFIG.simulation.fixedStep);
   }
 }
 
-// ============================================================================
-// CANVAS RESIZE HANDLING
-// ============================================================================
-
-function updateCanvasSize() {
-  const canvas = game.canvas;
+/**
+ * Simulation frozen; no steps run, so the game clock and every wave, boss
+ * and respawn timer on it stand still until play resumes. Shows the pause
+ * menu, with options and controls as sub-views.
+ */
+class PausedState extends GameState {
+  constructor(machine) {
+    super(machine);
+    this.mainMenu = new Menu([
+      { label: 'Resume', activate: () => this.resume() },
+      { label: 'Restart', activate: () => this.restart() },
+      { label: 'Options', activate: () => this.showView('options') },
+      { label: 'Quit to title', activate: () => this.machine.change(GAME_STATES.TITLE) }
+    ]);
+    this.optionsMenu = new Menu([
+      ...createVolumeItems(),
+      ...createCameraItems(),
+      { label: 'Controls', activate: () => this.showView('controls') },
+      { label: 'Back', activate: () => this.showView('main') }
+    ]);
+  }
+
+  enter() {
+    this.view = 'main';
+    this.mainMenu.selected = 0;
+    playUISound('pause');
+  }
+
+  showView(view) {
+    this.view = view;
+    if (view === 'options') {
+      this.optionsMenu.selected = 0;
+    }
+  }
 
-  // Get the window dimensions
-  const width = Math.max(CONFIG.canvas.minWidth, window.innerWidth);
-  const height = Math.max(CONFIG.canvas.minHeight, window.innerHeight);
+  resume() {
+    this.machine.change(GAME_STATES.PLAYING);
+  }
 
-  // Update canvas dimensions
-  canvas.width = width;
-  canvas.height = height;
+  /**
+   * Start the run over: replays restart from their first frame, live runs
+   * begin a fresh recording
+   */
+  restart() {
+    if (game.input.source) {
+      startReplay(game.input.source.replay);
+    } else {
+      startLiveRun();
+    }
+    this.machine.change(GAME_STATES.PLAYING);
+  }
 
-  // Update CONFIG
-  CONFIG.canvas.width = width;
-  CONFIG.canvas.height = height;
+  update(frameTime, actions) {
+    if (this.view === 'main') {
+      if (actions.has('pause') || actions.has('cancel')) {
+        this.resume();
+        return;
+      }
+      this.mainMenu.handle(actions);
+    } else if (actions.has('cancel')) {
+      this.showView(this.view === 'controls' ? 'options' : 'main');
+    } else if (actions.has('pause')) {
+      this.resume();
+    } else if (this.view === 'options') {
+      this.optionsMenu.handle(actions);
+    } else if (actions.has('confirm')) {
+      this.showView('options');
+    }
+  }
 
-  // Update player bounds to maintain playable area margins
-  CONFIG.player.bounds.top = 50;
-  CONFIG.player.bounds.bottom = height - 50;
-  CONFIG.player.bounds.left = 20;
-  CONFIG.player.bounds.right = width - 20;
+  render() {
+    render(game.accumulator / CONFIG.simulation.fixedStep);
+    game.renderer.drawOverlay('rgba(0, 0, 0, 0.6)');
 
-  // If player exists, ensure it stays within new bounds
-  if (game.player) {
-    game.player.x = Math.max(CONFIG.player.bounds.left, Math.min(CONFIG.player.bounds.right, game.player.x));
-    game.player.y = Math.max(CONFIG.player.bounds.top, Math.min(CONFIG.player.bounds.bottom, game.player.y));
-  }
+    let y = CONFIG.canvas.height / 2 - CONFIG.font.size * 8;
+    y = drawScreenText(SCREEN_ART.paused, y, '#ffffff') + CONFIG.font.size * 2;
 
-  // Resize background gradient
-  if (game.background) {
-    game.background.resize(width, height);
+    if (this.view === 'main') {
+      this.mainMenu.render(y);
+    } else if (this.view === 'options') {
+      y = drawScreenText(['OPTIONS'], y, '#88ccff') + CONFIG.font.size;
+      this.optionsMenu.render(y);
+    } else {
+      y = drawScreenText(['CONTROLS'], y, '#88ccff') + CONFIG.font.size;
+      y = drawScreenText(CONTROLS_HELP, y) + CONFIG.font.size;
+      drawScreenText(['ENTER / ESC / B to go back'], y, '#cccccc');
+    }
   }
 }
 
-// ============================================================================
-// GAME INITIALIZATION
-// ============================================================================
-
-async function init() {
-  // Get canvas and context
-  game.canvas = document.getElementById('game-canvas');
-  game.ctx = game.canvas.getContext('2d');
+/**
+ * Shared end-of-run screen: offers high-score entry for live runs that made
+ * the table, otherwise play again or back to the title
+ */
+class RunEndState extends GameState {
+  constructor(machine, art, color) {
+    super(machine);
+    this.art = art;
+    this.color = color;
+  }
 
-  if (!game.ctx) {
-    console.error('Failed to get 2D context');
-    return;
+  enter() {
+    this.result = getRunResult();
+    this.qualifies = !game.input.source && game.highScoreTable.qualifies(this.result.score, this.result.difficulty);
   }
 
-  // Set initial canvas size
-  updateCanvasSize();
+  update(frameTime, actions) {
+    settleEffects(frameTime);
 
-  // Create audio manager
-  game.audioManager = new AudioManager();
+    if (actions.has('confirm')) {
+      if (this.qualifies) {
+        this.machine.change(GAME_STATES.HIGH_SCORE_ENTRY, { result: this.result });
+      } else {
+        startLiveRun();
+        this.machine.change(GAME_STATES.PLAYING);
+      }
+    } else if (actions.has('cancel')) {
+      this.machine.change(GAME_STATES.TITLE);
+    }
+  }
 
-  // Try to initialize audio immediately (will work on some browsers)
-  // If it fails, we'll retry on first user interaction in the game loop
-  try {
-    game.audioManager.init();
-    if (game.audioManager.initialized) {
-      game.audioManager.loadAndPlayMusic('/Raptorface - Cherryblossom.mp3');
+  render() {
+    render(1);
+    game.renderer.drawOverlay('rgba(0, 0, 0, 0.5)');
+    let y = drawScreenText(this.art, CONFIG.canvas.height / 2 - CONFIG.font.size * 5, this.color);
+    const { result } = this;
+    y = drawScreenText([
+      `FINAL SCORE ${result.score}  (${getDifficultyProfile().name})`,
+      `STAGE ${result.stage}  WAVE ${result.wave}   ACCURACY ${Math.round(result.accuracy * 100)}%   BOSS ${formatBossTime(result.bossKillTime)}`
+    ], y + CONFIG.font.size * 2);
+    const prompt = this.qualifies
+      ? ['NEW HIGH SCORE!', 'ENTER / A to enter your initials']
+      : ['ENTER / A to play again', 'ESC / B for title'];
+    if (isBlinkOn()) {
+      drawScreenText(prompt, y + CONFIG.font.size * 2, '#ffff00');
     }
-  } catch (error) {
-    console.log('Audio autoplay blocked, will initialize on user interaction');
   }
+}
 
-  // Create asset loader
-  game.assetLoader = new AssetLoader();
+/**
+ * Effects (and the camera settling) keep playing out behind end-of-stage and
+ * end-of-run screens while the simulation is stopped
+ * @param {number} frameTime - Real seconds since the last frame
+ */
+function settleEffects(frameTime) {
+  game.camera.update(frameTime);
+  game.effects.forEach(effect => effect.update(frameTime));
+  game.particles.forEach(particle => particle.update(frameTime));
+  game.damageNumbers.forEach(number => number.update(frameTime));
+  compactEntities(game.effects);
+  compactEntities(game.particles);
+  compactEntities(game.damageNumbers);
+}
 
-  // Try to load JSON assets (gracefully handles missing files)
-  // These will be created in Milestone 3 with the asset editor
-  const assetPaths = {
-    'player_ship': '/assets/sprites/player/player_ship.json',
-    'scout': '/assets/sprites/enemies/scout.json',
-    'gunship': '/assets/sprites/enemies/gunship.json',
-    'kamikaze': '/assets/sprites/enemies/kamikaze.json'
-  };
+// How long the stage-clear tally takes to count up (milliseconds)
+const TALLY_COUNT_DURATION = 1200;
 
-  console.log('Attempting to load JSON assets...');
-  await game.assetLoader.loadAssets(assetPaths);
-  game.assetsLoaded = true;
+/**
+ * Between stages: counts up the stage's results, then starts the next stage
+ * on confirm (the first confirm skips the count)
+ */
+class StageClearState extends GameState {
+  enter() {
+    this.tally = game.campaign.tally;
+    this.elapsed = 0;
+    playUISound('confirm');
+  }
 
-  // Note: Assets are currently hardcoded. When JSON assets are available,
-  // entities can be created from the loaded data using assetLoader.getAsset(name)
+  update(frameTime, actions) {
+    settleEffects(frameTime);
+    this.elapsed += frameTime * 1000;
 
-  // Create background
-  game.background = new Background(game.ctx, CONFIG.canvas.width, CONFIG.canvas.height);
+    if (actions.has('confirm')) {
+      if (this.elapsed < TALLY_COUNT_DURATION) {
+        this.elapsed = TALLY_COUNT_DURATION;
+      } else {
+        game.campaign.advance();
+        this.machine.change(GAME_STATES.PLAYING);
+      }
+    }
+  }
 
-  // Create renderer
-  game.renderer = new ASCIIRenderer(game.ctx);
+  render() {
+    render(1);
+    game.renderer.drawOverlay('rgba(0, 0, 0, 0.5)');
+    const { tally } = this;
+    const progress = Math.min(1, this.elapsed / TALLY_COUNT_DURATION);
+    const count = value => Math.round(value * progress);
+    const row = (label, value) => `${label.padEnd(18)}${String(value).padStart(10)}`;
+
+    let y = CONFIG.canvas.height / 2 - CONFIG.font.size * 7;
+    y = drawScreenText([`STAGE ${tally.stage} CLEAR`, tally.title.toUpperCase()], y, '#44ff88');
+    y = drawScreenText([
+      row('STAGE SCORE', count(tally.score)),
+      row('ENEMIES DESTROYED', count(tally.enemiesDestroyed)),
+      row('ACCURACY', `${count(Math.round(tally.accuracy * 100))}%`),
+      row('BOSS TIME', formatBossTime(tally.bossKillTime)),
+      row('LIVES', tally.lives),
+      row('ROCKETS', tally.rockets)
+    ], y + CONFIG.font.size * 2);
+    y = drawScreenText([`NEXT: ${tally.next.toUpperCase()}`], y + CONFIG.font.size * 2, '#88ccff');
+    if (progress >= 1 && isBlinkOn()) {
+      drawScreenText(['ENTER / A to continue'], y + CONFIG.font.size, '#ffff00');
+    }
+  }
+}
 
-  // Create input manager
-  game.input = new InputManager();
+/**
+ * Arcade-style initials: up/down picks a letter, left/right moves between
+ * the three slots, confirm on the last slot saves
+ */
+class HighScoreEntryState extends GameState {
+  enter(params) {
+    this.result = params.result;
+    this.letters = [0, 0, 0];
+    this.slot = 0;
+  }
 
-  // Create player
-  game.player = new Player(CONFIG.canvas.width / 2, CONFIG.canvas.height - 100);
+  update(frameTime, actions) {
+    const count = INITIALS_ALPHABET.length;
+    if (actions.has('up')) {
+      this.letters[this.slot] = (this.letters[this.slot] + 1) % count;
+    }
+    if (actions.has('down')) {
+      this.letters[this.slot] = (this.letters[this.slot] + count - 1) % count;
+    }
+    if (actions.has('left') || actions.has('cancel')) {
+      this.slot = Math.max(0, this.slot - 1);
+    }
+    if (actions.has('right')) {
+      this.slot = Math.min(2, this.slot + 1);
+    }
+    if (actions.has('confirm')) {
+      if (this.slot < 2) {
+        this.slot++;
+      } else {
+        game.highScoreTable.add({ initials: this.getInitials(), ...this.result });
+        playUISound('confirm');
+        this.machine.change(GAME_STATES.LEADERBOARD);
+      }
+    }
+  }
 
-  // Create wave manager
-  game.waveManager = new WaveManager();
-  game.waveManager.start();
+  getInitials() {
+    return this.letters.map(index => INITIALS_ALPHABET[index]).join('');
+  }
 
-  // Initialize UI
-  game.player.updateHealthUI();
-  game.player.updateLivesUI();
-  game.player.updateWeaponUI();
-  const scoreEl = document.querySelector('#score span');
-  if (scoreEl) {
-    scoreEl.textContent = game.score;
+  render() {
+    render(1);
+    game.renderer.drawOverlay('rgba(0, 0, 0, 0.6)');
+    let y = CONFIG.canvas.height / 2 - CONFIG.font.size * 4;
+    y = drawScreenText(['NEW HIGH SCORE', '', String(this.result.score)], y, '#ffff00');
+
+    const initials = this.getInitials().split('').join(' ');
+    const cursor = this.letters.map((letter, index) => (index === this.slot ? '^' : ' ')).join(' ');
+    y = drawScreenText([initials, cursor], y + CONFIG.font.size * 2);
+    drawScreenText(['UP/DOWN letter   LEFT/RIGHT move   ENTER / A next'], y + CONFIG.font.size * 2, '#cccccc');
+  }
+}
+
+class GameStateMachine {
+  constructor() {
+    this.states = {
+      [GAME_STATES.BOOT]: new BootState(this),
+      [GAME_STATES.TITLE]: new TitleState(this),
+      [GAME_STATES.PLAYING]: new PlayingState(this),
+      [GAME_STATES.PAUSED]: new PausedState(this),
+      [GAME_STATES.STAGE_CLEAR]: new StageClearState(this),
+      [GAME_STATES.GAME_OVER]: new RunEndState(this, SCREEN_ART.gameOver, '#ff4444'),
+      [GAME_STATES.VICTORY]: new RunEndState(this, SCREEN_ART.victory, '#44ff88'),
+      [GAME_STATES.HIGH_SCORE_ENTRY]: new HighScoreEntryState(this),
+      [GAME_STATES.LEADERBOARD]: new LeaderboardState(this)
+    };
+    this.currentName = null;
+    this.current = null;
   }
 
-  // Spawn initial clouds
-  for (let i = 0; i < 5; i++) {
-    game.clouds.push(createFarCloud());
-    game.clouds.push(createNearCloud());
+  /**
+   * Leave the current state and enter another
+   * @param {string} name - One of GAME_STATES
+   * @param {Object} [params] - Passed to the new state's enter()
+   */
+  change(name, params = {}) {
+    const next = this.states[name];
+    if (!next) {
+      console.warn(`Unknown game state: ${name}`);
+      return;
+    }
+    if (this.current) {
+      this.current.exit();
+    }
+    this.currentName = name;
+    this.current = next;
+    next.enter(params);
   }
 
-  // Handle window resize
-  window.addEventListener('resize', () => {
-    updateCanvasSize();
-  });
+  is(name) {
+    return this.currentName === name;
+  }
 
-  // Start game loop
-  game.running = true;
-  game.lastTime = performance.now();
-  requestAnimationFrame(gameLoop);
+  update(frameTime, actions) {
+    this.current.update(frameTime, actions);
+  }
 
-  console.log('Game initialized - Canvas mode');
-  console.log('Asset loader ready. Assets can be imported from JSON files.');
+  render() {
+    this.current.render();
+  }
 }
 
 // ============================================================================
 // GAME LOOP
 // ============================================================================
 
+/**
+ * Advance the simulation by exactly one fixed step
+ */
+function stepSimulation() {
+  storePreviousPositions();
+  update(CONFIG.simulation.fixedStep);
+}
+
 function gameLoop(currentTime) {
   if (!game.running) return;
 
-  // Calculate delta time in seconds
-  game.deltaTime = (currentTime - game.lastTime) / 1000;
+  // Real time since last frame, capped to prevent a spiral of catch-up steps
+  game.frameTime = Math.min((currentTime - game.lastTime) / 1000, CONFIG.simulation.maxFrameTime);
   game.lastTime = currentTime;
 
-  // Cap delta time to prevent large jumps
-  game.deltaTime = Math.min(game.deltaTime, 0.1);
-
-  // Update
-  update(game.deltaTime);
-
-  // Render
-  render();
+  handleReplayHotkeys();
+  runFrame();
 
   // Next frame
   requestAnimationFrame(gameLoop);
 }
 
+/**
+ * One rendered frame of game.frameTime seconds: the current screen state
+ * steps the simulation (if playing) and draws. Shared by every front-end.
+ */
+function runFrame() {
+  // F3 toggles the debug overlay (entity counts and pool usage)
+  if (game.input.consumeHotkey('F3')) {
+    game.showDebug = !game.showDebug;
+  }
+
+  game.stateMachine.update(game.frameTime, game.input.readMenuActions());
+  game.renderer.beginFrame();
+  game.stateMachine.render();
+  game.renderer.endFrame();
+
+  handleCaptureHotkeys();
+  if (game.recording) {
+    game.recording.update(game.frameTime);
+  }
+}
+
+/**
+ * Remember where every entity was before this step, for render interpolation
+ */
+function storePreviousPositions() {
+  const lists = [game.projectiles, game.enemies, game.effects, game.particles, game.damageNumbers,
+    game.clouds, game.asteroids, game.structures, game.powerups];
+  lists.forEach(list => {
+    list.forEach(entity => entity.resetInterpolation());
+  });
+  if (game.player) {
+    game.player.resetInterpolation();
+  }
+}
+
+/**
+ * Render an entity at its position interpolated between simulation steps
+ * @param {Entity} entity
+ * @param {number} alpha - Blend from previous (0) to current (1) position
+ */
+function renderInterpolated(entity, alpha) {
+  if (entity.prevX === undefined) {
+    entity.render(game.renderer);
+    return;
+  }
+
+  const x = entity.x;
+  const y = entity.y;
+  entity.x = entity.prevX + (x - entity.prevX) * alpha;
+  entity.y = entity.prevY + (y - entity.prevY) * alpha;
+  entity.render(game.renderer);
+  entity.x = x;
+  entity.y = y;
+}
+
 // ============================================================================
 // WAVE SYSTEM
 // ============================================================================
 
-const WAVE_DEFINITIONS = [
-  {
-    // Wave 1: Introduction - Scouts only
-    name: 'Wave 1',
-    enemies: [
-      { type: 'Scout', count: 6, interval: 1500, formation: 'single' }
-    ],
-    duration: 15000 // 15 seconds
-  },
-  {
-    // Wave 2: Mixed threat
-    name: 'Wave 2',
-    enemies: [
-      { type: 'Scout', count: 4, interval: 1200, formation: 'single' },
-      { type: 'Gunship', count: 2, interval: 3000, formation: 'single' }
-    ],
-    duration: 18000
-  },
-  {
-    // Wave 3: Kamikaze introduction
-    name: 'Wave 3',
-    enemies: [
-      { type: 'Scout', count: 3, interval: 1500, formation: 'single' },
-      { type: 'Kamikaze', count: 4, interval: 2000, formation: 'single' }
-    ],
-    duration: 16000
-  },
-  {
-    // Wave 4: Formation attacks
-    name: 'Wave 4',
-    enemies: [
-      { type: 'Scout', count: 6, interval: 800, formation: 'line' },
-      { type: 'Gunship', count: 2, interval: 4000, formation: 'single' }
-    ],
-    duration: 20000
-  },
-  {
-    // Wave 5: Intense finale before boss
-    name: 'Wave 5',
-    enemies: [
-      { type: 'Scout', count: 8, interval: 1000, formation: 'single' },
-      { type: 'Gunship', count: 3, interval: 3000, formation: 'single' },
-      { type: 'Kamikaze', count: 5, interval: 1800, formation: 'single' }
-    ],
-    duration: 25000
-  }
-];
-
+/**
+ * Spawns a level's waves in order, then its boss
+ */
 class WaveManager {
-  constructor() {
+  /**
+   * @param {Object[]} waves - Wave list from the level (see assets/levels/level1.json)
+   * @param {string|null} boss - Boss asset name, or null to end the stage after the last wave
+   */
+  constructor(waves, boss = null) {
+    this.waves = waves;
+    this.boss = boss;
     this.currentWaveIndex = 0;
     this.waveStartTime = 0;
     this.waveActive = false;
@@ -2621,34 +8370,34 @@ class WaveManager {
   }
 
   startWave() {
-    if (this.currentWaveIndex >= WAVE_DEFINITIONS.length) {
+    if (this.currentWaveIndex >= this.waves.length) {
       // All waves complete - trigger boss
       this.triggerBoss();
       return;
     }
 
-    const wave = WAVE_DEFINITIONS[this.currentWaveIndex];
+    const wave = this.waves[this.currentWaveIndex];
     this.waveActive = true;
-    this.waveStartTime = performance.now();
+    this.waveStartTime = game.clock.now();
     this.enemyGroups = [];
 
-    console.log(`Starting ${wave.name}`);
+    logEvent(`Starting ${wave.name}`);
 
     // Initialize enemy groups
     wave.enemies.forEach(group => {
       this.enemyGroups.push({
         type: group.type,
-        count: group.count,
+        count: Math.max(1, Math.round(group.count * getDifficultyProfile().spawnCount)),
         interval: group.interval,
         formation: group.formation,
         spawned: 0,
-        lastSpawnTime: 0
+        lastSpawnTime: -Infinity
       });
     });
   }
 
   update(deltaTime) {
-    const currentTime = performance.now();
+    const currentTime = game.clock.now();
 
     if (this.inBreak) {
       // Check if break is over
@@ -2662,7 +8411,7 @@ class WaveManager {
 
     if (!this.waveActive) return;
 
-    const wave = WAVE_DEFINITIONS[this.currentWaveIndex];
+    const wave = this.waves[this.currentWaveIndex];
     const waveElapsed = currentTime - this.waveStartTime;
 
     // Spawn enemies from each group
@@ -2698,69 +8447,422 @@ class WaveManager {
   }
 
   spawnSingle(type) {
-    const x = Math.random() * (CONFIG.canvas.width - 100) + 50;
+    const x = game.rng.range(50, CONFIG.canvas.width - 50);
     this.spawnEnemyAt(type, x, -20);
   }
 
-  spawnLine(type) {
-    // Spawn 3 enemies in a horizontal line
-    const spacing = 60;
-    const startX = CONFIG.canvas.width / 2 - spacing;
+  spawnLine(type) {
+    // Spawn 3 enemies in a horizontal line
+    const spacing = 60;
+    const startX = CONFIG.canvas.width / 2 - spacing;
+
+    for (let i = 0; i < 3; i++) {
+      this.spawnEnemyAt(type, startX + (i * spacing), -20);
+    }
+  }
+
+  spawnVFormation(type) {
+    // Spawn 5 enemies in V formation
+    const centerX = CONFIG.canvas.width / 2;
+    const spacing = 50;
+
+    this.spawnEnemyAt(type, centerX, -20);
+    this.spawnEnemyAt(type, centerX - spacing, -40);
+    this.spawnEnemyAt(type, centerX + spacing, -40);
+    this.spawnEnemyAt(type, centerX - spacing * 2, -60);
+    this.spawnEnemyAt(type, centerX + spacing * 2, -60);
+  }
+
+  spawnEnemyAt(type, x, y) {
+    const enemy = game.enemyFactory.create(type, x, y);
+    if (enemy) {
+      game.enemies.push(enemy);
+    }
+  }
+
+  endWave() {
+    this.waveActive = false;
+    this.inBreak = true;
+    this.breakStartTime = game.clock.now();
+
+    const wave = this.waves[this.currentWaveIndex];
+    logEvent(`${wave.name} complete! Break time...`);
+  }
+
+  triggerBoss() {
+    game.bossTriggered = true;
+
+    const hasBoss = this.boss && game.bossFactory && game.bossFactory.has(this.boss);
+    if (!hasBoss) {
+      if (this.boss) console.warn(`Unknown boss: ${this.boss}`);
+      logEvent('All waves complete!');
+      game.clock.schedule(2000, () => game.campaign.completeStage());
+      return;
+    }
+
+    logEvent('All waves complete! Boss incoming...');
+
+    // Spawn boss after a brief delay
+    game.clock.schedule(2000, () => {
+      game.boss = game.bossFactory.create(this.boss);
+      game.enemies.push(game.boss);
+      game.stats.bossArrivalTime = game.clock.now();
+      logEvent(`BOSS FIGHT: ${this.boss} has arrived!`);
+    });
+  }
+}
+
+// ============================================================================
+// LEVELS & CAMPAIGN
+// ============================================================================
+
+const LEVEL_MANIFEST_URL = '/assets/levels/manifest.json';
+
+// Colors a level leaves out of its palette
+const DEFAULT_PALETTE = {
+  skyTop: CONFIG.background.skyGradientTop,
+  skyBottom: CONFIG.background.skyGradientBottom,
+  cloudsFar: '#f0f8ff',
+  cloudsNear: '#ffffff',
+  ground: '#228b22',
+  groundDetail: '#32cd32',
+  stars: '#ffffff',
+  nebula: '#7b3fa0'
+};
+
+/**
+ * Fill in the optional parts of a level asset
+ * @param {Object} asset - Level asset (see assets/levels/level1.json)
+ * @returns {Object}
+ */
+function normalizeLevel(asset) {
+  const background = asset.background || {};
+  return {
+    name: asset.name,
+    title: asset.title || asset.name,
+    music: asset.music || null,
+    palette: { ...DEFAULT_PALETTE, ...asset.palette },
+    background: {
+      terrain: background.terrain || null,
+      scrollSpeed: background.scrollSpeed !== undefined ? background.scrollSpeed : CONFIG.background.scrollSpeed,
+      clouds: background.clouds !== false,
+      asteroids: background.asteroids ? {
+        interval: CONFIG.background.asteroidSpawnInterval,
+        variance: CONFIG.background.asteroidSpawnVariance,
+        ...background.asteroids
+      } : null
+    },
+    waves: Array.isArray(asset.waves) ? asset.waves : [],
+    boss: asset.boss || null,
+    structures: asset.structures ? {
+      interval: CONFIG.structures.sectionInterval,
+      ...asset.structures,
+      sections: asset.structures.sections || []
+    } : null
+  };
+}
+
+/**
+ * Plays the levels in order as one run. The score and the player (lives,
+ * rockets, weapon) carry over between stages; everything else is cleared.
+ * Stages change inside the simulation, so a replay covers the whole campaign.
+ */
+class CampaignManager {
+  constructor() {
+    this.levels = [];
+    this.stageIndex = 0;
+    this.stageStart = null;
+    this.tally = null;
+  }
+
+  /**
+   * Add a level to the end of the campaign
+   * @param {Object} asset - Level asset
+   */
+  register(asset) {
+    if (!asset || asset.type !== 'level' || !asset.name) {
+      console.warn('Ignoring invalid level asset:', asset);
+      return;
+    }
+    this.levels.push(normalizeLevel(asset));
+  }
+
+  /**
+   * Level being played (an empty one if none are loaded)
+   * @returns {Object}
+   */
+  get level() {
+    return this.levels[this.stageIndex] || normalizeLevel({ name: 'empty' });
+  }
+
+  isLastStage() {
+    return this.stageIndex >= this.levels.length - 1;
+  }
+
+  /**
+   * Start the first stage of a new run (called from startRun)
+   */
+  begin() {
+    this.startStage(0);
+  }
+
+  /**
+   * Set up a stage: its background, music, waves and boss
+   * @param {number} index
+   */
+  startStage(index) {
+    this.stageIndex = index;
+    this.tally = null;
+    const level = this.level;
+    logEvent(`Stage ${index + 1}: ${level.title}`);
+
+    // Stages after the first start from a clean sky with the same ship
+    if (index > 0) {
+      clearEntities(game.projectiles);
+      clearEntities(game.enemies);
+      clearEntities(game.emitters);
+      clearEntities(game.effects);
+      clearEntities(game.particles);
+      clearEntities(game.damageNumbers);
+      clearEntities(game.clouds);
+      clearEntities(game.asteroids);
+      clearEntities(game.structures);
+      clearEntities(game.powerups);
+      game.player.respawn();
+    }
+
+    game.stageCleared = false;
+    game.bossTriggered = false;
+    game.boss = null;
+    game.cloudSpawnTimer = 0;
+    game.asteroidSpawnTimer = 0;
+    game.hud.hideBossHealth();
+
+    if (game.background) {
+      game.background.configure(level, game.seed + index);
+    }
+    playLevelMusic(level.music);
+
+    this.stageStart = {
+      score: game.score,
+      shotsFired: game.stats.shotsFired,
+      shotsHit: game.stats.shotsHit,
+      enemiesDestroyed: game.stats.enemiesDestroyed,
+      time: game.clock.now()
+    };
+
+    game.waveManager = new WaveManager(level.waves, level.boss);
+    game.waveManager.start();
+    game.structureSpawner = level.structures
+      ? new StructureSpawner(level.structures, level.background.scrollSpeed)
+      : null;
+
+    if (level.background.clouds) {
+      for (let i = 0; i < 5; i++) {
+        game.clouds.push(createFarCloud());
+        game.clouds.push(createNearCloud());
+      }
+    }
+  }
+
+  /**
+   * The stage's boss is down (or its last wave is over): win the run on the
+   * last stage, otherwise stop for the stage-clear tally
+   */
+  completeStage() {
+    const start = this.stageStart;
+    const stats = game.stats;
+    const shotsFired = stats.shotsFired - start.shotsFired;
+    this.tally = {
+      stage: this.stageIndex + 1,
+      title: this.level.title,
+      score: game.score - start.score,
+      enemiesDestroyed: stats.enemiesDestroyed - start.enemiesDestroyed,
+      accuracy: shotsFired > 0 ? (stats.shotsHit - start.shotsHit) / shotsFired : 0,
+      time: game.clock.now() - start.time,
+      bossKillTime: game.boss ? stats.bossKillTime : null,
+      lives: game.player.lives,
+      rockets: game.player.rocketLauncher.ammo,
+      next: this.isLastStage() ? null : this.levels[this.stageIndex + 1].title
+    };
+
+    if (this.isLastStage()) {
+      game.victory = true;
+      logEvent('VICTORY! Campaign complete!');
+    } else {
+      game.stageCleared = true;
+      logEvent(`Stage ${this.stageIndex + 1} clear!`);
+    }
+  }
+
+  /**
+   * Leave the tally and start the next stage
+   */
+  advance() {
+    this.startStage(this.stageIndex + 1);
+  }
+}
+
+/**
+ * Load the levels listed in the level manifest, in campaign order
+ * @param {AssetLoader} assetLoader
+ * @param {CampaignManager} campaign
+ * @returns {Promise}
+ */
+async function loadLevelDefinitions(assetLoader, campaign) {
+  const manifest = await assetLoader.loadAsset('level_manifest', LEVEL_MANIFEST_URL);
+  if (!manifest || !Array.isArray(manifest.levels)) {
+    console.warn('No level manifest found - runs go straight to an empty stage');
+    return;
+  }
+
+  const baseUrl = LEVEL_MANIFEST_URL.slice(0, LEVEL_MANIFEST_URL.lastIndexOf('/') + 1);
+  const assetMap = {};
+  manifest.levels.forEach(file => {
+    assetMap[`level_${file.replace(/\.json$/, '')}`] = baseUrl + file;
+  });
 
-    for (let i = 0; i < 3; i++) {
-      this.spawnEnemyAt(type, startX + (i * spacing), -20);
+  const assets = await assetLoader.loadAssets(assetMap);
+  Object.keys(assetMap).forEach(name => {
+    if (assets[name]) {
+      campaign.register(assets[name]);
     }
+  });
+}
+
+/**
+ * Switch to a level's music track (if audio is running and it isn't playing already)
+ * @param {string|null} url
+ */
+function playLevelMusic(url) {
+  const audio = game.audioManager;
+  if (!url || !audio || !audio.initialized || audio.musicUrl === url) return;
+  audio.loadAndPlayMusic(url);
+}
+
+// ============================================================================
+// SPATIAL GRID (collision broadphase)
+// ============================================================================
+
+// Cell coordinates are offset into a fixed range so they pack into one
+// integer key; anything further out than that is clamped to the edge cells
+const GRID_KEY_OFFSET = 1024;
+const GRID_KEY_RANGE = 4096;
+
+/**
+ * Uniform grid of entities bucketed by their hitbox bounds. Rebuilt every
+ * step; queries return only entities in cells overlapping the query area, so
+ * collision checks no longer scale with every pair on screen.
+ */
+class SpatialGrid {
+  /**
+   * @param {number} cellSize - Cell width/height in pixels
+   */
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.queryStamp = 0;
+    this.candidateCount = 0; // Entities returned by queries since the last clear
   }
 
-  spawnVFormation(type) {
-    // Spawn 5 enemies in V formation
-    const centerX = CONFIG.canvas.width / 2;
-    const spacing = 50;
+  clear() {
+    this.cells.clear();
+    this.candidateCount = 0;
+  }
 
-    this.spawnEnemyAt(type, centerX, -20);
-    this.spawnEnemyAt(type, centerX - spacing, -40);
-    this.spawnEnemyAt(type, centerX + spacing, -40);
-    this.spawnEnemyAt(type, centerX - spacing * 2, -60);
-    this.spawnEnemyAt(type, centerX + spacing * 2, -60);
+  cellCoord(value) {
+    const cell = Math.floor(value / this.cellSize) + GRID_KEY_OFFSET;
+    return Math.max(0, Math.min(GRID_KEY_RANGE - 1, cell));
   }
 
-  spawnEnemyAt(type, x, y) {
-    let enemy;
-    switch (type) {
-      case 'Scout':
-        enemy = new Scout(x, y);
-        break;
-      case 'Gunship':
-        enemy = new Gunship(x, y);
-        break;
-      case 'Kamikaze':
-        enemy = new Kamikaze(x, y);
-        break;
-    }
-    if (enemy) {
-      game.enemies.push(enemy);
+  /**
+   * Add an entity to every cell its hitbox overlaps
+   * @param {Entity} entity
+   */
+  insert(entity) {
+    const bounds = entity.getBounds();
+    const minX = this.cellCoord(bounds.left);
+    const maxX = this.cellCoord(bounds.right);
+    const minY = this.cellCoord(bounds.top);
+    const maxY = this.cellCoord(bounds.bottom);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const key = cx * GRID_KEY_RANGE + cy;
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = [];
+          this.cells.set(key, cell);
+        }
+        cell.push(entity);
+      }
     }
   }
 
-  endWave() {
-    this.waveActive = false;
-    this.inBreak = true;
-    this.breakStartTime = performance.now();
+  /**
+   * Rebuild the grid from a list, skipping inactive entities
+   * @param {Entity[]} entities
+   * @param {Function} [filter] - (entity) => boolean
+   */
+  rebuild(entities, filter = null) {
+    this.clear();
+    entities.forEach(entity => {
+      if (entity.active && (!filter || filter(entity))) {
+        this.insert(entity);
+      }
+    });
+  }
 
-    const wave = WAVE_DEFINITIONS[this.currentWaveIndex];
-    console.log(`${wave.name} complete! Break time...`);
+  /**
+   * Entities whose cells overlap a circle (a broadphase: callers still run
+   * the exact hit test). Each entity is returned once.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @returns {Entity[]}
+   */
+  query(x, y, radius) {
+    return this.queryRect(x - radius, y - radius, x + radius, y + radius);
   }
 
-  triggerBoss() {
-    console.log('All waves complete! Boss incoming...');
-    game.bossTriggered = true;
+  /**
+   * Entities whose cells overlap a rectangle
+   * @returns {Entity[]}
+   */
+  queryRect(left, top, right, bottom) {
+    const stamp = ++this.queryStamp;
+    const results = [];
+    const minX = this.cellCoord(left);
+    const maxX = this.cellCoord(right);
+    const minY = this.cellCoord(top);
+    const maxY = this.cellCoord(bottom);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(cx * GRID_KEY_RANGE + cy);
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i++) {
+          const entity = cell[i];
+          if (entity.gridQueryStamp !== stamp) {
+            entity.gridQueryStamp = stamp;
+            results.push(entity);
+          }
+        }
+      }
+    }
 
-    // Spawn boss after a brief delay
-    setTimeout(() => {
-      game.boss = new CrimsonDreadnought();
-      game.enemies.push(game.boss);
-      console.log('BOSS FIGHT: Crimson Dreadnought has arrived!');
-    }, 2000);
+    this.candidateCount += results.length;
+    return results;
+  }
+
+  /**
+   * Entities that could be touching another entity's hitbox
+   * @param {Entity} entity
+   * @returns {Entity[]}
+   */
+  queryEntity(entity) {
+    const { left, top, right, bottom } = entity.getBounds();
+    return this.queryRect(left, top, right, bottom);
   }
 }
 
@@ -2768,28 +8870,72 @@ class WaveManager {
 // COLLISION DETECTION
 // ============================================================================
 
+// Broadphase grids, rebuilt every step from the current entity lists
+const collisionGrids = {
+  enemies: new SpatialGrid(),
+  asteroids: new SpatialGrid(),
+  structures: new SpatialGrid(),
+  enemyProjectiles: new SpatialGrid(),
+  powerups: new SpatialGrid()
+};
+
+function rebuildCollisionGrids() {
+  collisionGrids.enemies.rebuild(game.enemies);
+  collisionGrids.asteroids.rebuild(game.asteroids);
+  collisionGrids.structures.rebuild(game.structures);
+  collisionGrids.enemyProjectiles.rebuild(game.projectiles, projectile => projectile.owner === 'enemy');
+  collisionGrids.powerups.rebuild(game.powerups);
+}
+
 function handleCollisions() {
-  // Player projectiles vs Enemies
+  rebuildCollisionGrids();
+
+  // Shots vs Structures (walls and machinery absorb any air shot that reaches them)
   game.projectiles.forEach(projectile => {
-    if (!projectile.active || projectile.owner !== 'player') return;
+    if (!projectile.active || !projectile.armed) return;
 
-    game.enemies.forEach(enemy => {
-      if (!enemy.active) return;
+    const structure = findProjectileTarget(projectile, collisionGrids.structures);
+    if (!structure) return;
 
-      if (projectile.collidesWith(enemy)) {
-        // Create impact effect
-        game.effects.push(createImpactEffect(projectile.x, projectile.y));
+    game.effects.push(createImpactEffect(projectile.x, projectile.y));
+    structure.absorb(projectile);
+    projectile.destroy();
+  });
 
-        enemy.takeDamage(projectile.damage);
-        projectile.destroy();
+  // Player vs Structures: hazards hurt, solid pieces push the ship aside
+  if (game.player && game.player.active) {
+    collisionGrids.structures.queryEntity(game.player).forEach(structure => {
+      if (structure.active) {
+        structure.touchPlayer(game.player);
       }
     });
+    pushPlayerOutOfStructures(game.player);
+  }
+
+  // Player projectiles vs Enemies, then Asteroids (a shot stops at the first thing it
+  // hits at its own altitude; bombs only once they land)
+  game.projectiles.forEach(projectile => {
+    if (!projectile.active || !projectile.armed || projectile.owner !== 'player') return;
+
+    const target = findProjectileTarget(projectile, collisionGrids.enemies) ||
+                   findProjectileTarget(projectile, collisionGrids.asteroids);
+    if (!target) return;
+
+    // Create impact effect
+    game.effects.push(createImpactEffect(projectile.x, projectile.y));
+    if (projectile.type === 'rocket') {
+      triggerCamera('rocketImpact');
+    }
+
+    target.takeDamage(projectile.damage, projectile);
+    projectile.destroy();
+    game.stats.shotsHit++;
   });
 
   // Enemy projectiles vs Player
   if (game.player && game.player.active) {
-    game.projectiles.forEach(projectile => {
-      if (!projectile.active || projectile.owner !== 'enemy') return;
+    collisionGrids.enemyProjectiles.queryEntity(game.player).forEach(projectile => {
+      if (!projectile.active) return;
 
       if (projectile.collidesWith(game.player)) {
         // Create impact effect
@@ -2803,8 +8949,8 @@ function handleCollisions() {
 
   // Player vs Enemies (collision damage)
   if (game.player && game.player.active) {
-    game.enemies.forEach(enemy => {
-      if (!enemy.active) return;
+    collisionGrids.enemies.queryEntity(game.player).forEach(enemy => {
+      if (!enemy.active || enemy.altitude !== game.player.altitude) return;
 
       if (game.player.collidesWith(enemy)) {
         game.player.takeDamage(25);
@@ -2814,9 +8960,21 @@ function handleCollisions() {
     });
   }
 
+  // Player vs Asteroids (the rock breaks up on impact, without splitting)
+  if (game.player && game.player.active) {
+    collisionGrids.asteroids.queryEntity(game.player).forEach(asteroid => {
+      if (!asteroid.active) return;
+
+      if (game.player.collidesWith(asteroid)) {
+        game.player.takeDamage(asteroid.damage);
+        asteroid.shatter(false);
+      }
+    });
+  }
+
   // Player vs PowerUps (collection)
   if (game.player && game.player.active) {
-    game.powerups.forEach(powerup => {
+    collisionGrids.powerups.queryEntity(game.player).forEach(powerup => {
       if (!powerup.active) return;
 
       if (game.player.collidesWith(powerup)) {
@@ -2826,6 +8984,145 @@ function handleCollisions() {
   }
 }
 
+/**
+ * First active entity in a grid, at the projectile's altitude, that it touches
+ * @param {Projectile} projectile
+ * @param {SpatialGrid} grid
+ * @returns {Entity|null}
+ */
+function findProjectileTarget(projectile, grid) {
+  for (const entity of grid.queryEntity(projectile)) {
+    if (entity.active && entity.altitude === projectile.altitude && projectile.collidesWith(entity)) {
+      return entity;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// COLLISION BENCHMARK
+// ============================================================================
+
+/**
+ * Stress mode for the collision broadphase: keeps the screen topped up with
+ * thousands of projectiles (player invulnerable) and times handleCollisions
+ * each step. Start with ?benchmark=5000 in the browser or
+ * `npm run simulate -- --benchmark 5000`.
+ */
+const BENCHMARK_MAX_SAMPLES = 36000; // 10 minutes of steps
+
+class CollisionBenchmark {
+  /**
+   * @param {number} projectileCount - Projectiles to keep alive
+   * @param {number} [playerShare=0.1] - Fraction of them fired by the player
+   */
+  constructor(projectileCount, playerShare = 0.1) {
+    this.projectileCount = projectileCount;
+    this.playerShare = playerShare;
+    this.samples = []; // { ms, candidates, pairs } per step
+  }
+
+  /**
+   * Keep the player alive and refill projectiles lost off screen
+   */
+  beforeStep() {
+    if (game.player) {
+      game.player.invulnerable = true;
+      game.player.invulnerabilityTimer = 0;
+    }
+
+    for (let i = game.projectiles.length; i < this.projectileCount; i++) {
+      const owner = game.rng.chance(this.playerShare) ? 'player' : 'enemy';
+      const angle = game.rng.range(0, Math.PI * 2);
+      const speed = game.rng.range(50, 200);
+      game.projectiles.push(entityPools.projectiles.acquire(
+        game.rng.range(0, CONFIG.canvas.width),
+        game.rng.range(0, CONFIG.canvas.height),
+        {
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed,
+          char: owner === 'player' ? '!' : '·',
+          color: owner === 'player' ? '#00ff00' : '#ffff00',
+          owner
+        }
+      ));
+    }
+  }
+
+  /**
+   * Run and time one collision pass
+   */
+  measureCollisions() {
+    // Pair checks the old nested loops would have made, for comparison
+    const playerShots = game.projectiles.filter(p => p.owner === 'player').length;
+    const enemyShots = game.projectiles.length - playerShots;
+    const pairs = playerShots * game.enemies.length + enemyShots + game.enemies.length + game.powerups.length;
+
+    const start = performance.now();
+    handleCollisions();
+    const ms = performance.now() - start;
+
+    const candidates = Object.values(collisionGrids).reduce((sum, grid) => sum + grid.candidateCount, 0);
+    this.samples.push({ ms, candidates, pairs });
+    if (this.samples.length > BENCHMARK_MAX_SAMPLES) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * @param {number} [lastSteps] - Only summarize the most recent steps
+   * @returns {Object|null}
+   */
+  getReport(lastSteps = this.samples.length) {
+    const samples = this.samples.slice(-lastSteps);
+    if (samples.length === 0) return null;
+
+    const times = samples.map(sample => sample.ms).sort((a, b) => a - b);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      steps: samples.length,
+      projectiles: this.projectileCount,
+      avgMs: average(times),
+      p95Ms: times[Math.min(times.length - 1, Math.floor(times.length * 0.95))],
+      maxMs: times[times.length - 1],
+      avgCandidates: average(samples.map(sample => sample.candidates)),
+      avgBruteForcePairs: average(samples.map(sample => sample.pairs))
+    };
+  }
+
+  /**
+   * @param {Object} report - From getReport()
+   * @returns {string[]}
+   */
+  static formatReport(report) {
+    return [
+      `COLLISION BENCHMARK  ${report.projectiles} projectiles, ${report.steps} steps`,
+      `avg ${report.avgMs.toFixed(3)} ms  p95 ${report.p95Ms.toFixed(3)} ms  max ${report.maxMs.toFixed(3)} ms`,
+      `candidates/step ${Math.round(report.avgCandidates)} (brute force ${Math.round(report.avgBruteForcePairs)} pairs)`
+    ];
+  }
+}
+
+/**
+ * Start a live run in benchmark mode
+ * @param {number} projectileCount
+ */
+function startBenchmark(projectileCount) {
+  startLiveRun();
+  game.benchmark = new CollisionBenchmark(projectileCount);
+  logEvent(`Collision benchmark: ${projectileCount} projectiles`);
+}
+
+/**
+ * Projectile count from ?benchmark=N, or 0 when not benchmarking
+ * @returns {number}
+ */
+function getBenchmarkParam() {
+  if (typeof window === 'undefined') return 0;
+  const count = parseInt(new URLSearchParams(window.location.search).get('benchmark'), 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
 // ============================================================================
 // UPDATE
 // ============================================================================
@@ -2833,14 +9130,37 @@ function handleCollisions() {
 function update(deltaTime) {
   if (!game.player || !game.player.active) return;
 
+  // Nothing moves (or gets recorded) while the stage tally is up
+  if (game.stageCleared) return;
+
+  // Stop stepping once a replay runs out of recorded input
+  if (game.input.source && game.input.source.isFinished()) {
+    game.replayFinished = true;
+    return;
+  }
+
+  // Capture this step's input (live devices or replay) and record it
+  game.input.poll();
+  if (game.recorder) {
+    game.recorder.record(game.input.frame);
+  }
+
+  // Advance simulation time (fires scheduled timers)
+  game.clock.tick(deltaTime * 1000);
+
+  if (game.benchmark) {
+    game.benchmark.beforeStep();
+  }
+
   // Handle input
   const movement = game.input.getMovementVector();
   game.player.move(movement.dx, movement.dy);
 
   // Handle shooting (keyboard or gamepad)
   if (game.input.isShootPressed()) {
-    const projectiles = game.player.fire(performance.now());
+    const projectiles = game.player.fire(game.clock.now());
     game.projectiles.push(...projectiles);
+    game.stats.shotsFired += projectiles.length;
   }
 
   // Handle weapon switching (keyboard or gamepad)
@@ -2850,13 +9170,18 @@ function update(deltaTime) {
 
   // Handle rocket firing (keyboard or gamepad)
   if (game.input.wasSpecialWeaponPressed()) {
-    const projectiles = game.player.fireRocket(performance.now());
+    const projectiles = game.player.fireRocket(game.clock.now());
     game.projectiles.push(...projectiles);
+    game.stats.shotsFired += projectiles.length;
     game.player.updateWeaponUI();
   }
 
-  // Update input state
-  game.input.update();
+  // Handle bomb drops (keyboard or gamepad)
+  if (game.input.wasBombPressed()) {
+    const projectiles = game.player.dropBomb(game.clock.now());
+    game.projectiles.push(...projectiles);
+    game.stats.shotsFired += projectiles.length;
+  }
 
   // Update background
   if (game.background) {
@@ -2880,6 +9205,13 @@ function update(deltaTime) {
     }
   });
 
+  // Update bullet pattern emitters
+  game.emitters.forEach(emitter => {
+    if (emitter.active) {
+      emitter.update(deltaTime);
+    }
+  });
+
   // Update effects
   game.effects.forEach(effect => {
     if (effect.active) {
@@ -2894,6 +9226,13 @@ function update(deltaTime) {
     }
   });
 
+  // Update damage numbers
+  game.damageNumbers.forEach(number => {
+    if (number.active) {
+      number.update(deltaTime);
+    }
+  });
+
   // Update clouds
   game.clouds.forEach(cloud => {
     if (cloud.active) {
@@ -2901,6 +9240,20 @@ function update(deltaTime) {
     }
   });
 
+  // Update level structures
+  game.structures.forEach(structure => {
+    if (structure.active) {
+      structure.update(deltaTime);
+    }
+  });
+
+  // Update asteroids
+  game.asteroids.forEach(asteroid => {
+    if (asteroid.active) {
+      asteroid.update(deltaTime);
+    }
+  });
+
   // Update powerups
   game.powerups.forEach(powerup => {
     if (powerup.active) {
@@ -2908,29 +9261,51 @@ function update(deltaTime) {
     }
   });
 
-  // Handle collisions
-  handleCollisions();
-
-  // Remove inactive entities
-  game.projectiles = game.projectiles.filter(p => p.active);
-  game.enemies = game.enemies.filter(e => e.active);
-  game.effects = game.effects.filter(e => e.active);
-  game.particles = game.particles.filter(p => p.active);
-  game.clouds = game.clouds.filter(c => c.active);
-  game.powerups = game.powerups.filter(p => p.active);
-
-  // Wave manager (handles enemy spawning)
+  // Handle collisions (timed in benchmark mode)
+  if (game.benchmark) {
+    game.benchmark.measureCollisions();
+  } else {
+    handleCollisions();
+  }
+
+  // Remove inactive entities (pooled ones go back to their pools)
+  compactEntities(game.projectiles);
+  compactEntities(game.enemies);
+  compactEntities(game.emitters);
+  compactEntities(game.effects);
+  compactEntities(game.particles);
+  compactEntities(game.damageNumbers);
+  compactEntities(game.clouds);
+  compactEntities(game.asteroids);
+  compactEntities(game.structures);
+  compactEntities(game.powerups);
+
+  // Wave manager (handles enemy spawning) and level structures, until the boss arrives
   if (game.waveManager && !game.bossTriggered) {
     game.waveManager.update(deltaTime);
   }
+  if (game.structureSpawner && !game.bossTriggered) {
+    game.structureSpawner.update(deltaTime);
+  }
 
-  // Cloud spawning
+  // Cloud spawning (levels can turn clouds off)
+  if (game.campaign.level.background.clouds) {
+    spawnClouds(deltaTime);
+  }
+
+  // Asteroid fields drift in alongside (or instead of) the clouds
+  if (game.campaign.level.background.asteroids) {
+    spawnAsteroids(deltaTime, game.campaign.level.background.asteroids);
+  }
+}
+
+function spawnClouds(deltaTime) {
   game.cloudSpawnTimer += deltaTime * 1000;
   const cloudInterval = CONFIG.background.cloudSpawnInterval +
-                        (Math.random() - 0.5) * CONFIG.background.cloudSpawnVariance;
+                        game.rng.range(-0.5, 0.5) * CONFIG.background.cloudSpawnVariance;
   if (game.cloudSpawnTimer >= cloudInterval) {
     // Randomly spawn far or near clouds
-    if (Math.random() > 0.5) {
+    if (game.rng.next() > 0.5) {
       game.clouds.push(createFarCloud());
     } else {
       game.clouds.push(createNearCloud());
@@ -2939,80 +9314,279 @@ function update(deltaTime) {
   }
 }
 
+/**
+ * @param {number} deltaTime
+ * @param {{interval: number, variance: number}} settings - Level's asteroid spawning
+ */
+function spawnAsteroids(deltaTime, settings) {
+  game.asteroidSpawnTimer += deltaTime * 1000;
+  const interval = settings.interval + game.rng.range(-0.5, 0.5) * settings.variance;
+  if (game.asteroidSpawnTimer >= interval) {
+    game.asteroids.push(createAsteroid());
+    game.asteroidSpawnTimer = 0;
+  }
+}
+
+// ============================================================================
+// CAMERA
+// ============================================================================
+
+// What each event does to the camera: trauma (0-1, shake grows with its
+// square), zoom pulse (fraction of extra zoom) and hit-stop (ms frozen)
+const CAMERA_EVENTS = {
+  largeExplosion: { trauma: 0.3 },
+  rocketImpact: { trauma: 0.2 },
+  crusherSlam: { trauma: 0.4 },
+  playerDeath: { trauma: 0.7, zoom: 0.06, hitStop: 120 },
+  bossDefeat: { trauma: 1, zoom: 0.12, hitStop: 250 }
+};
+
+/**
+ * View offset with trauma-based shake, zoom pulses and hit-stop. Purely
+ * presentational and driven by real time, so it never changes the
+ * simulation (replays stay identical); hit-stop just holds back steps.
+ */
+class Camera {
+  constructor() {
+    this.x = 0; // Base offset
+    this.y = 0;
+    this.trauma = 0;
+    this.zoomPulse = 0;
+    this.hitStopTimer = 0; // ms
+    this.time = 0;
+    this.offsetX = 0; // Final offset and zoom used for rendering
+    this.offsetY = 0;
+    this.zoom = 1;
+  }
+
+  /**
+   * Apply one of CAMERA_EVENTS
+   * @param {string} name
+   */
+  trigger(name) {
+    const event = CAMERA_EVENTS[name];
+    if (!event) {
+      console.warn(`Unknown camera event: ${name}`);
+      return;
+    }
+    if (event.trauma) this.addTrauma(event.trauma);
+    if (event.zoom) this.pulseZoom(event.zoom);
+    if (event.hitStop) this.hitStop(event.hitStop);
+  }
+
+  addTrauma(amount) {
+    this.trauma = Math.min(1, this.trauma + amount);
+  }
+
+  pulseZoom(amount) {
+    if (!CONFIG.camera.zoom) return;
+    this.zoomPulse = Math.max(this.zoomPulse, amount);
+  }
+
+  hitStop(ms) {
+    if (!CONFIG.camera.hitStop) return;
+    this.hitStopTimer = Math.max(this.hitStopTimer, ms);
+  }
+
+  /**
+   * Simulation should hold still this frame
+   * @returns {boolean}
+   */
+  isFrozen() {
+    return this.hitStopTimer > 0;
+  }
+
+  /**
+   * @param {number} frameTime - Real seconds since the last frame
+   */
+  update(frameTime) {
+    const settings = CONFIG.camera;
+    this.time += frameTime;
+    this.hitStopTimer = Math.max(0, this.hitStopTimer - frameTime * 1000);
+    this.trauma = Math.max(0, this.trauma - settings.traumaDecay * frameTime);
+    this.zoomPulse *= Math.exp(-settings.zoomDecay * frameTime);
+    if (this.zoomPulse < 0.001) this.zoomPulse = 0;
+
+    const shake = this.trauma * this.trauma * settings.shake * settings.maxShakeOffset;
+    this.offsetX = this.x + shake * this.noise(1);
+    this.offsetY = this.y + shake * this.noise(2);
+    this.zoom = 1 + (settings.zoom ? this.zoomPulse : 0);
+  }
+
+  // Smooth pseudo-random wobble in [-1, 1] (no game.rng, so replays are unaffected)
+  noise(seed) {
+    return Math.sin(this.time * 37 + seed * 11) * 0.6 + Math.sin(this.time * 71 + seed * 5) * 0.4;
+  }
+}
+
+/**
+ * Fire a camera event if a run is in progress
+ * @param {string} name - Key of CAMERA_EVENTS
+ */
+function triggerCamera(name) {
+  if (game.camera) {
+    game.camera.trigger(name);
+  }
+}
+
 // ============================================================================
 // RENDER
 // ============================================================================
 
-function render() {
+function render(alpha = 1) {
+  const renderer = game.renderer;
+
   // Render sky gradient background
+  renderer.setLayer(RENDER_LAYERS.background);
+  if (game.background) {
+    game.background.render(renderer);
+  }
+
+  // Everything in the world moves with the camera; the sky and UI don't
+  if (game.camera) {
+    renderer.beginCamera(game.camera);
+  }
+
+  // Render the ground far below the clouds
+  renderer.setLayer(RENDER_LAYERS.terrain);
   if (game.background) {
-    game.background.render();
+    game.background.renderTerrain(renderer);
   }
 
+  // Render ground units (ships, etc) on the surface, under the clouds
+  renderer.setLayer(RENDER_LAYERS.groundUnits);
+  game.enemies.forEach(enemy => {
+    if (enemy.active && enemy.altitude === 'ground') {
+      renderInterpolated(enemy, alpha);
+    }
+  });
+
+  // Render level structures (walls, girders, hazards)
+  renderer.setLayer(RENDER_LAYERS.structures);
+  game.structures.forEach(structure => {
+    if (structure.active) {
+      renderInterpolated(structure, alpha);
+    }
+  });
+
   // Render far clouds (slower parallax layer)
+  renderer.setLayer(RENDER_LAYERS.farClouds);
   game.clouds.forEach(cloud => {
     if (cloud.active && cloud.layer === 'far') {
-      cloud.render(game.renderer);
+      renderInterpolated(cloud, alpha);
     }
   });
 
   // Render near clouds (faster parallax layer)
+  renderer.setLayer(RENDER_LAYERS.nearClouds);
   game.clouds.forEach(cloud => {
     if (cloud.active && cloud.layer === 'near') {
-      cloud.render(game.renderer);
+      renderInterpolated(cloud, alpha);
     }
   });
 
   // Render particles (debris, etc)
+  renderer.setLayer(RENDER_LAYERS.particles);
   game.particles.forEach(particle => {
     if (particle.active) {
-      particle.render(game.renderer);
+      renderInterpolated(particle, alpha);
     }
   });
 
   // Render effects (explosions, muzzle flashes)
+  renderer.setLayer(RENDER_LAYERS.effects);
   game.effects.forEach(effect => {
     if (effect.active) {
-      effect.render(game.renderer);
+      renderInterpolated(effect, alpha);
+    }
+  });
+
+  // Render asteroids (below the ships flying past them)
+  renderer.setLayer(RENDER_LAYERS.asteroids);
+  game.asteroids.forEach(asteroid => {
+    if (asteroid.active) {
+      renderInterpolated(asteroid, alpha);
     }
   });
 
   // Render enemies
+  renderer.setLayer(RENDER_LAYERS.enemies);
   game.enemies.forEach(enemy => {
-    if (enemy.active) {
-      enemy.render(game.renderer);
+    if (enemy.active && enemy.altitude === 'air') {
+      renderInterpolated(enemy, alpha);
     }
   });
 
   // Render projectiles
+  renderer.setLayer(RENDER_LAYERS.projectiles);
   game.projectiles.forEach(projectile => {
     if (projectile.active) {
-      projectile.render(game.renderer);
+      renderInterpolated(projectile, alpha);
     }
   });
 
   // Render powerups
+  renderer.setLayer(RENDER_LAYERS.powerups);
   game.powerups.forEach(powerup => {
     if (powerup.active) {
-      powerup.render(game.renderer);
+      renderInterpolated(powerup, alpha);
     }
   });
 
   // Render player
+  renderer.setLayer(RENDER_LAYERS.player);
   if (game.player && game.player.active) {
-    game.player.render(game.renderer);
+    renderInterpolated(game.player, alpha);
+  }
+
+  // Render damage numbers above everything they float over
+  renderer.setLayer(RENDER_LAYERS.damageNumbers);
+  game.damageNumbers.forEach(number => {
+    if (number.active) {
+      renderInterpolated(number, alpha);
+    }
+  });
+
+  if (game.camera) {
+    renderer.endCamera();
+  }
+
+  // Overlays, and any screen text drawn after this
+  renderer.setLayer(RENDER_LAYERS.ui);
+
+  // Collision benchmark stats (last second of steps)
+  if (game.benchmark) {
+    const report = game.benchmark.getReport(60);
+    if (report) {
+      CollisionBenchmark.formatReport(report).forEach((line, index) => {
+        game.renderer.drawText(line, 10, 10 + index * CONFIG.font.size, '#00ff00');
+      });
+    }
+  }
+
+  // Replay playback indicator
+  if (game.input && game.input.source) {
+    const label = game.replayFinished
+      ? 'REPLAY FINISHED - ENTER for title'
+      : `REPLAY ${game.playbackSpeed}x  (-/= speed, F9 stop)`;
+    game.renderer.drawText(label, 10, CONFIG.canvas.height - 30, '#ffff00');
   }
 
-  // Debug info (optional)
-  if (false) { // Set to true for debugging
-    game.ctx.fillStyle = '#00ff00';
-    game.ctx.font = '12px monospace';
-    game.ctx.fillText(`FPS: ${Math.round(1 / game.deltaTime)}`, 10, 10);
-    game.ctx.fillText(`Projectiles: ${game.projectiles.length}`, 10, 25);
-    game.ctx.fillText(`Enemies: ${game.enemies.length}`, 10, 40);
-    game.ctx.fillText(`Effects: ${game.effects.length}`, 10, 55);
-    game.ctx.fillText(`Particles: ${game.particles.length}`, 10, 70);
-    game.ctx.fillText(`Clouds: ${game.clouds.length}`, 10, 85);
+  // Debug info (F3): entity counts and pool usage
+  if (game.showDebug) {
+    const lines = [
+      `FPS ${Math.round(1 / game.frameTime)}  projectiles ${game.projectiles.length}  enemies ${game.enemies.length}` +
+        `  effects ${game.effects.length}  particles ${game.particles.length}  clouds ${game.clouds.length}` +
+        `  asteroids ${game.asteroids.length}  structures ${game.structures.length}`,
+      ...formatPoolStats(getPoolStats())
+    ];
+    if (game.renderer.getCacheStats) {
+      lines.push(game.renderer.getCacheStats());
+    }
+    const top = CONFIG.canvas.height - 40 - lines.length * CONFIG.font.size;
+    lines.forEach((line, index) => {
+      game.renderer.drawText(line, 10, top + index * CONFIG.font.size, '#00ff00');
+    });
   }
 }
 
@@ -3020,9 +9594,52 @@ function render() {
 // START GAME
 // ============================================================================
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
+// Initialize when DOM is ready (skipped when loaded outside a browser,
+// e.g. by the headless harness in js/headless.js)
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
 }
+
+export {
+  CONFIG,
+  DIFFICULTY_PROFILES,
+  game,
+  AssetLoader,
+  EnemyFactory,
+  loadEnemyDefinitions,
+  BossFactory,
+  loadBossDefinitions,
+  CampaignManager,
+  loadLevelDefinitions,
+  InputManager,
+  InputRecorder,
+  ReplayPlayer,
+  GAME_KEYS,
+  CollisionBenchmark,
+  Background,
+  GridRenderer,
+  captureText,
+  captureAnsi,
+  encodeGIF,
+  quantizePixels,
+  GameStateMachine,
+  GAME_STATES,
+  HighScoreTable,
+  loadSettings,
+  RENDER_LAYERS,
+  formatRGB,
+  render,
+  runFrame,
+  getPoolStats,
+  formatPoolStats,
+  setPlayfieldSize,
+  startBenchmark,
+  startRun,
+  startLiveRun,
+  startReplay,
+  stepSimulation
+};
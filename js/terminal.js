@@ -0,0 +1,476 @@
+// ============================================================================
+// TERMINAL FRONT-END
+// ============================================================================
+//
+// Plays the game in a terminal. The simulation, screen states and menus from
+// main.js run unchanged; they render into a character grid that is written
+// to stdout as ANSI escape sequences, and raw-mode stdin stands in for the
+// keyboard.
+//
+//   node js/terminal.js
+//   node js/terminal.js --colors 256 --fps 20
+//
+// Terminals only report key presses (and auto-repeat for the last key held),
+// never releases, so keys count as held for a short while after each press
+// and fire is held automatically during play unless --no-autofire is given.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  CONFIG,
+  game,
+  AssetLoader,
+  EnemyFactory,
+  loadEnemyDefinitions,
+  BossFactory,
+  loadBossDefinitions,
+  CampaignManager,
+  loadLevelDefinitions,
+  InputManager,
+  Background,
+  GridRenderer,
+  GameStateMachine,
+  GAME_STATES,
+  HighScoreTable,
+  loadSettings,
+  setPlayfieldSize,
+  runFrame
+} from './main.js';
+import { HeadlessHUD, createFileReader } from './headless.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CSI = '\x1b[';
+
+// How long a key stays held after a press. The first press waits out the
+// terminal's auto-repeat delay; repeats then keep it held.
+const KEY_HOLD_FIRST = 500;  // ms
+const KEY_HOLD_REPEAT = 100; // ms
+
+// ============================================================================
+// KEYBOARD (raw stdin)
+// ============================================================================
+
+// Input sequences -> KeyboardEvent codes understood by InputManager
+const KEY_SEQUENCES = {
+  [`${CSI}A`]: 'ArrowUp',
+  [`${CSI}B`]: 'ArrowDown',
+  [`${CSI}C`]: 'ArrowRight',
+  [`${CSI}D`]: 'ArrowLeft',
+  '\x1bOA': 'ArrowUp',
+  '\x1bOB': 'ArrowDown',
+  '\x1bOC': 'ArrowRight',
+  '\x1bOD': 'ArrowLeft',
+  '\x1bOQ': 'F2',
+  [`${CSI}12~`]: 'F2',
+  '\x1bOR': 'F3',
+  [`${CSI}13~`]: 'F3',
+  [`${CSI}17~`]: 'F6',
+  '\x1b': 'Escape',
+  '\r': 'Enter',
+  '\n': 'Enter',
+  ' ': 'Space',
+  '-': 'Minus',
+  '=': 'Equal'
+};
+'wasderq'.split('').forEach(letter => {
+  const code = `Key${letter.toUpperCase()}`;
+  KEY_SEQUENCES[letter] = code;
+  KEY_SEQUENCES[letter.toUpperCase()] = code;
+});
+
+// Longest first, so escape sequences win over a bare ESC
+const SEQUENCES = Object.keys(KEY_SEQUENCES).sort((a, b) => b.length - a.length);
+
+const CTRL_C = '\x03';
+
+/**
+ * Split a chunk of stdin into key codes ('Quit' for Ctrl+C). Unknown
+ * sequences are skipped.
+ * @param {string} data
+ * @returns {string[]}
+ */
+function parseKeys(data) {
+  const codes = [];
+  let i = 0;
+  while (i < data.length) {
+    if (data[i] === CTRL_C) {
+      codes.push('Quit');
+      i++;
+      continue;
+    }
+    const sequence = SEQUENCES.find(seq => data.startsWith(seq, i));
+    if (sequence) {
+      codes.push(KEY_SEQUENCES[sequence]);
+      i += sequence.length;
+    } else if (data[i] === '\x1b') {
+      // Unknown escape sequence: skip to its final byte
+      const end = data.slice(i + 2).search(/[@-~]/);
+      i += end < 0 ? data.length : end + 3;
+    } else {
+      i++;
+    }
+  }
+  return codes;
+}
+
+/**
+ * Turns key presses into held keys on an InputManager, releasing each one
+ * when no press or repeat has arrived for a while
+ */
+class TerminalKeyboard {
+  constructor(input) {
+    this.input = input;
+    this.releaseAt = new Map(); // code -> time (ms)
+  }
+
+  press(code, now) {
+    const held = this.releaseAt.has(code);
+    this.input.setKey(code, true, held);
+    this.releaseAt.set(code, now + (held ? KEY_HOLD_REPEAT : KEY_HOLD_FIRST));
+  }
+
+  update(now) {
+    this.releaseAt.forEach((time, code) => {
+      if (now >= time) {
+        this.input.setKey(code, false);
+        this.releaseAt.delete(code);
+      }
+    });
+  }
+}
+
+// ============================================================================
+// ANSI RENDERER
+// ============================================================================
+
+/**
+ * Nearest xterm 256-color palette entry (6x6x6 cube or gray ramp)
+ * @param {number} rgb - Packed 0xRRGGBB
+ * @returns {number}
+ */
+function rgbTo256(rgb) {
+  const r = (rgb >> 16) & 0xff;
+  const g = (rgb >> 8) & 0xff;
+  const b = rgb & 0xff;
+  const level = value => Math.round((value / 255) * 5);
+  const levelValue = index => (index === 0 ? 0 : 55 + index * 40);
+  const cube = 16 + 36 * level(r) + 6 * level(g) + level(b);
+  const cubeError = (r - levelValue(level(r))) ** 2 + (g - levelValue(level(g))) ** 2 + (b - levelValue(level(b))) ** 2;
+
+  const gray = Math.max(0, Math.min(23, Math.round(((r + g + b) / 3 - 8) / 10)));
+  const grayValue = 8 + gray * 10;
+  const grayError = (r - grayValue) ** 2 + (g - grayValue) ** 2 + (b - grayValue) ** 2;
+
+  return grayError < cubeError ? 232 + gray : cube;
+}
+
+/**
+ * Character grid flushed to a terminal. Only cells that changed since the
+ * last frame are written, with color codes emitted when they change.
+ */
+class AnsiRenderer extends GridRenderer {
+  /**
+   * @param {stream.Writable} output
+   * @param {string} [colorMode='truecolor'] - 'truecolor' or '256'
+   */
+  constructor(output, colorMode = 'truecolor') {
+    super();
+    this.output = output;
+    this.colorMode = colorMode;
+    this.colorCodes = new Map(); // fg/bg + packed color -> escape sequence
+    this.footer = '';
+    this.previous = null;
+    this.previousFooter = null;
+  }
+
+  /**
+   * Size the grid to the terminal, keeping the last row for the footer
+   * @param {number} cols
+   * @param {number} rows
+   */
+  resize(cols, rows) {
+    this.terminalCols = cols;
+    this.terminalRows = rows;
+    setPlayfieldSize(cols * this.cellWidth, (rows - 1) * this.cellHeight);
+    this.fitToPlayfield();
+  }
+
+  fitToPlayfield() {
+    const cols = this.terminalCols || 1;
+    const rows = Math.max(1, (this.terminalRows || 2) - 1);
+    if (cols !== this.grid.cols || rows !== this.grid.rows) {
+      this.grid.resize(cols, rows);
+      this.previous = null; // Full redraw
+    }
+  }
+
+  colorCode(rgb, background) {
+    const key = background ? rgb + 0x1000000 : rgb;
+    let code = this.colorCodes.get(key);
+    if (!code) {
+      const layer = background ? 48 : 38;
+      code = this.colorMode === '256'
+        ? `${CSI}${layer};5;${rgbTo256(rgb)}m`
+        : `${CSI}${layer};2;${(rgb >> 16) & 0xff};${(rgb >> 8) & 0xff};${rgb & 0xff}m`;
+      this.colorCodes.set(key, code);
+    }
+    return code;
+  }
+
+  endFrame() {
+    this.output.write(this.encodeFrame());
+  }
+
+  /**
+   * Escape sequences that bring the terminal from the previous frame to
+   * this one
+   * @returns {string}
+   */
+  encodeFrame() {
+    const { chars, fg, bg, cols, rows } = this.grid;
+    const previous = this.previous;
+    let out = previous ? '' : `${CSI}0m${CSI}2J`;
+    let cursor = -1;
+    let lastFg = -1;
+    let lastBg = -1;
+
+    for (let index = 0; index < chars.length; index++) {
+      if (previous && previous.chars[index] === chars[index] &&
+          previous.fg[index] === fg[index] && previous.bg[index] === bg[index]) {
+        continue;
+      }
+      if (index !== cursor) {
+        out += `${CSI}${Math.floor(index / cols) + 1};${(index % cols) + 1}H`;
+      }
+      if (bg[index] !== lastBg) {
+        out += this.colorCode(bg[index], true);
+        lastBg = bg[index];
+      }
+      if (chars[index] !== ' ' && fg[index] !== lastFg) {
+        out += this.colorCode(fg[index], false);
+        lastFg = fg[index];
+      }
+      out += chars[index];
+      // The cursor doesn't advance predictably past the last column
+      cursor = (index + 1) % cols === 0 ? -1 : index + 1;
+    }
+
+    if (!previous || this.footer !== this.previousFooter) {
+      const footer = this.footer.slice(0, cols).padEnd(cols);
+      out += `${CSI}${rows + 1};1H${CSI}0m${CSI}7m${footer}${CSI}0m`;
+      this.previousFooter = this.footer;
+    }
+
+    if (previous) {
+      previous.chars = chars.slice();
+      previous.fg.set(fg);
+      previous.bg.set(bg);
+    } else {
+      this.previous = { chars: chars.slice(), fg: fg.slice(), bg: bg.slice() };
+    }
+    return out;
+  }
+}
+
+// ============================================================================
+// HUD & STORAGE
+// ============================================================================
+
+/**
+ * Keeps the HUD values like the headless HUD and formats them as the
+ * terminal's status line
+ */
+class TerminalHUD extends HeadlessHUD {
+  format() {
+    const inRun = game.stateMachine.is(GAME_STATES.PLAYING) || game.stateMachine.is(GAME_STATES.PAUSED);
+    if (!game.player || !inRun) {
+      return ' WASD move  SPACE fire  E weapon  R rocket  Q bomb  ESC pause  F2 snapshot  F6 record  Ctrl+C quit';
+    }
+    const bar = (value, max, width) => {
+      const filled = Math.round((Math.max(0, value) / max) * width);
+      return '#'.repeat(filled) + '.'.repeat(width - filled);
+    };
+    let line = ` HP [${bar(this.health, 100, 10)}] ${this.health}  LIVES ${this.lives}  SCORE ${this.score}` +
+      `  ${String(this.weaponId).toUpperCase()}  ROCKETS ${this.rocketAmmo}`;
+    if (this.bossVisible && this.bossMaxHealth > 0) {
+      line += `  ${this.bossName || 'BOSS'} [${bar(this.bossHealth, this.bossMaxHealth, 20)}]`;
+    }
+    return line;
+  }
+}
+
+/**
+ * localStorage stand-in backed by a JSON file, so high scores and settings
+ * persist between terminal sessions
+ */
+class FileStorage {
+  constructor(file) {
+    this.file = file;
+    try {
+      this.data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      this.data = {};
+    }
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+  }
+
+  setItem(key, value) {
+    this.data[key] = String(value);
+    writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+
+  removeItem(key) {
+    delete this.data[key];
+    writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+}
+
+// ============================================================================
+// MAIN LOOP
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node js/terminal.js [--colors truecolor|256] [--fps N] [--no-autofire]');
+    console.log('                           [--storage file.json] [--verbose]');
+    return;
+  }
+
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY || !stdout.isTTY) {
+    console.error('The terminal front-end needs an interactive terminal');
+    process.exitCode = 1;
+    return;
+  }
+
+  const colorMode = args.colors || (/truecolor|24bit/i.test(process.env.COLORTERM || '') ? 'truecolor' : '256');
+  const frameMs = 1000 / (Number(args.fps) || 30);
+  const autofire = !args['no-autofire'];
+
+  if (typeof globalThis.localStorage === 'undefined') {
+    globalThis.localStorage = new FileStorage(args.storage || path.join(os.homedir(), '.ascii-shooter.json'));
+  }
+
+  // Game logs would scribble over the screen; keep them for --verbose
+  const logs = [];
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+  ['log', 'warn', 'error'].forEach(method => {
+    console[method] = (...values) => logs.push(values.join(' '));
+  });
+
+  game.assetLoader = new AssetLoader(createFileReader(PROJECT_ROOT));
+  game.enemyFactory = new EnemyFactory();
+  await loadEnemyDefinitions(game.assetLoader, game.enemyFactory);
+  game.bossFactory = new BossFactory();
+  await loadBossDefinitions(game.assetLoader, game.bossFactory);
+  game.campaign = new CampaignManager();
+  await loadLevelDefinitions(game.assetLoader, game.campaign);
+  game.assetsLoaded = true;
+
+  // F2/F6 captures are written to the working directory
+  game.saveFile = (filename, data) => writeFileSync(path.resolve(filename), data);
+
+  const renderer = new AnsiRenderer(stdout, colorMode);
+  game.renderer = renderer;
+  game.hud = new TerminalHUD();
+  game.input = new InputManager({ listen: false });
+  const keyboard = new TerminalKeyboard(game.input);
+  game.background = new Background(CONFIG.canvas.width, CONFIG.canvas.height);
+  renderer.resize(stdout.columns, stdout.rows);
+
+  game.highScoreTable = new HighScoreTable();
+  game.highScoreTable.load();
+  loadSettings();
+  game.stateMachine = new GameStateMachine();
+  game.stateMachine.change(GAME_STATES.BOOT);
+  game.running = true;
+
+  let timer = null;
+  const restoreTerminal = () => {
+    stdout.write(`${CSI}0m${CSI}?25h${CSI}?1049l`);
+    if (stdin.isRaw) stdin.setRawMode(false);
+  };
+
+  const quit = () => {
+    game.running = false;
+    clearTimeout(timer);
+    stdin.pause();
+    restoreTerminal();
+    Object.assign(console, originalConsole);
+    if (args.verbose) {
+      logs.forEach(line => console.log(line));
+    }
+  };
+
+  // Alternate screen, hidden cursor, raw input
+  stdout.write(`${CSI}?1049h${CSI}?25l`);
+  process.on('exit', () => {
+    if (game.running) restoreTerminal();
+  });
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  stdin.on('data', (data) => {
+    const now = performance.now();
+    parseKeys(data).forEach(code => {
+      if (code === 'Quit') {
+        quit();
+      } else {
+        keyboard.press(code, now);
+      }
+    });
+  });
+  stdout.on('resize', () => renderer.resize(stdout.columns, stdout.rows));
+
+  let lastTime = performance.now();
+  const tick = () => {
+    if (!game.running) return;
+    const now = performance.now();
+    game.frameTime = Math.min((now - lastTime) / 1000, CONFIG.simulation.maxFrameTime);
+    lastTime = now;
+
+    keyboard.update(now);
+    if (autofire && game.stateMachine.is(GAME_STATES.PLAYING)) {
+      game.input.setKey('Space', true);
+    }
+
+    renderer.footer = game.hud.format();
+    runFrame();
+
+    timer = setTimeout(tick, Math.max(0, frameMs - (performance.now() - now)));
+  };
+  tick();
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    process.stdout.write(`${CSI}0m${CSI}?25h${CSI}?1049l`);
+    process.stderr.write(`${error.stack || error}\n`);
+    process.exit(1);
+  });
+}
+
+export { AnsiRenderer, TerminalKeyboard, TerminalHUD, parseKeys, rgbTo256 };